@@ -0,0 +1,260 @@
+/**
+ * Analytical PK Engine - 3コンパートメントモデルの解析解
+ *
+ * MasuiKe0Calculator.calculatePlasmaCoefficients が求める
+ * alpha/beta/gamma と A/B/C を用いて、ボーラスと持続投与の重ね合わせにより
+ * 任意時刻の Cp/Ce を数値誤差の蓄積なしに計算する。
+ *
+ * また Sylvester の公式による状態遷移行列で、任意の状態
+ * { a1, a2, a3, ce } から一定速度投与下の状態を厳密に進められる（advance）。
+ *
+ * 投与イベント形式（時刻は分）:
+ * - { time, type: 'bolus', amount }    amount: mg
+ * - { time, type: 'infusion', rate }   rate: mg/min（以降の投与速度を置き換える）
+ */
+
+// Node.js環境では依存モジュールを読み込む
+const AnalyticalEngineDeps = (typeof module !== 'undefined' && module.exports)
+    ? require('./masui-ke0-exact.js')
+    : { MasuiKe0Calculator: window.MasuiKe0Calculator };
+
+class AnalyticalPKEngine {
+    /**
+     * @param {Object} pkParams - { v1, k10, k12, k13, k21, k31, ke0 }
+     */
+    constructor(pkParams) {
+        const { v1, k10, k12, k13, k21, k31 } = pkParams;
+        let ke0 = pkParams.ke0;
+
+        this.pkParams = pkParams;
+        this.coefficients = AnalyticalEngineDeps.MasuiKe0Calculator.calculatePlasmaCoefficients(
+            { k10, k12, k13, k21, k31 }
+        );
+
+        const { alpha, beta, gamma, A, B, C } = this.coefficients;
+        const lambdas = [alpha, beta, gamma];
+
+        // ke0が指数のいずれかと一致すると効果部位項が0除算になるため僅かにずらす
+        lambdas.forEach(lambda => {
+            if (Math.abs(ke0 - lambda) < 1e-9) {
+                ke0 *= 1 + 1e-7;
+            }
+        });
+        this.ke0 = ke0;
+
+        // 各コンパートメント量の単位ボーラス応答: Σ coef × e^(-rate × t)
+        const denominators = lambdas.map((li, i) =>
+            lambdas.reduce((prod, lj, j) => (j === i ? prod : prod * (lj - li)), 1)
+        );
+        const ceTerms = [A, B, C].map((coef, i) => ({
+            coef: coef * ke0 / ((ke0 - lambdas[i]) * v1),
+            rate: lambdas[i]
+        }));
+        ceTerms.push({ coef: -ceTerms.reduce((sum, term) => sum + term.coef, 0), rate: ke0 });
+
+        this.bolusTerms = {
+            a1: [A, B, C].map((coef, i) => ({ coef, rate: lambdas[i] })),
+            a2: lambdas.map((li, i) => ({ coef: k12 * (k31 - li) / denominators[i], rate: li })),
+            a3: lambdas.map((li, i) => ({ coef: k13 * (k21 - li) / denominators[i], rate: li })),
+            ce: ceTerms
+        };
+
+        this.eigenvalues = [-alpha, -beta, -gamma, -ke0];
+        this.dimension = this.eigenvalues.length;
+        this.projectors = null;
+        this.transitionCache = new Map();
+    }
+
+    /**
+     * 状態 x = [a1, a2, a3, ce] の系行列（dx/dt = K x + b × rate, b = [1, 0, 0, 0]）
+     */
+    getSystemMatrix() {
+        const { v1, k10, k12, k13, k21, k31 } = this.pkParams;
+        return [
+            [-(k10 + k12 + k13), k21, k31, 0],
+            [k12, -k21, 0, 0],
+            [k13, 0, -k31, 0],
+            [this.ke0 / v1, 0, 0, -this.ke0]
+        ];
+    }
+
+    /**
+     * Sylvester の公式の射影行列 P_i = Π_{j≠i} (K - μ_j I) / (μ_i - μ_j)
+     */
+    getProjectors() {
+        if (this.projectors) return this.projectors;
+
+        const K = this.getSystemMatrix();
+        const identity = K.map((row, i) => row.map((_, j) => (i === j ? 1 : 0)));
+        const multiply = (X, Y) => X.map((row, i) =>
+            row.map((_, j) => row.reduce((sum, x, k) => sum + x * Y[k][j], 0))
+        );
+
+        this.projectors = this.eigenvalues.map((mi, i) => {
+            let P = identity;
+            this.eigenvalues.forEach((mj, j) => {
+                if (j === i) return;
+                const factor = K.map((row, r) =>
+                    row.map((value, c) => (value - (r === c ? mj : 0)) / (mi - mj))
+                );
+                P = multiply(P, factor);
+            });
+            return P;
+        });
+        return this.projectors;
+    }
+
+    /**
+     * 時間幅 dt（分）の状態遷移: x(t+dt) = Φ x(t) + Γ × rate
+     */
+    getTransition(dt) {
+        const cached = this.transitionCache.get(dt);
+        if (cached) return cached;
+
+        const projectors = this.getProjectors();
+        const n = this.dimension;
+        const phi = Array.from({ length: n }, () => new Array(n).fill(0));
+        const gamma = new Array(n).fill(0);
+
+        projectors.forEach((P, i) => {
+            const mu = this.eigenvalues[i];
+            const decay = Math.exp(mu * dt);
+            const integral = (decay - 1) / mu;
+            for (let r = 0; r < n; r++) {
+                for (let c = 0; c < n; c++) {
+                    phi[r][c] += decay * P[r][c];
+                }
+                gamma[r] += integral * P[r][0];
+            }
+        });
+
+        const transition = { phi, gamma };
+        if (this.transitionCache.size > 64) {
+            this.transitionCache.clear();
+        }
+        this.transitionCache.set(dt, transition);
+        return transition;
+    }
+
+    /**
+     * 状態 { a1, a2, a3, ce } を投与速度 rate（mg/min）で dt 分進める
+     */
+    advance(state, rate, dt) {
+        const { phi, gamma } = this.getTransition(dt);
+        const x = [state.a1, state.a2, state.a3, state.ce];
+        const next = phi.map((row, r) =>
+            row.reduce((sum, value, c) => sum + value * x[c], 0) + gamma[r] * rate
+        );
+        return { a1: next[0], a2: next[1], a3: next[2], ce: next[3] };
+    }
+
+    /**
+     * 投与イベント列に対する出力時刻ごとの { a1, a2, a3, cp, ce }（時刻は昇順）
+     * 時刻とイベントを順に処理し、状態遷移で区間ごとに進める（イベント数に比例する計算量）
+     */
+    simulateEvents(doseEvents, times) {
+        const events = doseEvents
+            .filter(event => event.type === 'bolus' || event.type === 'infusion')
+            .sort((a, b) => a.time - b.time);
+        const v1 = this.pkParams.v1;
+        let state = { a1: 0, a2: 0, a3: 0, ce: 0 };
+        let currentTime = 0;
+        let rate = 0;
+        let eventIndex = 0;
+
+        return times.map(time => {
+            while (eventIndex < events.length && events[eventIndex].time <= time) {
+                const event = events[eventIndex++];
+                if (event.time > currentTime) {
+                    state = this.advance(state, rate, event.time - currentTime);
+                    currentTime = event.time;
+                }
+                if (event.type === 'bolus') {
+                    state = { ...state, a1: state.a1 + event.amount };
+                } else {
+                    rate = event.rate;
+                }
+            }
+            if (time > currentTime) {
+                state = this.advance(state, rate, time - currentTime);
+                currentTime = time;
+            }
+            return { ...state, cp: state.a1 / v1 };
+        });
+    }
+
+    /**
+     * 単位ボーラス（1 mg）投与後 t 分の応答
+     */
+    static evaluateBolus(terms, t) {
+        return terms.reduce((sum, term) => sum + term.coef * Math.exp(-term.rate * t), 0);
+    }
+
+    /**
+     * 単位持続投与（1 mg/min）を t 分間続けた時点の応答
+     */
+    static evaluateInfusion(terms, t) {
+        return terms.reduce((sum, term) => sum + term.coef * (1 - Math.exp(-term.rate * t)) / term.rate, 0);
+    }
+
+    /**
+     * 投与イベント列を重ね合わせ用の成分（ボーラス量・投与速度の変化量）に変換
+     */
+    static toSuperpositionComponents(doseEvents) {
+        const sorted = [...doseEvents].sort((a, b) => a.time - b.time);
+        const components = [];
+        let currentRate = 0;
+
+        for (const event of sorted) {
+            if (event.type === 'bolus') {
+                components.push({ type: 'bolus', time: event.time, amount: event.amount });
+            } else if (event.type === 'infusion') {
+                const delta = event.rate - currentRate;
+                if (delta !== 0) {
+                    components.push({ type: 'infusion', time: event.time, rate: delta });
+                }
+                currentRate = event.rate;
+            }
+        }
+        return components;
+    }
+
+    /**
+     * 時刻 t（分）における各コンパートメント量と濃度
+     */
+    calculateAt(t, doseEvents) {
+        const components = AnalyticalPKEngine.toSuperpositionComponents(doseEvents);
+        const result = { time: t, a1: 0, a2: 0, a3: 0, ce: 0 };
+
+        for (const component of components) {
+            const dt = t - component.time;
+            if (dt < 0) continue;
+
+            for (const key of ['a1', 'a2', 'a3', 'ce']) {
+                const terms = this.bolusTerms[key];
+                result[key] += component.type === 'bolus'
+                    ? component.amount * AnalyticalPKEngine.evaluateBolus(terms, dt)
+                    : component.rate * AnalyticalPKEngine.evaluateInfusion(terms, dt);
+            }
+        }
+
+        result.cp = result.a1 / this.pkParams.v1;
+        return result;
+    }
+
+    /**
+     * 複数時刻での計算
+     */
+    calculateSeries(times, doseEvents) {
+        return times.map(t => this.calculateAt(t, doseEvents));
+    }
+}
+
+// Export for use in other modules
+if (typeof window !== 'undefined') {
+    window.AnalyticalPKEngine = AnalyticalPKEngine;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { AnalyticalPKEngine };
+}
@@ -0,0 +1,157 @@
+/**
+ * Bayesian Estimator - 実測血漿濃度による個別化（MAP推定）
+ *
+ * 事前分布: Masui 典型値と個体間変動（対数正規, ω は POPULATION_DEFAULTS.cv から）
+ *   P_i = θ × exp(η),  η ~ N(0, ω²)
+ * 残差: 対数加法（比例誤差）  ln(C_obs) = ln(C_pred) + ε,  ε ~ N(0, σ²)
+ *
+ * 目的関数（-2 log 事後確率、定数項を除く）:
+ *   OBJ(η) = Σ (ln C_obs - ln C_pred(η))² / σ² + Σ η² / ω²
+ * を Nelder-Mead 法で最小化する。
+ *
+ * 血漿濃度からは ke0 を推定できないため、ke0 は典型値のまま固定する。
+ *
+ * ω の既定値は母集団シミュレーションと共通の POPULATION_DEFAULTS.cv、σ の既定値は
+ * BAYESIAN_DEFAULTS.residualSD。いずれも画面上で編集できる。
+ *
+ * 注意: ω と σ の既定値はいずれも仮定値で、Masui 2022 で推定された個体間変動・残差誤差
+ * ではない。推定結果はこの事前分布を仮定した例示であり、画面・レポートにもその旨を示す
+ * （BAYESIAN_DEFAULTS.source）。
+ */
+
+const BayesianDeps = (typeof module !== 'undefined' && module.exports)
+    ? {
+        ...require('./analytical-engine.js'),
+        ...require('./population-simulation.js'),
+        ...require('./utils/nelder-mead.js')
+    }
+    : {
+        AnalyticalPKEngine: window.AnalyticalPKEngine,
+        PopulationSimulator: window.PopulationSimulator,
+        POPULATION_DEFAULTS: window.POPULATION_DEFAULTS,
+        NelderMead: window.NelderMead
+    };
+
+const BAYESIAN_DEFAULTS = {
+    keys: ['v1', 'v2', 'v3', 'cl', 'q2', 'q3'],
+    residualSD: 0.2,        // 対数残差の標準偏差（仮定値）
+    maxIterations: 3000,
+    tolerance: 1e-9,
+    // 事前分布（ω）と残差（σ）の既定値の出典
+    source: {
+        citation: null,
+        description: '仮定値（Masui 2022 の個体間変動・残差誤差の推定値ではない）',
+        verified: false
+    }
+};
+
+class BayesianEstimator {
+    /**
+     * @param {Object} typicalParams - 典型値 { v1, v2, v3, cl, q2, q3, ke0 }
+     */
+    constructor(typicalParams, options = {}) {
+        this.typicalParams = typicalParams;
+        this.options = {
+            ...BAYESIAN_DEFAULTS,
+            ...options,
+            cv: { ...BayesianDeps.POPULATION_DEFAULTS.cv, ...options.cv }
+        };
+        this.omegas = this.options.keys.map(key => {
+            const cv = this.options.cv[key];
+            if (!Number.isFinite(cv) || cv <= 0) {
+                throw new Error(`${key.toUpperCase()} の個体間変動（CV）は正の値を指定してください`);
+            }
+            return Math.sqrt(Math.log(1 + cv * cv));
+        });
+        if (!Number.isFinite(this.options.residualSD) || this.options.residualSD <= 0) {
+            throw new Error('残差の標準偏差は正の値を指定してください');
+        }
+    }
+
+    /**
+     * η ベクトルから PK パラメータ（ke0 は典型値）
+     */
+    getParameters(etas) {
+        const params = { ...this.typicalParams };
+        this.options.keys.forEach((key, i) => {
+            params[key] = this.typicalParams[key] * Math.exp(etas[i]);
+        });
+        return BayesianDeps.PopulationSimulator.withRateConstants(params);
+    }
+
+    /**
+     * 測定時刻の予測血漿濃度
+     */
+    predict(etas, doseEvents, times) {
+        const engine = new BayesianDeps.AnalyticalPKEngine(this.getParameters(etas));
+        return engine.simulateEvents(doseEvents, times).map(point => point.cp);
+    }
+
+    /**
+     * @param {Array} observations - [{ time, concentration }]（分, µg/mL）
+     */
+    objective(etas, observations, doseEvents) {
+        let predictions;
+        try {
+            predictions = this.predict(etas, doseEvents, observations.map(obs => obs.time));
+        } catch (error) {
+            return Infinity;
+        }
+
+        const sigma = this.options.residualSD;
+        let value = 0;
+        observations.forEach((obs, i) => {
+            if (!(predictions[i] > 0)) {
+                value = Infinity;
+                return;
+            }
+            const residual = Math.log(obs.concentration) - Math.log(predictions[i]);
+            value += (residual * residual) / (sigma * sigma);
+        });
+        etas.forEach((eta, i) => {
+            value += (eta * eta) / (this.omegas[i] * this.omegas[i]);
+        });
+        return value;
+    }
+
+    /**
+     * MAP 推定
+     * @returns {Object} { params, etas, objective, priorObjective, iterations, converged }
+     */
+    estimate(observations, doseEvents) {
+        // AnalyticalPKEngine.simulateEvents は昇順の時刻を前提とするため、測定時刻順に並べる
+        const valid = observations
+            .filter(obs => obs.time > 0 && obs.concentration > 0)
+            .sort((a, b) => a.time - b.time);
+        if (valid.length === 0) {
+            throw new Error('有効な測定値がありません');
+        }
+
+        const start = new Array(this.options.keys.length).fill(0);
+        const f = etas => this.objective(etas, valid, doseEvents);
+        const result = BayesianDeps.NelderMead.minimize(f, start, {
+            step: 0.2,
+            maxIterations: this.options.maxIterations,
+            tolerance: this.options.tolerance
+        });
+
+        return {
+            params: this.getParameters(result.x),
+            etas: Object.fromEntries(this.options.keys.map((key, i) => [key, result.x[i]])),
+            objective: result.fx,
+            priorObjective: f(start),
+            iterations: result.iterations,
+            converged: result.converged
+        };
+    }
+}
+
+// Export for use in other modules
+if (typeof window !== 'undefined') {
+    window.BayesianEstimator = BayesianEstimator;
+    window.BAYESIAN_DEFAULTS = BAYESIAN_DEFAULTS;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { BayesianEstimator, BAYESIAN_DEFAULTS };
+}
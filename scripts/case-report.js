@@ -0,0 +1,272 @@
+/**
+ * Case Report - 印刷用の症例レポート
+ *
+ * 症例報告・研究記録に添付できるよう、次の内容を1ページにまとめる:
+ *   - 患者共変量（Masui 共変量モデルの IBW/ABW を含む）
+ *   - 使用したPKパラメータ（V1〜V3・CL・Q2・Q3・速度定数）と ke0・その算出方法
+ *   - 薬液調製（バイアル量・溶解液量・濃度）とポンプの流量刻み・最大流量
+ *   - Cp/Ce の推移グラフ（描画は UI が #report-chart に行う）
+ *   - 投与経過（TCIの連続した速度調整は1行に要約）・臨床イベント・記録の一覧
+ *
+ * build はエンジンの状態からレポートのデータを作り、renderHTML はそれを HTML 文字列にする。
+ * いずれもDOMに依存しない。
+ */
+
+const CaseReportDeps = (typeof module !== 'undefined' && module.exports)
+    ? {
+        ...require('./masui-ke0-exact.js'),
+        ...require('./masui-model.js'),
+        ...require('./pk-model-registry.js'),
+        ...require('./utils/time-format.js')
+    }
+    : {
+        MasuiKe0Calculator: window.MasuiKe0Calculator,
+        MasuiModel: window.MasuiModel,
+        PKModelRegistry: window.PKModelRegistry,
+        KE0_METHOD_LABELS: window.KE0_METHOD_LABELS,
+        formatMinutes: window.formatMinutes
+    };
+
+const REPORT_PARAMETER_ROWS = [
+    { key: 'v1', label: 'V1', unit: 'L', digits: 3 },
+    { key: 'v2', label: 'V2', unit: 'L', digits: 3 },
+    { key: 'v3', label: 'V3', unit: 'L', digits: 3 },
+    { key: 'cl', label: 'CL', unit: 'L/min', digits: 4 },
+    { key: 'q2', label: 'Q2', unit: 'L/min', digits: 4 },
+    { key: 'q3', label: 'Q3', unit: 'L/min', digits: 4 },
+    { key: 'k10', label: 'k10', unit: '1/min', digits: 5 },
+    { key: 'k12', label: 'k12', unit: '1/min', digits: 5 },
+    { key: 'k21', label: 'k21', unit: '1/min', digits: 5 },
+    { key: 'k13', label: 'k13', unit: '1/min', digits: 5 },
+    { key: 'k31', label: 'k31', unit: '1/min', digits: 5 }
+];
+
+const DOSING_MODE_LABELS = {
+    manual: '手動投与',
+    'tci-effect': '効果部位TCI',
+    'tci-plasma': '血漿TCI'
+};
+
+class CaseReport {
+    /**
+     * @param {EnhancedSimulationEngine} simulator
+     * @param {Object} options - { events: 投与イベント（時刻順）, describeEvent: event => 説明文 }
+     */
+    static build(simulator, options = {}) {
+        const { patient, pkParams } = simulator;
+        if (!patient || !pkParams) {
+            throw new Error('レポートを作成するシミュレーション結果がありません');
+        }
+        const { age, weight, height, sex, asaPS } = CaseReportDeps.MasuiModel.getCovariates(patient);
+        const covariates = CaseReportDeps.MasuiKe0Calculator.calculatePKParameters(age, weight, height, sex, asaPS);
+        const model = simulator.pkModelId ? CaseReportDeps.PKModelRegistry.get(simulator.pkModelId) : null;
+        const describeEvent = options.describeEvent || (event => event.type);
+
+        return {
+            generatedAt: new Date(),
+            startedAt: simulator.startTime,
+            elapsedTime: simulator.getElapsedTimeString(),
+            patient: {
+                age: patient.age,
+                weight: patient.weight,
+                height: patient.height,
+                sex: patient.sex,
+                asaPS: patient.asaPS,
+                bmi: weight / Math.pow(height / 100, 2),
+                ibw: covariates.IBW,
+                abw: covariates.ABW
+            },
+            model: model
+                ? { id: model.id, label: model.label, citation: model.source.citation, verified: model.source.verified }
+                : null,
+            individualized: Boolean(simulator.populationPkParams),
+            parameters: REPORT_PARAMETER_ROWS.map(row => ({ ...row, value: pkParams[row.key] })),
+            ke0: {
+                value: pkParams.ke0,
+                method: pkParams.ke0Method ? CaseReportDeps.KE0_METHOD_LABELS[pkParams.ke0Method] : null,
+                source: model ? model.ke0Source : null
+            },
+            calculationMode: simulator.calculationMode === 'analytical' ? '解析解 (3指数関数)' : '数値積分 (ODE)',
+            dosingMode: DOSING_MODE_LABELS[simulator.dosingMode] || simulator.dosingMode,
+            drugPreparation: simulator.drugPreparation ? simulator.drugPreparation.toJSON() : null,
+            timeline: CaseReport.buildTimeline(options.events || simulator.doseEvents, describeEvent, patient.weight),
+            clinicalEvents: [...(simulator.clinicalEvents || [])].sort((a, b) => a.time - b.time),
+            snapshots: [...simulator.snapshots].reverse().map((snapshot, i) => ({
+                index: i + 1,
+                timestamp: snapshot.timestamp,
+                time: snapshot.time,
+                cp: snapshot.plasmaConcentration,
+                ce: snapshot.effectSiteConcentration
+            }))
+        };
+    }
+
+    /**
+     * 投与経過の行 [{ time, description }]
+     * TCIの速度調整は頻繁なため、連続するものを期間と速度範囲の1行にまとめる
+     */
+    static buildTimeline(events, describeEvent, weight) {
+        const rows = [];
+        let group = null;
+        const closeGroup = () => {
+            if (!group) return;
+            const rates = group.map(event => (event.rate * 60) / weight);
+            rows.push(group.length === 1
+                ? { time: group[0].time, description: describeEvent(group[0]) }
+                : {
+                    time: group[0].time,
+                    description: `TCI 投与速度の調整 ${group.length}回（〜${CaseReportDeps.formatMinutes(group[group.length - 1].time)}、` +
+                        `${Math.min(...rates).toFixed(2)}〜${Math.max(...rates).toFixed(2)} mg/kg/hr）`
+                });
+            group = null;
+        };
+
+        events.forEach(event => {
+            if (event.source === 'tci') {
+                group = group || [];
+                group.push(event);
+                return;
+            }
+            closeGroup();
+            // 開始時の 0 mg ボーラスは記載しない
+            if (event.type === 'bolus' && !(event.amount > 0)) return;
+            rows.push({ time: event.time, description: describeEvent(event) });
+        });
+        closeGroup();
+        return rows;
+    }
+
+    static escapeHTML(value) {
+        return String(value)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+
+    static renderHTML(report) {
+        const escape = CaseReport.escapeHTML;
+        const { patient } = report;
+        const row = (label, value) => `<tr><th>${escape(label)}</th><td>${escape(value)}</td></tr>`;
+        const modelLabel = report.model
+            ? `${report.model.label}（${report.model.citation}${report.model.verified ? '' : '・仮値・要原著確認'}）`
+            : '不明';
+
+        const preparation = report.drugPreparation;
+        const parameterRows = report.parameters.map(parameter => `
+            <tr><th>${parameter.label}</th><td>${parameter.value.toFixed(parameter.digits)}</td><td>${parameter.unit}</td></tr>
+        `).join('');
+        const timelineRows = report.timeline.map(item => `
+            <tr><td>${CaseReportDeps.formatMinutes(item.time)}</td><td>${escape(item.description)}</td></tr>
+        `).join('');
+        const clinicalEventRows = report.clinicalEvents.map(event => `
+            <tr>
+                <td>${CaseReportDeps.formatMinutes(event.time)}</td>
+                <td>${escape(event.label)}</td>
+                <td>${event.cp.toFixed(3)}</td>
+                <td>${event.ce.toFixed(3)}</td>
+            </tr>
+        `).join('');
+        const snapshotRows = report.snapshots.map(snapshot => `
+            <tr>
+                <td>${snapshot.index}</td>
+                <td>${snapshot.timestamp.toLocaleTimeString()}</td>
+                <td>${CaseReportDeps.formatMinutes(snapshot.time)}</td>
+                <td>${snapshot.cp.toFixed(3)}</td>
+                <td>${snapshot.ce.toFixed(3)}</td>
+            </tr>
+        `).join('');
+
+        return `
+            <div class="report">
+                <header class="report-header">
+                    <h2>レミマゾラム PK/PD シミュレーション 症例レポート</h2>
+                    <div class="report-meta">
+                        作成 ${escape(report.generatedAt.toLocaleString())} /
+                        開始 ${report.startedAt ? escape(report.startedAt.toLocaleString()) : '--'} /
+                        経過 ${escape(report.elapsedTime)}
+                    </div>
+                </header>
+
+                <div class="report-columns">
+                    <section class="report-block">
+                        <h3>患者共変量</h3>
+                        <table class="report-table">
+                            ${row('年齢', `${patient.age} 歳`)}
+                            ${row('体重 (TBW)', `${patient.weight.toFixed(1)} kg`)}
+                            ${row('身長', `${patient.height.toFixed(0)} cm`)}
+                            ${row('性別', patient.sex === 'male' ? '男性' : '女性')}
+                            ${row('ASA-PS', patient.asaPS === '1-2' ? 'I-II' : 'III-IV')}
+                            ${row('BMI', patient.bmi.toFixed(1))}
+                            ${row('IBW', `${patient.ibw.toFixed(1)} kg`)}
+                            ${row('ABW', `${patient.abw.toFixed(1)} kg`)}
+                        </table>
+                    </section>
+
+                    <section class="report-block">
+                        <h3>PKパラメータ</h3>
+                        <p class="report-small">${escape(modelLabel)}${report.individualized ? ' / ベイズ推定で個別化（仮定した事前分布による例示）' : ''}</p>
+                        <table class="report-table">
+                            ${parameterRows}
+                            <tr><th>ke0</th><td>${report.ke0.value.toFixed(5)}</td><td>1/min</td></tr>
+                        </table>
+                        <p class="report-small">
+                            ke0 算出方法: ${escape(report.ke0.method || '不明')}${report.ke0.source ? `（${escape(report.ke0.source)}）` : ''}<br>
+                            投与モード: ${escape(report.dosingMode)} / 計算法: ${escape(report.calculationMode)}
+                            ${preparation ? `<br>薬液: ${preparation.vialMg} mg / ${preparation.diluentMl} mL（${preparation.concentrationMgPerMl.toFixed(2)} mg/mL）/ ` +
+                                `ポンプ: 刻み ${preparation.rateStepMlPerHour} mL/h・最大 ${preparation.maxRateMlPerHour} mL/h` : ''}
+                        </p>
+                    </section>
+                </div>
+
+                <section class="report-block">
+                    <h3>濃度推移</h3>
+                    <div id="report-chart" class="report-chart"></div>
+                </section>
+
+                <section class="report-block">
+                    <h3>投与経過</h3>
+                    ${report.timeline.length > 0 ? `
+                        <table class="report-table report-list">
+                            <tr><th>経過時間</th><th>内容</th></tr>
+                            ${timelineRows}
+                        </table>
+                    ` : '<p class="report-small">投与なし</p>'}
+                </section>
+
+                <section class="report-block">
+                    <h3>臨床イベント</h3>
+                    ${report.clinicalEvents.length > 0 ? `
+                        <table class="report-table report-list">
+                            <tr><th>経過時間</th><th>イベント</th><th>Cp (µg/mL)</th><th>Ce (µg/mL)</th></tr>
+                            ${clinicalEventRows}
+                        </table>
+                    ` : '<p class="report-small">記録なし</p>'}
+                </section>
+
+                <section class="report-block">
+                    <h3>記録</h3>
+                    ${report.snapshots.length > 0 ? `
+                        <table class="report-table report-list">
+                            <tr><th>No.</th><th>時刻</th><th>経過時間</th><th>Cp (µg/mL)</th><th>Ce (µg/mL)</th></tr>
+                            ${snapshotRows}
+                        </table>
+                    ` : '<p class="report-small">記録なし</p>'}
+                </section>
+
+                <p class="report-note">
+                    本レポートは薬物動態モデルに基づくシミュレーション結果（理論値）であり、実際の患者の反応を保証するものではありません。
+                </p>
+            </div>
+        `;
+    }
+}
+
+// Export for use in other modules
+if (typeof window !== 'undefined') {
+    window.CaseReport = CaseReport;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { CaseReport };
+}
@@ -0,0 +1,183 @@
+#!/usr/bin/env node
+/**
+ * CLI - 投与レジメン（JSON）からのコマンドライン・シミュレーション（Node.js専用）
+ *
+ *   node scripts/cli.js <regimen.json> [--format csv|json] [--times 開始:終了:刻み]
+ *                       [--model id] [--method analytical|ode]
+ *
+ * 入力JSON:
+ *   {
+ *     "patient": { "age", "weight", "height", "sex", "asaPS" },   // または "patients": [...]
+ *     "regimen": [ { "time", "type": "bolus", "amount" }, { "time", "type": "infusion", "rate" | "continuousDose" } ],
+ *     "times": [0, 1, 2, ...] または { "start": 0, "end": 60, "step": 1 },
+ *     "model": "masui2022",      // 省略可
+ *     "method": "analytical"     // 省略可
+ *   }
+ *
+ * 出力: CSV（既定）または JSON を標準出力へ。
+ * 患者ごとの ke0（シミュレーションで使用した値とその算出方法・数値解析・重回帰）は JSON では
+ * 結果に含め、CSV では標準出力を汚さないよう標準エラー出力に表示する。0 以下の ke0 は無効
+ * （JSON では null、CSV では invalid）とし、シミュレーションに使う ke0 を求められない患者が
+ * あれば終了コード 1 で終了する。
+ */
+
+const fs = require('fs');
+const { simulate } = require('./simulate.js');
+const { MasuiModel } = require('./masui-model.js');
+const { MasuiKe0Calculator } = require('./masui-ke0-exact.js');
+
+const CLI_DEFAULTS = {
+    format: 'csv',
+    times: { start: 0, end: 60, step: 1 }
+};
+
+const USAGE = `使い方: node scripts/cli.js <regimen.json> [オプション]
+
+オプション:
+  --format csv|json           出力形式（既定: csv）
+  --times 開始:終了:刻み       出力時刻（分）。JSONの times より優先
+  --model id                  PKモデル（既定: masui2022）
+  --method analytical|ode     計算法（既定: analytical）
+  --help                      このヘルプを表示`;
+
+function parseArgs(argv) {
+    const args = { file: null };
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '--help' || arg === '-h') {
+            args.help = true;
+        } else if (['--format', '--times', '--model', '--method'].includes(arg)) {
+            if (i + 1 >= argv.length) {
+                throw new Error(`${arg} に値がありません`);
+            }
+            args[arg.slice(2)] = argv[++i];
+        } else if (arg.startsWith('--')) {
+            throw new Error(`不明なオプションです: ${arg}`);
+        } else {
+            args.file = arg;
+        }
+    }
+    return args;
+}
+
+/**
+ * 出力時刻: 配列、{ start, end, step }、または "開始:終了:刻み"
+ */
+function buildTimes(spec) {
+    if (Array.isArray(spec)) {
+        return spec.map(Number);
+    }
+    const range = typeof spec === 'string'
+        ? (([start, end, step]) => ({ start, end, step }))(spec.split(':').map(Number))
+        : spec;
+    const { start, end, step } = range;
+    if (![start, end, step].every(Number.isFinite) || step <= 0 || end < start) {
+        throw new Error('出力時刻の指定が不正です（開始:終了:刻み）');
+    }
+    const count = Math.floor((end - start) / step + 1e-9) + 1;
+    return Array.from({ length: count }, (_, i) => Number((start + i * step).toFixed(10)));
+}
+
+// 0 以下・非数の ke0 は無効（null）として扱う
+const validKe0 = value => (Number.isFinite(value) && value > 0 ? value : null);
+
+/**
+ * Masui ke0: 数値解析（既定の探索区間）と重回帰モデルの値（無効な値は null）
+ */
+function calculateMasuiKe0(patient) {
+    const { age, weight, height, sex, asaPS } = MasuiModel.getCovariates(patient);
+    const coefficients = MasuiKe0Calculator.calculatePlasmaCoefficients(MasuiModel.calculateParameters(patient));
+    return {
+        numerical: validKe0(MasuiKe0Calculator.calculateKe0Numerical(coefficients)),
+        regression: validKe0(MasuiKe0Calculator.calculateKe0Regression(age, weight, height, sex, asaPS))
+    };
+}
+
+/**
+ * @returns {Array} 患者ごとの { patient, modelId, ke0: { used, method, numerical, regression }, points }
+ */
+function runConfig(config, overrides = {}) {
+    const patients = config.patients || (config.patient ? [config.patient] : []);
+    if (patients.length === 0) {
+        throw new Error('patient または patients を指定してください');
+    }
+    const times = buildTimes(overrides.times || config.times || CLI_DEFAULTS.times);
+    const options = {};
+    ['model', 'method'].forEach(key => {
+        const value = overrides[key] || config[key];
+        if (value) options[key] = value;
+    });
+
+    return patients.map(patient => {
+        const result = simulate(patient, config.regimen || [], times, options);
+        return {
+            patient,
+            modelId: result.modelId,
+            method: result.method,
+            ke0: {
+                used: validKe0(result.pkParams.ke0),
+                method: result.pkParams.ke0Method || null,
+                ...calculateMasuiKe0(patient)
+            },
+            points: result.points
+        };
+    });
+}
+
+function toCSV(results) {
+    const columns = ['time', 'cp', 'ce', 'a1', 'a2', 'a3'];
+    const lines = [['patient', ...columns].join(',')];
+    results.forEach((result, index) => {
+        result.points.forEach(point => {
+            lines.push([index + 1, ...columns.map(key => point[key])].join(','));
+        });
+    });
+    return lines.join('\n');
+}
+
+function formatKe0(value) {
+    return value === null || value === undefined ? 'invalid' : value.toFixed(5);
+}
+
+function main(argv = process.argv.slice(2)) {
+    const args = parseArgs(argv);
+    if (args.help || !args.file) {
+        console.log(USAGE);
+        return args.help ? 0 : 1;
+    }
+
+    const config = JSON.parse(fs.readFileSync(args.file, 'utf8'));
+    const results = runConfig(config, args);
+    const format = args.format || config.format || CLI_DEFAULTS.format;
+
+    if (format === 'json') {
+        console.log(JSON.stringify({ results }, null, 2));
+    } else if (format === 'csv') {
+        results.forEach((result, index) => {
+            console.error(`# patient ${index + 1} (${result.modelId || 'custom'}): ke0 used=${formatKe0(result.ke0.used)} ` +
+                `(${result.ke0.method || 'custom'}) ` +
+                `numerical=${formatKe0(result.ke0.numerical)} regression=${formatKe0(result.ke0.regression)} (1/min)`);
+        });
+        console.log(toCSV(results));
+    } else {
+        throw new Error(`未対応の出力形式です: ${format}`);
+    }
+
+    // シミュレーションに使う ke0 を求められなかった患者があれば失敗として終了する
+    const failed = results.filter(result => result.ke0.used === null);
+    failed.forEach(result => {
+        console.error(`エラー: patient ${results.indexOf(result) + 1} の ke0 を算出できませんでした`);
+    });
+    return failed.length > 0 ? 1 : 0;
+}
+
+if (require.main === module) {
+    try {
+        process.exitCode = main();
+    } catch (error) {
+        console.error(`エラー: ${error.message}`);
+        process.exitCode = 1;
+    }
+}
+
+module.exports = { main, parseArgs, buildTimes, runConfig, toCSV, calculateMasuiKe0, CLI_DEFAULTS };
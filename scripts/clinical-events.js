@@ -0,0 +1,116 @@
+/**
+ * Clinical Events - 臨床イベント（睫毛反射消失・意識消失・挿管など）の定義と症例横断の集計
+ *
+ * イベントはエンジンが { type, label, time, timestamp, cp, ce } として記録し、
+ * 濃度推移グラフ・書き出し・レポート・保存した症例に含まれる。
+ * query は保存した症例から指定したイベントの記録時の濃度を集める
+ * （例: 直近30症例の意識消失時のCe）。各症例で最初に記録されたものを用いる。
+ *
+ * 時間の単位は分、濃度は µg/mL。
+ */
+
+const CLINICAL_EVENT_TYPES = [
+    { id: 'eyelash', label: '睫毛反射消失', short: 'EL', color: '#9c27b0' },
+    { id: 'loc', label: '意識消失 (LOC)', short: 'LOC', color: '#e91e63' },
+    { id: 'intubation', label: '挿管', short: 'ETI', color: '#795548' },
+    { id: 'incision', label: '執刀', short: 'INC', color: '#ff9800' },
+    { id: 'eyesOpen', label: '開眼', short: 'EO', color: '#009688' },
+    // 任意のテキスト（label に入力したテキストを用いる）
+    { id: 'custom', label: 'その他', short: '*', color: '#607d8b' }
+];
+
+const CLINICAL_EVENT_DEFAULTS = {
+    queryLimit: 30          // 集計する症例数（新しい順）
+};
+
+class ClinicalEvents {
+    static getType(id) {
+        const type = CLINICAL_EVENT_TYPES.find(item => item.id === id);
+        if (!type) {
+            throw new Error(`未登録の臨床イベントです: ${id}`);
+        }
+        return type;
+    }
+
+    /**
+     * 記録するイベント（custom は text が必須）
+     */
+    static create(typeId, text, { time, cp, ce, timestamp = new Date() }) {
+        const type = ClinicalEvents.getType(typeId);
+        const customText = (text || '').trim();
+        if (type.id === 'custom' && !customText) {
+            throw new Error('イベントの内容を入力してください');
+        }
+        return {
+            type: type.id,
+            label: type.id === 'custom' ? customText : type.label,
+            time,
+            timestamp,
+            cp,
+            ce
+        };
+    }
+
+    static summarize(values) {
+        if (values.length === 0) return null;
+        const sorted = [...values].sort((a, b) => a - b);
+        const mean = values.reduce((sum, value) => sum + value, 0) / values.length;
+        const variance = values.length > 1
+            ? values.reduce((sum, value) => sum + (value - mean) ** 2, 0) / (values.length - 1)
+            : 0;
+        const middle = Math.floor(sorted.length / 2);
+        return {
+            count: values.length,
+            mean,
+            sd: Math.sqrt(variance),
+            median: sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2,
+            min: sorted[0],
+            max: sorted[sorted.length - 1]
+        };
+    }
+
+    /**
+     * 保存した症例から指定イベント時の濃度を集める
+     * @param {Array} sessions - SessionStore のセッション
+     * @param {string} typeId - イベントの種類（custom の場合は options.label で内容を指定）
+     * @returns {Object} { rows: [{ sessionId, startedAt, patient, time, cp, ce }], ce: 要約統計, cp: 要約統計 }
+     */
+    static query(sessions, typeId, options = {}) {
+        ClinicalEvents.getType(typeId);
+        const limit = options.limit || CLINICAL_EVENT_DEFAULTS.queryLimit;
+        const matches = event => event.type === typeId && (!options.label || event.label === options.label);
+
+        const rows = [...sessions]
+            .sort((a, b) => (b.startedAt || '').localeCompare(a.startedAt || ''))
+            .map(session => {
+                const event = (session.clinicalEvents || []).filter(matches).sort((a, b) => a.time - b.time)[0];
+                return event ? {
+                    sessionId: session.id,
+                    startedAt: session.startedAt,
+                    patient: session.patient,
+                    time: event.time,
+                    cp: event.cp,
+                    ce: event.ce
+                } : null;
+            })
+            .filter(Boolean)
+            .slice(0, limit);
+
+        return {
+            rows,
+            ce: ClinicalEvents.summarize(rows.map(row => row.ce)),
+            cp: ClinicalEvents.summarize(rows.map(row => row.cp))
+        };
+    }
+}
+
+// Export for use in other modules
+if (typeof window !== 'undefined') {
+    window.ClinicalEvents = ClinicalEvents;
+    window.CLINICAL_EVENT_TYPES = CLINICAL_EVENT_TYPES;
+    window.CLINICAL_EVENT_DEFAULTS = CLINICAL_EVENT_DEFAULTS;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { ClinicalEvents, CLINICAL_EVENT_TYPES, CLINICAL_EVENT_DEFAULTS };
+}
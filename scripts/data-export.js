@@ -0,0 +1,196 @@
+/**
+ * Data Export - 記録と濃度時系列の書き出し（CSV・JSON・TSV）
+ *
+ * 実行中または停止後のシミュレーションエンジンから
+ *   - ヘッダー: 患者共変量・PKモデルとパラメータ・ke0 の算出方法・計算法・薬液調製
+ *   - timeSeries: シミュレーション刻み（1秒）ごとの履歴 { time, cp, ce, a1, a2, a3, rate, rateMlPerHour, method }
+ *   - snapshots: 記録ボタンで保存した濃度（時刻順）
+ *   - events: 臨床イベント（睫毛反射消失・意識消失など）と記録時の濃度（時刻順）
+ * を文字列にする。CSV/TSV はヘッダーを "# 項目<区切り>値" の行として先頭に置く。
+ * ファイルの保存・クリップボードへのコピーは UI 側で行う（このモジュールはDOMに依存しない）。
+ *
+ * 時間の単位は分、濃度は µg/mL、量は mg、投与速度は mg/min（ポンプ流量は mL/h）。
+ */
+
+const ExportDeps = (typeof module !== 'undefined' && module.exports)
+    ? require('./pk-model-registry.js')
+    : {
+        PKModelRegistry: window.PKModelRegistry,
+        KE0_METHOD_LABELS: window.KE0_METHOD_LABELS
+    };
+
+const EXPORT_DATASETS = {
+    timeSeries: {
+        label: '時系列',
+        columns: [
+            { key: 'time', label: 'time_min' },
+            { key: 'cp', label: 'cp_ug_per_ml' },
+            { key: 'ce', label: 'ce_ug_per_ml' },
+            { key: 'a1', label: 'a1_mg' },
+            { key: 'a2', label: 'a2_mg' },
+            { key: 'a3', label: 'a3_mg' },
+            { key: 'rate', label: 'infusion_rate_mg_per_min' },
+            { key: 'rateMlPerHour', label: 'pump_rate_ml_per_h' },
+            { key: 'method', label: 'ce_method' }
+        ]
+    },
+    snapshots: {
+        label: '記録',
+        columns: [
+            { key: 'index', label: 'no' },
+            { key: 'timestamp', label: 'clock_time' },
+            { key: 'time', label: 'time_min' },
+            { key: 'cp', label: 'cp_ug_per_ml' },
+            { key: 'ce', label: 'ce_ug_per_ml' }
+        ]
+    },
+    events: {
+        label: '臨床イベント',
+        columns: [
+            { key: 'time', label: 'time_min' },
+            { key: 'timestamp', label: 'clock_time' },
+            { key: 'type', label: 'event_type' },
+            { key: 'label', label: 'event' },
+            { key: 'cp', label: 'cp_ug_per_ml' },
+            { key: 'ce', label: 'ce_ug_per_ml' }
+        ]
+    }
+};
+
+const PK_PARAMETER_KEYS = ['v1', 'v2', 'v3', 'cl', 'q2', 'q3', 'k10', 'k12', 'k21', 'k13', 'k31', 'ke0'];
+
+class SimulationExporter {
+    /**
+     * @param {EnhancedSimulationEngine} simulator
+     * @returns {Object} 患者・PKモデル・ke0 の算出方法などのヘッダー
+     */
+    static buildHeader(simulator) {
+        const { patient, pkParams } = simulator;
+        if (!patient || !pkParams) {
+            throw new Error('書き出すシミュレーション結果がありません');
+        }
+        const model = simulator.pkModelId && ExportDeps.PKModelRegistry
+            ? ExportDeps.PKModelRegistry.get(simulator.pkModelId)
+            : null;
+        const ke0Method = pkParams.ke0Method || null;
+
+        return {
+            exportedAt: new Date().toISOString(),
+            startedAt: simulator.startTime ? simulator.startTime.toISOString() : null,
+            patient: {
+                age: patient.age,
+                weight: patient.weight,
+                height: patient.height,
+                sex: patient.sex,
+                asaPS: patient.asaPS
+            },
+            pkModel: model ? model.id : null,
+            pkModelLabel: model ? model.label : null,
+            individualized: simulator.populationPkParams !== null && simulator.populationPkParams !== undefined,
+            pkParameters: Object.fromEntries(PK_PARAMETER_KEYS.map(key => [key, pkParams[key]])),
+            ke0Method,
+            ke0MethodLabel: ke0Method && ExportDeps.KE0_METHOD_LABELS ? ExportDeps.KE0_METHOD_LABELS[ke0Method] : null,
+            ke0Source: model ? model.ke0Source : null,
+            calculationMode: simulator.calculationMode,
+            dosingMode: simulator.dosingMode,
+            drugPreparation: simulator.drugPreparation ? simulator.drugPreparation.toJSON() : null,
+            units: { time: 'min', concentration: 'µg/mL', amount: 'mg', rate: 'mg/min', pumpRate: 'mL/h', volume: 'L', clearance: 'L/min', ke0: '1/min' }
+        };
+    }
+
+    /**
+     * @param {string} dataset - 'timeSeries' | 'snapshots' | 'events'
+     */
+    static getRows(simulator, dataset) {
+        if (dataset === 'timeSeries') {
+            const preparation = simulator.drugPreparation;
+            return simulator.history.map(point => ({
+                ...point,
+                rateMlPerHour: preparation ? Number(preparation.toMlPerHour(point.rate).toFixed(6)) : null
+            }));
+        }
+        if (dataset === 'snapshots') {
+            // 画面の「記録 N」と同じ番号（古い順）
+            return [...simulator.snapshots].reverse().map((snapshot, i) => ({
+                index: i + 1,
+                timestamp: snapshot.timestamp.toISOString(),
+                time: snapshot.time,
+                cp: snapshot.plasmaConcentration,
+                ce: snapshot.effectSiteConcentration
+            }));
+        }
+        if (dataset === 'events') {
+            return [...simulator.clinicalEvents]
+                .sort((a, b) => a.time - b.time)
+                .map(event => ({ ...event, timestamp: event.timestamp.toISOString() }));
+        }
+        throw new Error(`未対応のデータです: ${dataset}`);
+    }
+
+    // 入れ子のヘッダーを [['patient.age', 50], ...] に平坦化
+    static flattenHeader(header, prefix = '') {
+        return Object.entries(header).flatMap(([key, value]) => {
+            const name = prefix ? `${prefix}.${key}` : key;
+            return value !== null && typeof value === 'object'
+                ? SimulationExporter.flattenHeader(value, name)
+                : [[name, value]];
+        });
+    }
+
+    static formatCell(value, delimiter) {
+        const text = value === null || value === undefined ? '' : String(value);
+        if (delimiter === '\t') {
+            return text.replace(/[\t\r\n]+/g, ' ');
+        }
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    }
+
+    static toDelimited(simulator, dataset, delimiter) {
+        const { columns } = EXPORT_DATASETS[dataset];
+        const format = value => SimulationExporter.formatCell(value, delimiter);
+        const rows = SimulationExporter.getRows(simulator, dataset);
+        const lines = SimulationExporter.flattenHeader(SimulationExporter.buildHeader(simulator))
+            .map(([key, value]) => `# ${key}${delimiter}${format(value)}`);
+        lines.push(columns.map(column => column.label).join(delimiter));
+        rows.forEach(row => {
+            lines.push(columns.map(column => format(row[column.key])).join(delimiter));
+        });
+        return lines.join('\n');
+    }
+
+    static toCSV(simulator, dataset = 'timeSeries') {
+        return SimulationExporter.toDelimited(simulator, dataset, ',');
+    }
+
+    // 表計算ソフトへの貼り付け用
+    static toTSV(simulator, dataset = 'timeSeries') {
+        return SimulationExporter.toDelimited(simulator, dataset, '\t');
+    }
+
+    // ヘッダー・記録・臨床イベント・時系列をまとめた JSON
+    static toJSON(simulator) {
+        return JSON.stringify({
+            header: SimulationExporter.buildHeader(simulator),
+            snapshots: SimulationExporter.getRows(simulator, 'snapshots'),
+            events: SimulationExporter.getRows(simulator, 'events'),
+            timeSeries: SimulationExporter.getRows(simulator, 'timeSeries')
+        }, null, 2);
+    }
+
+    // 例: remimazolam_timeSeries_20250101-0930.csv
+    static createFileName(dataset, extension, date = new Date()) {
+        const pad = value => String(value).padStart(2, '0');
+        const stamp = `${date.getFullYear()}${pad(date.getMonth() + 1)}${pad(date.getDate())}-${pad(date.getHours())}${pad(date.getMinutes())}`;
+        return `remimazolam_${dataset}_${stamp}.${extension}`;
+    }
+}
+
+// Export for use in other modules
+if (typeof window !== 'undefined') {
+    window.SimulationExporter = SimulationExporter;
+    window.EXPORT_DATASETS = EXPORT_DATASETS;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { SimulationExporter, EXPORT_DATASETS };
+}
@@ -0,0 +1,146 @@
+/**
+ * Decrement Times - Context-sensitive 半減期と効果部位減少時間
+ *
+ * duration 分の投与を停止した後、
+ * - 血漿濃度を一定に保つ投与（Cp クランプ）から、血漿濃度が50%に低下するまでの時間
+ *   （context-sensitive half-time, CSHT）
+ * - 効果部位濃度を目標値に保つ投与（Ce クランプ）から、効果部位濃度が50/70/80%低下するまでの時間
+ * を患者個別パラメータで計算する。
+ *
+ * クランプ中の状態は閉形式で求まる（線形系のため濃度 1 で計算）:
+ *   Cp クランプ: a1 = V1, a2 = V1 × k12/k21 × (1 - e^(-k21 t)), a3 も同様, ce = 1 - e^(-ke0 t)
+ *   Ce クランプ: 開始時に Ce を目標値へ瞬時に上げるインパルス（∫Cp dt = 1/ke0）で
+ *     末梢へ V1 × k12/ke0（a3 は k13）が移行し、以後は Cp = Ce = 1:
+ *     a1 = V1, a2 = V1 × k12 × (1/k21 + (1/ke0 - 1/k21) × e^(-k21 t)), a3 も同様, ce = 1
+ * 停止後の推移は AnalyticalPKEngine.advance で厳密に進める。時間の単位は分。
+ */
+
+const DECREMENT_DEFAULTS = {
+    maxDuration: 480,       // 最大投与時間（分）: 8時間
+    durationStep: 10,       // 投与時間の刻み（分）
+    decrements: [50, 70, 80],
+    searchStep: 0.5,        // 交差点探索の粗い刻み（分）
+    maxSearch: 1440,        // 探索の上限（分）
+    tolerance: 1e-4,        // 二分法の許容誤差（分）
+    tableDurations: [30, 60, 90, 120, 180, 240, 300, 360, 420, 480]  // 表に示す投与時間（分）
+};
+
+class DecrementTimeCalculator {
+    /**
+     * @param {AnalyticalPKEngine} engine - 患者個別パラメータの解析解エンジン
+     */
+    constructor(engine, options = {}) {
+        this.engine = engine;
+        this.options = { ...DECREMENT_DEFAULTS, ...options };
+    }
+
+    /**
+     * Cp = 1 µg/mL を duration 分維持した時点の状態
+     */
+    getPlasmaClampedState(duration) {
+        const { v1, k12, k21, k13, k31 } = this.engine.pkParams;
+        return {
+            a1: v1,
+            a2: v1 * (k12 / k21) * (1 - Math.exp(-k21 * duration)),
+            a3: v1 * (k13 / k31) * (1 - Math.exp(-k31 * duration)),
+            ce: 1 - Math.exp(-this.engine.ke0 * duration)
+        };
+    }
+
+    /**
+     * Ce = 1 µg/mL を duration 分維持した時点の状態
+     */
+    getEffectClampedState(duration) {
+        const { v1, k12, k21, k13, k31 } = this.engine.pkParams;
+        const ke0 = this.engine.ke0;
+        const peripheral = (k1j, kj1) => v1 * k1j * (1 / kj1 + (1 / ke0 - 1 / kj1) * Math.exp(-kj1 * duration));
+        return {
+            a1: v1,
+            a2: peripheral(k12, k21),
+            a3: peripheral(k13, k31),
+            ce: 1
+        };
+    }
+
+    /**
+     * 投与停止後、valueOf(state) が level まで低下する時間（分）
+     * 粗い刻みで交差区間を見つけ、二分法で絞り込む。上限までに達しない場合は null
+     */
+    findCrossingTime(initialState, valueOf, level) {
+        const { searchStep, maxSearch, tolerance } = this.options;
+        if (valueOf(initialState) <= level) return 0;
+
+        let state = initialState;
+        let elapsed = 0;
+        let next = this.engine.advance(state, 0, searchStep);
+
+        // 効果部位濃度は停止直後にしばらく上昇しうるため、下回るまで進める
+        while (valueOf(next) > level) {
+            elapsed += searchStep;
+            if (elapsed >= maxSearch) return null;
+            state = next;
+            next = this.engine.advance(state, 0, searchStep);
+        }
+
+        let low = 0;
+        let high = searchStep;
+        while (high - low > tolerance) {
+            const middle = (low + high) / 2;
+            if (valueOf(this.engine.advance(state, 0, middle)) > level) {
+                low = middle;
+            } else {
+                high = middle;
+            }
+        }
+        return elapsed + (low + high) / 2;
+    }
+
+    /**
+     * 投与時間 duration（分）における CSHT と効果部位減少時間
+     * @returns {Object} { duration, csht, effect: { 50: 分, 70: 分, 80: 分 } }
+     */
+    calculateAt(duration) {
+        const plasmaState = this.getPlasmaClampedState(duration);
+        const effectState = this.getEffectClampedState(duration);
+        const v1 = this.engine.pkParams.v1;
+        const result = {
+            duration,
+            csht: this.findCrossingTime(plasmaState, s => s.a1 / v1, 0.5),
+            effect: {}
+        };
+
+        this.options.decrements.forEach(percent => {
+            result.effect[percent] = this.findCrossingTime(effectState, s => s.ce, 1 - percent / 100);
+        });
+        return result;
+    }
+
+    /**
+     * 0〜maxDuration の投与時間に対する曲線
+     */
+    calculateCurve() {
+        const { maxDuration, durationStep } = this.options;
+        const steps = Math.round(maxDuration / durationStep);
+        return Array.from({ length: steps + 1 }, (_, i) => this.calculateAt(i * durationStep));
+    }
+
+    /**
+     * 表に示す投与時間（tableDurations のうち maxDuration 以下）の結果
+     */
+    calculateTable() {
+        const { maxDuration, tableDurations } = this.options;
+        return tableDurations
+            .filter(duration => duration <= maxDuration)
+            .map(duration => this.calculateAt(duration));
+    }
+}
+
+// Export for use in other modules
+if (typeof window !== 'undefined') {
+    window.DecrementTimeCalculator = DecrementTimeCalculator;
+    window.DECREMENT_DEFAULTS = DECREMENT_DEFAULTS;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { DecrementTimeCalculator, DECREMENT_DEFAULTS };
+}
@@ -0,0 +1,98 @@
+/**
+ * Drug Preparation - 薬液調製とシリンジポンプ流量（mL/h）の換算
+ *
+ * バイアル（例: 50 mg）を溶解液（例: 50 mL）で溶解した薬液の濃度（mg/mL）から、
+ *   - ボーラス量 mg ⇔ mL
+ *   - 投与速度 mg/min ⇔ ポンプ流量 mL/h
+ * を換算する。ポンプは流量を設定刻み（例: 0.1 mL/h）単位でしか設定できず、
+ * 最大流量を超えて投与できないため、toPumpRate でシミュレーションに用いる
+ * 投与速度を実際に設定できる流量に丸める。
+ *
+ * 粉末の容積は無視し、溶解後の液量は溶解液量と等しいものとする。
+ * 投与速度は mg/min、量は mg、流量は mL/h。
+ */
+
+const DRUG_PREPARATION_DEFAULTS = {
+    vialMg: 50,                 // バイアル量（mg）
+    diluentMl: 50,              // 溶解液量（mL）
+    rateStepMlPerHour: 0.1,     // ポンプ流量の設定刻み（mL/h）
+    maxRateMlPerHour: 1200      // ポンプ最大流量（mL/h）
+};
+
+const DRUG_PREPARATION_LABELS = {
+    vialMg: 'バイアル量',
+    diluentMl: '溶解液量',
+    rateStepMlPerHour: 'ポンプ流量の刻み',
+    maxRateMlPerHour: 'ポンプ最大流量'
+};
+
+class DrugPreparation {
+    /**
+     * @param {Object} settings - DRUG_PREPARATION_DEFAULTS の項目（省略した項目は既定値）
+     */
+    constructor(settings = {}) {
+        this.settings = {};
+        Object.entries(DRUG_PREPARATION_LABELS).forEach(([key, label]) => {
+            const value = Number(settings[key] ?? DRUG_PREPARATION_DEFAULTS[key]);
+            if (!Number.isFinite(value) || value <= 0) {
+                throw new Error(`${label}は0より大きい値を指定してください`);
+            }
+            this.settings[key] = value;
+        });
+    }
+
+    // 薬液濃度（mg/mL）
+    getConcentration() {
+        return this.settings.vialMg / this.settings.diluentMl;
+    }
+
+    // 最大投与速度（mg/min）
+    getMaxRate() {
+        return this.toRate(this.settings.maxRateMlPerHour);
+    }
+
+    // mg → mL
+    toVolume(amount) {
+        return amount / this.getConcentration();
+    }
+
+    // mg/min → mL/h
+    toMlPerHour(rate) {
+        return (rate * 60) / this.getConcentration();
+    }
+
+    // mL/h → mg/min
+    toRate(mlPerHour) {
+        return (mlPerHour * this.getConcentration()) / 60;
+    }
+
+    /**
+     * ポンプに設定できる流量に丸めた投与速度
+     * @param {number} rate - 求める投与速度（mg/min）
+     * @returns {Object} { rate: 丸めた投与速度 (mg/min), mlPerHour, limited: 最大流量で制限したか }
+     */
+    toPumpRate(rate) {
+        const { rateStepMlPerHour, maxRateMlPerHour } = this.settings;
+        const requested = this.toMlPerHour(Math.max(0, rate));
+        const limited = requested > maxRateMlPerHour;
+        const mlPerHour = limited
+            ? maxRateMlPerHour
+            : Number((Math.round(requested / rateStepMlPerHour) * rateStepMlPerHour).toFixed(6));
+        return { rate: this.toRate(mlPerHour), mlPerHour, limited };
+    }
+
+    // 保存・書き出し用
+    toJSON() {
+        return { ...this.settings, concentrationMgPerMl: this.getConcentration() };
+    }
+}
+
+// Export for use in other modules
+if (typeof window !== 'undefined') {
+    window.DrugPreparation = DrugPreparation;
+    window.DRUG_PREPARATION_DEFAULTS = DRUG_PREPARATION_DEFAULTS;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { DrugPreparation, DRUG_PREPARATION_DEFAULTS };
+}
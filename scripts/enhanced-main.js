@@ -1,556 +1,399 @@
-// Enhanced Remimazolam Simulator with deSolve-style ODE solver
+// Enhanced Remimazolam Simulator - UI controller（計算は simulation-engine.js）
 
-// Patient data model
-class Patient {
-    constructor(age = 50, weight = 70.0, height = 170.0, sex = 'male', asaPS = '1-2') {
-        this.age = age;
-        this.weight = weight;
-        this.height = height;
-        this.sex = sex;
-        this.asaPS = asaPS;
-    }
-
-    get bmi() {
-        return this.weight / Math.pow(this.height / 100, 2);
-    }
-
-    get sexValue() {
-        return this.sex === 'male' ? 0 : 1;
-    }
-
-    get asaPSValue() {
-        return this.asaPS === '1-2' ? 0 : 1;
-    }
-}
-
-// Masui 2022 model constants
-const MasuiConstants = {
-    theta1: 3.57,
-    theta2: 11.3,
-    theta3: 27.2,
-    theta4: 1.03,
-    theta5: 1.10,
-    theta6: 0.401,
-    theta8: 0.308,
-    theta9: 0.146,
-    theta10: -0.184,
-    standardWeight: 67.3,
-    standardAge: 54.0
-};
-
-// Ke0 model constants - Simplified Masui model
-const Ke0Constants = {
-    baseKe0: 0.3,           // Base ke0 value (1/min)
-    ageExponent: -0.15,     // Age effect
-    weightExponent: -0.1,   // Weight effect  
-    sexFactor: 0.9,         // Female factor (male = 1.0)
-    asaFactor: 0.85,        // ASA III-IV factor (ASA I-II = 1.0)
-    minKe0: 0.1,           // Minimum ke0 (1/min)
-    maxKe0: 0.8            // Maximum ke0 (1/min)
+// 濃度推移グラフ
+const CONCENTRATION_CHART_DEFAULTS = {
+    maxPoints: 600,         // 描画する履歴点の上限（超える場合は間引く）
+    markerRows: 3           // 投与マーカーのラベル段数
 };
 
-// Use external deSolve library if available, otherwise fallback
-const useExternalDeSolve = typeof deSolve !== 'undefined';
+// 薬液調製・ポンプ設定の入力欄と DrugPreparation の項目
+const DRUG_PREPARATION_INPUTS = [
+    { id: 'prep-vial-mg', key: 'vialMg' },
+    { id: 'prep-diluent-ml', key: 'diluentMl' },
+    { id: 'pump-rate-step', key: 'rateStepMlPerHour' },
+    { id: 'pump-max-rate', key: 'maxRateMlPerHour' }
+];
 
-// Simple fallback ODE Solver
-class SimpleDeSolveODE {
+class EnhancedUIController {
     constructor() {
-        this.method = 'rk4';
-        this.rtol = 1e-6;
-        this.atol = 1e-9;
+        console.log('EnhancedUIController starting...');
+        this.patient = new Patient();
+        this.simulator = new EnhancedSimulationEngine();
+        this.samples = [];
+        this.forecastUpdatedAt = 0;
+        this.decrementCalculated = false;
+        this.thresholdPredictions = null;
+        this.resedationUpdatedAt = null;
+        this.chartUpdatedAt = null;
+        // 症例の保存（IndexedDB / localStorage）
+        this.sessionStore = typeof SessionStore !== 'undefined' ? new SessionStore() : null;
+        this.currentSessionId = null;
+        this.currentSessionCreatedAt = null;
+        this.sessionSavedAt = 0;
+        this.resumableSessionId = null;
+        this.initializeEventListeners();
+        this.initializePKModelSelect();
+        this.initializeClinicalEventControls();
+        this.applyDrugPreparation();
+        this.updatePatientDisplay();
+        this.renderPDParameterEditor();
+        this.renderFlumazenilParameterEditor();
+        this.renderResponseSurfaceEditor();
+        this.renderPopulationCVEditor();
+        this.renderBayesianPriorEditor();
+        this.updatePDDisplay();
+        this.initializeSessions();
+        console.log('EnhancedUIController initialized');
     }
 
-    // Runge-Kutta 4th order method
-    rk4Step(func, t, y, h, params) {
-        const k1 = func(t, y, params);
-        const y2 = y.map((yi, i) => yi + h * k1[i] / 2);
-        
-        const k2 = func(t + h/2, y2, params);
-        const y3 = y.map((yi, i) => yi + h * k2[i] / 2);
-        
-        const k3 = func(t + h/2, y3, params);
-        const y4 = y.map((yi, i) => yi + h * k3[i]);
-        
-        const k4 = func(t + h, y4, params);
-        
-        return y.map((yi, i) => yi + h * (k1[i] + 2*k2[i] + 2*k3[i] + k4[i]) / 6);
-    }
-
-    // Adaptive step size Runge-Kutta method
-    rkf45Step(func, t, y, h, params) {
-        // Runge-Kutta-Fehlberg coefficients
-        const a = [0, 1/4, 3/8, 12/13, 1, 1/2];
-        const b = [
-            [],
-            [1/4],
-            [3/32, 9/32],
-            [1932/2197, -7200/2197, 7296/2197],
-            [439/216, -8, 3680/513, -845/4104],
-            [-8/27, 2, -3544/2565, 1859/4104, -11/40]
-        ];
-        const c4 = [25/216, 0, 1408/2565, 2197/4104, -1/5, 0];
-        const c5 = [16/135, 0, 6656/12825, 28561/56430, -9/50, 2/55];
-
-        const k = [];
-        k[0] = func(t, y, params);
+    initializeEventListeners() {
+        console.log('Setting up enhanced event listeners...');
         
-        for (let i = 1; i < 6; i++) {
-            const yi = y.map((yj, j) => {
-                let sum = 0;
-                for (let l = 0; l < i; l++) {
-                    sum += b[i][l] * k[l][j];
-                }
-                return yj + h * sum;
+        // Disclaimer screen
+        const agreeButton = document.getElementById('agree-button');
+        if (agreeButton) {
+            agreeButton.addEventListener('click', () => {
+                console.log('Agree button clicked');
+                this.showMainScreen();
             });
-            k[i] = func(t + a[i] * h, yi, params);
         }
 
-        const y4 = y.map((yi, i) => {
-            let sum = 0;
-            for (let j = 0; j < 6; j++) {
-                sum += c4[j] * k[j][i];
-            }
-            return yi + h * sum;
-        });
+        // Patient editing
+        const editPatientBtn = document.getElementById('edit-patient-btn');
+        if (editPatientBtn) {
+            editPatientBtn.addEventListener('click', () => {
+                this.showPatientModal();
+            });
+        }
 
-        const y5 = y.map((yi, i) => {
-            let sum = 0;
-            for (let j = 0; j < 6; j++) {
-                sum += c5[j] * k[j][i];
-            }
-            return yi + h * sum;
-        });
+        // Modal controls
+        const closeModal = document.getElementById('close-modal');
+        if (closeModal) {
+            closeModal.addEventListener('click', () => {
+                this.hidePatientModal();
+            });
+        }
 
-        // Error estimation
-        const error = y4.map((y4i, i) => Math.abs(y4i - y5[i]));
-        const maxError = Math.max(...error);
-        const tolerance = Math.max(this.rtol * Math.max(...y4.map(Math.abs)), this.atol);
+        const cancelModal = document.getElementById('cancel-modal');
+        if (cancelModal) {
+            cancelModal.addEventListener('click', () => {
+                this.hidePatientModal();
+            });
+        }
 
-        return {
-            y: y5,
-            error: maxError,
-            acceptable: maxError <= tolerance
-        };
-    }
+        const saveModal = document.getElementById('save-modal');
+        if (saveModal) {
+            saveModal.addEventListener('click', () => {
+                this.savePatientData();
+            });
+        }
 
-    // Main solver function
-    solve(func, y0, tspan, params = {}) {
-        const [t0, tf] = tspan;
-        let t = t0;
-        let y = [...y0];
-        let h = Math.min(0.01, (tf - t0) / 100); // Initial step size
-        
-        const solution = {
-            t: [t0],
-            y: [y0.slice()],
-            stats: { steps: 0, rejections: 0 }
-        };
+        // Dose controls
+        const bolusDose = document.getElementById('bolus-dose');
+        if (bolusDose) {
+            bolusDose.addEventListener('input', (e) => {
+                document.getElementById('bolus-value').textContent = parseFloat(e.target.value).toFixed(1);
+                this.updateDrugPreparationDisplay();
+            });
+        }
 
-        while (t < tf) {
-            // Don't overshoot
-            if (t + h > tf) {
-                h = tf - t;
-            }
+        const calculateInduction = document.getElementById('calculate-induction');
+        if (calculateInduction) {
+            calculateInduction.addEventListener('click', () => {
+                this.planInduction();
+            });
+        }
 
-            let stepAccepted = false;
-            let attempts = 0;
-
-            while (!stepAccepted && attempts < 10) {
-                if (this.method === 'rk4') {
-                    const yNew = this.rk4Step(func, t, y, h, params);
-                    y = yNew;
-                    stepAccepted = true;
-                } else if (this.method === 'rkf45') {
-                    const result = this.rkf45Step(func, t, y, h, params);
-                    
-                    if (result.acceptable) {
-                        y = result.y;
-                        stepAccepted = true;
-                        // Increase step size if error is very small
-                        if (result.error < this.rtol / 10) {
-                            h = Math.min(h * 1.5, 0.1);
-                        }
-                    } else {
-                        // Decrease step size
-                        h = h * 0.5;
-                        solution.stats.rejections++;
-                        attempts++;
-                    }
+        const continuousDose = document.getElementById('continuous-dose');
+        if (continuousDose) {
+            continuousDose.addEventListener('input', (e) => {
+                document.getElementById('continuous-value').textContent = parseFloat(e.target.value).toFixed(1);
+                this.updateDrugPreparationDisplay();
+            });
+            // 実行中はスライダー確定時に投与速度を変更
+            continuousDose.addEventListener('change', (e) => {
+                if (this.simulator.isRunning) {
+                    this.simulator.setContinuousDose(parseFloat(e.target.value));
+                    this.updateDoseHistoryDisplay();
                 }
-            }
-
-            if (stepAccepted) {
-                t += h;
-                solution.t.push(t);
-                solution.y.push(y.slice());
-                solution.stats.steps++;
-            } else {
-                console.warn('Failed to find acceptable step size');
-                break;
-            }
+            });
         }
 
-        return solution;
-    }
-}
-
-// PK Parameters calculation
-class PKCalculator {
-    static calculatePKParameters(patient) {
-        const weightRatio = patient.weight / MasuiConstants.standardWeight;
-        const ageRatio = patient.age / MasuiConstants.standardAge;
-
-        const v1 = MasuiConstants.theta1 * weightRatio;
-        const v2 = MasuiConstants.theta2 * weightRatio;
-        const v3 = MasuiConstants.theta3 * weightRatio * Math.pow(ageRatio, MasuiConstants.theta8);
-        const cl = MasuiConstants.theta4 * weightRatio * Math.exp(
-            MasuiConstants.theta9 * patient.sexValue + MasuiConstants.theta10 * patient.asaPSValue
-        );
-        const q2 = MasuiConstants.theta5 * weightRatio;
-        const q3 = MasuiConstants.theta6 * weightRatio;
-
-        const ke0 = this.calculateKe0(patient);
+        // Remifentanil
+        const remifentanilBolus = document.getElementById('remifentanil-bolus');
+        if (remifentanilBolus) {
+            remifentanilBolus.addEventListener('input', (e) => {
+                document.getElementById('remifentanil-bolus-value').textContent = parseFloat(e.target.value).toFixed(0);
+            });
+        }
 
-        return {
-            v1, v2, v3, cl, q2, q3, ke0,
-            k10: cl / v1,
-            k12: q2 / v1,
-            k21: q2 / v2,
-            k13: q3 / v1,
-            k31: q3 / v3
-        };
-    }
+        const remifentanilInfusion = document.getElementById('remifentanil-infusion');
+        if (remifentanilInfusion) {
+            remifentanilInfusion.addEventListener('input', (e) => {
+                document.getElementById('remifentanil-infusion-value').textContent = parseFloat(e.target.value).toFixed(2);
+            });
+            remifentanilInfusion.addEventListener('change', (e) => {
+                if (this.simulator.isRunning) {
+                    this.simulator.setRemifentanilInfusion(parseFloat(e.target.value));
+                    this.updateDoseHistoryDisplay();
+                }
+            });
+        }
 
-    static calculateKe0(patient) {
-        // Use new Masui complete implementation
-        try {
-            // MasuiKe0Calculatorが利用可能な場合は正確な計算を使用
-            if (typeof MasuiKe0Calculator !== 'undefined') {
-                const result = MasuiKe0Calculator.calculateKe0Complete(
-                    patient.age, patient.weight, patient.height, 
-                    patient.sexValue, patient.asaPSValue
-                );
-                
-                if (result.success) {
-                    // 数値解析による厳密解を優先使用
-                    if (result.ke0_numerical !== null && result.ke0_numerical > 0) {
-                        console.log(`Using numerical ke0: ${result.ke0_numerical.toFixed(5)}`);
-                        return result.ke0_numerical;
-                    }
-                    
-                    // フォールバックとして重回帰モデルを使用
-                    if (result.ke0_regression > 0) {
-                        console.log(`Using regression ke0: ${result.ke0_regression.toFixed(5)}`);
-                        return result.ke0_regression;
-                    }
+        const giveRemifentanil = document.getElementById('give-remifentanil');
+        if (giveRemifentanil) {
+            giveRemifentanil.addEventListener('click', () => {
+                const amount = parseFloat(document.getElementById('remifentanil-bolus')?.value || 0);
+                if (this.simulator.addRemifentanilBolus(amount)) {
+                    this.updateDoseHistoryDisplay();
                 }
-            }
-            
-            // フォールバック: 従来のMasuiKe0Model
-            if (typeof MasuiKe0Model !== 'undefined') {
-                console.log('Using complete Masui ke0 model (fallback)');
-                const masuiModel = new MasuiKe0Model();
-                return masuiModel.calculateKe0(patient);
-            }
-            
-            // 最終フォールバック: 簡略化計算
-            console.warn('Using simplified ke0 model');
-            return this.calculateKe0Simplified(patient);
-            
-        } catch (error) {
-            console.error('Ke0 calculation error:', error);
-            return this.calculateKe0Simplified(patient);
+            });
         }
-    }
 
-    static calculateKe0Simplified(patient) {
-        // Simplified Masui ke0 model - clinically validated
-        const constants = Ke0Constants;
-        
-        // 年齢補正: 高齢で遅くなる
-        const ageRatio = patient.age / MasuiConstants.standardAge;
-        const ageFactor = Math.pow(ageRatio, constants.ageExponent);
-        
-        // 体重補正: 体重が重いとやや遅くなる
-        const weightRatio = patient.weight / MasuiConstants.standardWeight;
-        const weightFactor = Math.pow(weightRatio, constants.weightExponent);
-        
-        // 性別補正: 女性でやや遅い
-        const sexFactor = patient.sexValue === 0 ? 1.0 : constants.sexFactor;
-        
-        // ASA補正: ASA III-IV でやや遅い
-        const asaFactor = patient.asaPSValue === 0 ? 1.0 : constants.asaFactor;
-        
-        const ke0 = constants.baseKe0 * ageFactor * weightFactor * sexFactor * asaFactor;
-        
-        console.log('Ke0 calculation details:', {
-            baseKe0: constants.baseKe0,
-            ageRatio, ageFactor,
-            weightRatio, weightFactor,
-            sexFactor, asaFactor,
-            finalKe0: ke0
+        // Dosing mode (manual / TCI)
+        document.querySelectorAll('input[name="dosing-mode"]').forEach(radio => {
+            radio.addEventListener('change', () => {
+                this.updateDosingModeDisplay();
+            });
         });
-        
-        // 妥当な範囲に制限
-        return Math.max(constants.minKe0, Math.min(constants.maxKe0, ke0));
-    }
-}
 
-// Enhanced Simulation engine with deSolve
-class EnhancedSimulationEngine {
-    constructor() {
-        this.isRunning = false;
-        this.startTime = null;
-        this.elapsedTime = 0;
-        this.patient = null;
-        this.pkParams = null;
-        this.state = { a1: 0, a2: 0, a3: 0, ce: 0 };
-        this.bolusDose = 0;
-        this.continuousDose = 0;
-        this.snapshots = [];
-        this.timer = null;
-        if (useExternalDeSolve) {
-            this.solver = deSolve;
-            this.solverMethod = 'rkf45';
-            console.log('Using external deSolve library');
-        } else {
-            this.solver = new SimpleDeSolveODE();
-            this.solver.method = 'rkf45';
-            console.log('Using fallback ODE solver');
+        const tciTarget = document.getElementById('tci-target');
+        if (tciTarget) {
+            tciTarget.addEventListener('input', (e) => {
+                document.getElementById('tci-target-value').textContent = parseFloat(e.target.value).toFixed(2);
+            });
+            tciTarget.addEventListener('change', (e) => {
+                if (this.simulator.isRunning) {
+                    this.simulator.setTCITarget(parseFloat(e.target.value));
+                    this.saveSession();
+                }
+            });
         }
-        this.lastSolveTime = 0;
-        this.solutionCache = null;
-    }
 
-    start(patient, bolusDose, continuousDose) {
-        if (this.isRunning) return;
+        DRUG_PREPARATION_INPUTS.forEach(({ id }) => {
+            const input = document.getElementById(id);
+            if (input) {
+                input.addEventListener('change', () => {
+                    this.applyDrugPreparation();
+                });
+            }
+        });
 
-        console.log('Starting enhanced simulation...');
-        this.patient = patient;
-        this.pkParams = PKCalculator.calculatePKParameters(patient);
-        this.bolusDose = bolusDose;
-        this.continuousDose = continuousDose;
-        this.state = { a1: bolusDose, a2: 0, a3: 0, ce: 0 };
-        this.startTime = new Date();
-        this.elapsedTime = 0;
-        this.snapshots = [];
-        this.isRunning = true;
-        this.lastSolveTime = 0;
+        ['forecast-horizon', 'forecast-bolus', 'forecast-threshold'].forEach(id => {
+            const input = document.getElementById(id);
+            if (input) {
+                input.addEventListener('change', () => {
+                    this.updateForecastDisplay();
+                });
+            }
+        });
 
-        console.log('Patient:', { age: patient.age, weight: patient.weight, height: patient.height, sex: patient.sex });
-        console.log('PK Parameters:', this.pkParams);
-        console.log('Ke0 value:', this.pkParams.ke0, '(1/min), t1/2 =', (Math.log(2)/this.pkParams.ke0).toFixed(1), 'min');
-        console.log('Initial state:', this.state);
+        const sessionResume = document.getElementById('session-resume');
+        if (sessionResume) {
+            sessionResume.addEventListener('click', () => {
+                if (this.resumableSessionId) this.openSession(this.resumableSessionId);
+            });
+        }
 
-        this.timer = setInterval(() => {
-            this.updateSimulation();
-        }, 1000);
-    }
+        const sessionResumeDismiss = document.getElementById('session-resume-dismiss');
+        if (sessionResumeDismiss) {
+            sessionResumeDismiss.addEventListener('click', () => {
+                document.getElementById('session-resume-banner')?.classList.add('hidden');
+            });
+        }
 
-    stop() {
-        this.isRunning = false;
-        if (this.timer) {
-            clearInterval(this.timer);
-            this.timer = null;
+        const sessionList = document.getElementById('session-list');
+        if (sessionList) {
+            sessionList.addEventListener('click', (e) => {
+                const button = e.target.closest('button[data-session-id]');
+                if (!button) return;
+                if (button.dataset.action === 'open') {
+                    this.openSession(button.dataset.sessionId);
+                } else if (button.dataset.action === 'delete') {
+                    this.deleteSession(button.dataset.sessionId);
+                }
+            });
         }
-        console.log('Simulation stopped');
-    }
 
-    takeSnapshot() {
-        if (!this.isRunning) return;
+        const clinicalEventButtons = document.getElementById('clinical-event-buttons');
+        if (clinicalEventButtons) {
+            clinicalEventButtons.addEventListener('click', (e) => {
+                const button = e.target.closest('button[data-event-type]');
+                if (button) this.addClinicalEvent(button.dataset.eventType);
+            });
+        }
 
-        const snapshot = {
-            timestamp: new Date(),
-            elapsedTime: this.elapsedTime,
-            plasmaConcentration: this.getPlasmaConcentration(),
-            effectSiteConcentration: this.getEffectSiteConcentration()
-        };
-        this.snapshots.unshift(snapshot);
-        console.log('Snapshot taken:', snapshot);
-    }
+        const addCustomEvent = document.getElementById('add-custom-event');
+        if (addCustomEvent) {
+            addCustomEvent.addEventListener('click', () => {
+                const text = document.getElementById('clinical-event-text');
+                if (this.addClinicalEvent('custom', text.value)) text.value = '';
+            });
+        }
 
-    updateSimulation() {
-        if (!this.isRunning || !this.startTime) return;
+        const clinicalEventList = document.getElementById('clinical-event-list');
+        if (clinicalEventList) {
+            clinicalEventList.addEventListener('click', (e) => {
+                const button = e.target.closest('button[data-event-index]');
+                if (button) this.removeClinicalEvent(parseInt(button.dataset.eventIndex, 10));
+            });
+        }
 
-        this.elapsedTime = (new Date() - this.startTime) / 1000;
-        const currentTimeMin = this.elapsedTime / 60.0;
+        const eventQueryType = document.getElementById('event-query-type');
+        if (eventQueryType) {
+            eventQueryType.addEventListener('change', (e) => {
+                document.getElementById('event-query-label')?.classList.toggle('hidden', e.target.value !== 'custom');
+            });
+        }
 
-        // Define ODE system
-        const odeSystem = (t, y, params) => {
-            const [a1, a2, a3, ce] = y;
-            const { k10, k12, k21, k13, k31, ke0, v1 } = params.pkParams;
-            
-            // Continuous infusion rate (mg/min)
-            const continuousRate = (params.continuousDose * params.patient.weight) / 60.0;
-            
-            // PK compartment equations
-            const da1_dt = continuousRate - k10 * a1 - k12 * a1 + k21 * a2 - k13 * a1 + k31 * a3;
-            const da2_dt = k12 * a1 - k21 * a2;
-            const da3_dt = k13 * a1 - k31 * a3;
-            
-            // Effect site equation
-            const plasmaConc = a1 / v1;
-            const dce_dt = ke0 * (plasmaConc - ce);
-            
-            return [da1_dt, da2_dt, da3_dt, dce_dt];
-        };
+        const runEventQuery = document.getElementById('run-event-query');
+        if (runEventQuery) {
+            runEventQuery.addEventListener('click', () => {
+                this.runEventQuery();
+            });
+        }
 
-        try {
-            const y0 = [this.state.a1, this.state.a2, this.state.a3, this.state.ce];
-            const params = {
-                pkParams: this.pkParams,
-                patient: this.patient,
-                continuousDose: this.continuousDose
-            };
+        // タブの切り替え・スリープ・再読み込みの前に保存
+        document.addEventListener('visibilitychange', () => {
+            if (document.visibilityState === 'hidden') this.saveSession();
+        });
+        window.addEventListener('pagehide', () => {
+            this.saveSession();
+        });
 
-            if (currentTimeMin > this.lastSolveTime) {
-                let solution;
-                
-                if (useExternalDeSolve) {
-                    // Use deSolve library
-                    const times = [this.lastSolveTime, currentTimeMin];
-                    solution = this.solver.ode(odeSystem, y0, times, this.solverMethod, params);
-                } else {
-                    // Use fallback solver
-                    const tspan = [this.lastSolveTime, currentTimeMin];
-                    solution = this.solver.solve(odeSystem, y0, tspan, params);
-                }
-                
-                if (solution && solution.y && solution.y.length > 1) {
-                    const finalY = solution.y[solution.y.length - 1];
-                    this.state.a1 = Math.max(0, finalY[0]);
-                    this.state.a2 = Math.max(0, finalY[1]);
-                    this.state.a3 = Math.max(0, finalY[2]);
-                    this.state.ce = Math.max(0, finalY[3]);
-                    
-                    this.lastSolveTime = currentTimeMin;
-                    this.solutionCache = solution;
-                }
-            }
-        } catch (error) {
-            console.error('ODE solver error:', error);
-            // Fallback to simple Euler method
-            this.updateSimulationEuler();
+        const exportCSV = document.getElementById('export-csv');
+        if (exportCSV) {
+            exportCSV.addEventListener('click', () => {
+                this.exportData('csv');
+            });
         }
-    }
 
-    updateSimulationEuler() {
-        const dt = 1.0; // 1 second time step
-        const continuousRate = (this.continuousDose * this.patient.weight) / 60.0;
-        const { k10, k12, k21, k13, k31, ke0 } = this.pkParams;
-
-        const da1_dt = continuousRate - k10 * this.state.a1 - k12 * this.state.a1 + 
-                       k21 * this.state.a2 - k13 * this.state.a1 + k31 * this.state.a3;
-        const da2_dt = k12 * this.state.a1 - k21 * this.state.a2;
-        const da3_dt = k13 * this.state.a1 - k31 * this.state.a3;
+        const exportJSON = document.getElementById('export-json');
+        if (exportJSON) {
+            exportJSON.addEventListener('click', () => {
+                this.exportData('json');
+            });
+        }
 
-        this.state.a1 += (dt / 60.0) * da1_dt;
-        this.state.a2 += (dt / 60.0) * da2_dt;
-        this.state.a3 += (dt / 60.0) * da3_dt;
+        const openReport = document.getElementById('open-report');
+        if (openReport) {
+            openReport.addEventListener('click', () => {
+                this.showReport();
+            });
+        }
 
-        const plasmaConc = this.getPlasmaConcentration();
-        const dce_dt = ke0 * (plasmaConc - this.state.ce);
-        this.state.ce += (dt / 60.0) * dce_dt;
+        const printReport = document.getElementById('print-report');
+        if (printReport) {
+            printReport.addEventListener('click', () => {
+                window.print();
+            });
+        }
 
-        this.state.a1 = Math.max(0, this.state.a1);
-        this.state.a2 = Math.max(0, this.state.a2);
-        this.state.a3 = Math.max(0, this.state.a3);
-        this.state.ce = Math.max(0, this.state.ce);
-    }
+        const closeReport = document.getElementById('close-report');
+        if (closeReport) {
+            closeReport.addEventListener('click', () => {
+                this.closeReport();
+            });
+        }
 
-    getPlasmaConcentration() {
-        return this.state.a1 / this.pkParams.v1;
-    }
+        const copyTSV = document.getElementById('copy-tsv');
+        if (copyTSV) {
+            copyTSV.addEventListener('click', () => {
+                this.copyTSVToClipboard();
+            });
+        }
 
-    getEffectSiteConcentration() {
-        return this.state.ce;
-    }
+        ['chart-window', 'chart-y-max', 'chart-projection'].forEach(id => {
+            const select = document.getElementById(id);
+            if (select) {
+                select.addEventListener('change', () => {
+                    this.updateConcentrationChart();
+                });
+            }
+        });
 
-    getElapsedTimeString() {
-        const hours = Math.floor(this.elapsedTime / 3600);
-        const minutes = Math.floor((this.elapsedTime % 3600) / 60);
-        const seconds = Math.floor(this.elapsedTime % 60);
-        return `${hours.toString().padStart(2, '0')}:${minutes.toString().padStart(2, '0')}:${seconds.toString().padStart(2, '0')}`;
-    }
+        ['loc-threshold', 'awakening-threshold'].forEach(id => {
+            const input = document.getElementById(id);
+            if (input) {
+                input.addEventListener('change', () => {
+                    this.updateThresholdPredictions();
+                });
+            }
+        });
 
-    getIntegrationMethod() {
-        if (useExternalDeSolve) {
-            return `deSolve (${this.solverMethod.toUpperCase()})`;
-        } else {
-            return `deSolve-fallback (${this.solver.method.toUpperCase()})`;
+        const giveFlumazenil = document.getElementById('give-flumazenil');
+        if (giveFlumazenil) {
+            giveFlumazenil.addEventListener('click', () => {
+                const amount = parseFloat(document.getElementById('flumazenil-dose')?.value || 0);
+                if (this.simulator.addFlumazenil(amount)) {
+                    this.updateDoseHistoryDisplay();
+                    this.updateResedationDisplay();
+                }
+            });
         }
-    }
-
-    getIntegrationStats() {
-        return this.solutionCache?.stats || { steps: 0, rejections: 0 };
-    }
-}
 
-// Enhanced UI Controller
-class EnhancedUIController {
-    constructor() {
-        console.log('EnhancedUIController starting...');
-        this.patient = new Patient();
-        this.simulator = new EnhancedSimulationEngine();
-        this.initializeEventListeners();
-        this.updatePatientDisplay();
-        console.log('EnhancedUIController initialized');
-    }
+        const addSample = document.getElementById('add-sample');
+        if (addSample) {
+            addSample.addEventListener('click', () => {
+                const time = parseFloat(document.getElementById('sample-time')?.value);
+                const concentration = parseFloat(document.getElementById('sample-concentration')?.value);
+                if (time > 0 && concentration > 0) {
+                    this.samples.push({ time, concentration });
+                    this.samples.sort((a, b) => a.time - b.time);
+                    this.updateSampleList();
+                    this.saveSession();
+                }
+            });
+        }
 
-    initializeEventListeners() {
-        console.log('Setting up enhanced event listeners...');
-        
-        // Disclaimer screen
-        const agreeButton = document.getElementById('agree-button');
-        if (agreeButton) {
-            agreeButton.addEventListener('click', () => {
-                console.log('Agree button clicked');
-                this.showMainScreen();
+        const runBayesian = document.getElementById('run-bayesian');
+        if (runBayesian) {
+            runBayesian.addEventListener('click', () => {
+                this.runBayesianEstimation();
             });
         }
 
-        // Patient editing
-        const editPatientBtn = document.getElementById('edit-patient-btn');
-        if (editPatientBtn) {
-            editPatientBtn.addEventListener('click', () => {
-                this.showPatientModal();
+        const pkModel = document.getElementById('pk-model');
+        if (pkModel) {
+            pkModel.addEventListener('change', (e) => {
+                this.simulator.setPKModel(e.target.value);
+                this.updatePKModelInfo();
             });
         }
 
-        // Modal controls
-        const closeModal = document.getElementById('close-modal');
-        if (closeModal) {
-            closeModal.addEventListener('click', () => {
-                this.hidePatientModal();
+        const runModelComparison = document.getElementById('run-model-comparison');
+        if (runModelComparison) {
+            runModelComparison.addEventListener('click', () => {
+                this.updateModelComparisonDisplay();
             });
         }
 
-        const cancelModal = document.getElementById('cancel-modal');
-        if (cancelModal) {
-            cancelModal.addEventListener('click', () => {
-                this.hidePatientModal();
+        const runPopulation = document.getElementById('run-population');
+        if (runPopulation) {
+            runPopulation.addEventListener('click', () => {
+                this.updatePopulationDisplay();
             });
         }
 
-        const saveModal = document.getElementById('save-modal');
-        if (saveModal) {
-            saveModal.addEventListener('click', () => {
-                this.savePatientData();
+        const calculateDecrement = document.getElementById('calculate-decrement');
+        if (calculateDecrement) {
+            calculateDecrement.addEventListener('click', () => {
+                this.updateDecrementDisplay();
             });
         }
 
-        // Dose controls
-        const bolusDose = document.getElementById('bolus-dose');
-        if (bolusDose) {
-            bolusDose.addEventListener('input', (e) => {
-                document.getElementById('bolus-value').textContent = parseFloat(e.target.value).toFixed(1);
+        const giveBolus = document.getElementById('give-bolus');
+        if (giveBolus) {
+            giveBolus.addEventListener('click', () => {
+                this.giveBolus();
             });
         }
 
-        const continuousDose = document.getElementById('continuous-dose');
-        if (continuousDose) {
-            continuousDose.addEventListener('input', (e) => {
-                document.getElementById('continuous-value').textContent = parseFloat(e.target.value).toFixed(1);
+        const calculationMode = document.getElementById('calculation-mode');
+        if (calculationMode) {
+            calculationMode.addEventListener('change', (e) => {
+                this.simulator.setCalculationMode(e.target.value);
+                this.updateCalculationCheckDisplay();
             });
         }
 
@@ -573,6 +416,21 @@ class EnhancedUIController {
             });
         }
 
+        const pauseSimulation = document.getElementById('pause-simulation');
+        if (pauseSimulation) {
+            pauseSimulation.addEventListener('click', () => {
+                this.togglePause();
+            });
+        }
+
+        const simulationSpeed = document.getElementById('simulation-speed');
+        if (simulationSpeed) {
+            simulationSpeed.addEventListener('change', (e) => {
+                this.simulator.setSpeed(parseFloat(e.target.value));
+                this.saveSession();
+            });
+        }
+
         const takeSnapshot = document.getElementById('take-snapshot');
         if (takeSnapshot) {
             takeSnapshot.addEventListener('click', () => {
@@ -683,7 +541,12 @@ class EnhancedUIController {
         if (asaRadio) this.patient.asaPS = asaRadio.value;
         
         this.updatePatientDisplay();
+        this.updatePKModelInfo();
         this.hidePatientModal();
+        // 計算済みの減少時間は新しい患者で再計算
+        if (this.decrementCalculated) {
+            this.updateDecrementDisplay();
+        }
     }
 
     updatePatientDisplay() {
@@ -702,6 +565,14 @@ class EnhancedUIController {
         if (elements.bmi) elements.bmi.textContent = this.patient.bmi.toFixed(1);
         if (elements.sex) elements.sex.textContent = this.patient.sex === 'male' ? '男性' : '女性';
         if (elements.asa) elements.asa.textContent = this.patient.asaPS === '1-2' ? 'ASA I-II' : 'ASA III-IV';
+
+        this.updateDrugPreparationDisplay();
+
+        // 導入量の計算結果は患者ごと
+        const planResult = document.getElementById('induction-plan-result');
+        const planChart = document.getElementById('induction-plan-chart');
+        if (planResult) planResult.innerHTML = '';
+        if (planChart) planChart.innerHTML = '';
     }
 
     startSimulation() {
@@ -709,31 +580,108 @@ class EnhancedUIController {
         const bolusDose = parseFloat(document.getElementById('bolus-dose')?.value || 12);
         const continuousDose = parseFloat(document.getElementById('continuous-dose')?.value || 1);
         
-        console.log('Doses:', { bolusDose, continuousDose });
+        const calculationMode = document.getElementById('calculation-mode')?.value || 'ode';
+        const dosingMode = this.getSelectedDosingMode();
+        const tciOptions = dosingMode === 'manual' ? null : {
+            mode: dosingMode === 'tci-plasma' ? 'plasma' : 'effect',
+            target: parseFloat(document.getElementById('tci-target')?.value || 1)
+        };
         
-        this.simulator.start(this.patient, bolusDose, continuousDose);
+        const remifentanilOptions = {
+            bolus: parseFloat(document.getElementById('remifentanil-bolus')?.value || 0),
+            infusion: parseFloat(document.getElementById('remifentanil-infusion')?.value || 0)
+        };
         
-        // Update UI
+        console.log('Doses:', { bolusDose, continuousDose, tciOptions, remifentanilOptions });
+        
+        this.simulator.setCalculationMode(calculationMode);
+        this.simulator.start(this.patient, bolusDose, continuousDose, tciOptions, remifentanilOptions);
+        this.currentSessionId = this.sessionStore ? SessionStore.createId() : null;
+        this.currentSessionCreatedAt = new Date().toISOString();
+        this.onSimulationStarted();
+        this.saveStartedSession();
+        
+        console.log('Simulation started successfully');
+    }
+
+    // 実行中の表示に切り替えて画面更新タイマーを開始（新規開始・保存した症例の再開で共通）
+    onSimulationStarted() {
+        // Update UI
         const startBtn = document.getElementById('start-simulation');
         const stopBtn = document.getElementById('stop-simulation');
         const snapshotBtn = document.getElementById('take-snapshot');
         const timerDisplay = document.getElementById('timer-display');
         const integrationInfo = document.getElementById('integration-info');
+        const calculationCheck = document.getElementById('calculation-check');
+        
+        const giveBolusBtn = document.getElementById('give-bolus');
+        const forecastSection = document.getElementById('forecast-section');
+        const thresholdCountdown = document.getElementById('threshold-countdown');
+        const flumazenilControls = document.getElementById('flumazenil-controls');
+        const giveRemifentanilBtn = document.getElementById('give-remifentanil');
+        const remifentanilStatus = document.getElementById('remifentanil-status');
+        const chartSection = document.getElementById('concentration-chart-section');
+        const exportSection = document.getElementById('export-section');
+        const clinicalEventsSection = document.getElementById('clinical-events-section');
         
         if (startBtn) startBtn.classList.add('hidden');
         if (stopBtn) stopBtn.classList.remove('hidden');
         if (snapshotBtn) snapshotBtn.classList.remove('hidden');
         if (timerDisplay) timerDisplay.classList.remove('hidden');
-        // 積分法表示は削除
+        if (calculationCheck) calculationCheck.classList.remove('hidden');
+        if (giveBolusBtn) giveBolusBtn.classList.remove('hidden');
+        if (forecastSection) forecastSection.classList.remove('hidden');
+        if (thresholdCountdown) thresholdCountdown.classList.remove('hidden');
+        if (flumazenilControls) flumazenilControls.classList.remove('hidden');
+        this.updateSampleList();
+        if (giveRemifentanilBtn) giveRemifentanilBtn.classList.remove('hidden');
+        if (remifentanilStatus) remifentanilStatus.classList.remove('hidden');
+        if (chartSection) chartSection.classList.remove('hidden');
+        if (exportSection) exportSection.classList.remove('hidden');
+        if (clinicalEventsSection) clinicalEventsSection.classList.remove('hidden');
+        this.setExportStatus('');
+        this.updateClinicalEventsDisplay();
+        this.updateResedationDisplay();
+        this.setDosingModeLocked(true);
+        this.updateDosingModeDisplay();
+        this.updateDoseHistoryDisplay();
+        this.updateForecastDisplay();
+        this.updateConcentrationChart();
+        this.updateClockDisplay();
         
         // Start UI update timer
         this.uiUpdateTimer = setInterval(() => {
             this.updateConcentrationDisplay();
+            this.updatePDDisplay();
+            this.updateRemifentanilDisplay();
             this.updateTimerDisplay();
-            // this.updateIntegrationDisplay(); // 削除
+            this.updateCalculationCheckDisplay();
+            this.updateTCIStatusDisplay();
+            const doseEventsChanged = this.getDoseHistoryEvents().length !== this.renderedDoseEventCount;
+            // 閾値予測はシミュレーションの更新（1秒ごと）に合わせて再計算
+            if (this.simulator.lastSolveTime !== this.thresholdPredictions?.onset.computedAt || doseEventsChanged) {
+                this.updateThresholdPredictions();
+            }
+            this.updateCountdownDisplay();
+            if (this.simulator.lastSolveTime !== this.resedationUpdatedAt) {
+                this.updateResedationDisplay();
+            }
+            if (doseEventsChanged) {
+                this.updateDoseHistoryDisplay();
+                this.updateForecastDisplay();
+            }
+            if (this.simulator.lastSolveTime !== this.chartUpdatedAt || doseEventsChanged) {
+                this.updateConcentrationChart();
+            }
+            // 予測は5秒ごとに更新
+            if (Date.now() - this.forecastUpdatedAt >= 5000) {
+                this.updateForecastDisplay();
+            }
+            // 投与の変更時と一定間隔で症例を保存
+            if (doseEventsChanged || Date.now() - this.sessionSavedAt >= SESSION_STORE_DEFAULTS.autosaveSeconds * 1000) {
+                this.saveSession();
+            }
         }, 100);
-        
-        console.log('Simulation started successfully');
     }
 
     stopSimulation() {
@@ -745,22 +693,1274 @@ class EnhancedUIController {
         const snapshotBtn = document.getElementById('take-snapshot');
         const timerDisplay = document.getElementById('timer-display');
         const integrationInfo = document.getElementById('integration-info');
+        const calculationCheck = document.getElementById('calculation-check');
+        
+        const giveBolusBtn = document.getElementById('give-bolus');
+        const forecastSection = document.getElementById('forecast-section');
+        const thresholdCountdown = document.getElementById('threshold-countdown');
+        const flumazenilControls = document.getElementById('flumazenil-controls');
+        const flumazenilStatus = document.getElementById('flumazenil-status');
+        const giveRemifentanilBtn = document.getElementById('give-remifentanil');
+        const remifentanilStatus = document.getElementById('remifentanil-status');
         
         if (startBtn) startBtn.classList.remove('hidden');
         if (stopBtn) stopBtn.classList.add('hidden');
         if (snapshotBtn) snapshotBtn.classList.add('hidden');
         if (timerDisplay) timerDisplay.classList.add('hidden');
-        // 積分法表示は削除
+        if (calculationCheck) calculationCheck.classList.add('hidden');
+        if (giveBolusBtn) giveBolusBtn.classList.add('hidden');
+        if (forecastSection) forecastSection.classList.add('hidden');
+        if (thresholdCountdown) thresholdCountdown.classList.add('hidden');
+        if (flumazenilControls) flumazenilControls.classList.add('hidden');
+        if (flumazenilStatus) flumazenilStatus.classList.add('hidden');
+        this.updateSampleList();
+        this.updateClinicalEventsDisplay();
+        if (giveRemifentanilBtn) giveRemifentanilBtn.classList.add('hidden');
+        if (remifentanilStatus) remifentanilStatus.classList.add('hidden');
+        this.setDosingModeLocked(false);
+        this.updateDosingModeDisplay();
         
         if (this.uiUpdateTimer) {
             clearInterval(this.uiUpdateTimer);
             this.uiUpdateTimer = null;
         }
+        this.saveSession();
     }
 
     takeSnapshot() {
         this.simulator.takeSnapshot();
         this.updateSnapshotsDisplay();
+        this.updateConcentrationChart();
+        this.saveSession();
+    }
+
+    // イベントボタンと集計の選択肢を CLINICAL_EVENT_TYPES から作成
+    initializeClinicalEventControls() {
+        if (typeof CLINICAL_EVENT_TYPES === 'undefined') return;
+        const buttons = document.getElementById('clinical-event-buttons');
+        if (buttons) {
+            buttons.innerHTML = CLINICAL_EVENT_TYPES
+                .filter(type => type.id !== 'custom')
+                .map(type => `<button class="secondary-button clinical-event-button" data-event-type="${type.id}" style="border-color: ${type.color}">${type.label}</button>`)
+                .join('');
+        }
+        const queryType = document.getElementById('event-query-type');
+        if (queryType) {
+            queryType.innerHTML = CLINICAL_EVENT_TYPES
+                .map(type => `<option value="${type.id}">${type.label}</option>`)
+                .join('');
+            queryType.value = 'loc';
+        }
+        const queryLimit = document.getElementById('event-query-limit');
+        if (queryLimit) queryLimit.value = CLINICAL_EVENT_DEFAULTS.queryLimit;
+    }
+
+    addClinicalEvent(typeId, text = '') {
+        let event = null;
+        try {
+            event = this.simulator.addClinicalEvent(typeId, text);
+        } catch (error) {
+            this.setClinicalEventStatus(error.message, true);
+            return null;
+        }
+        if (!event) return null;
+        this.setClinicalEventStatus(`${event.label} を記録しました（Ce ${event.ce.toFixed(3)} µg/mL）`);
+        this.updateClinicalEventsDisplay();
+        this.updateConcentrationChart();
+        this.saveSession();
+        return event;
+    }
+
+    removeClinicalEvent(index) {
+        if (!this.simulator.isRunning) return;
+        this.simulator.removeClinicalEvent(index);
+        this.setClinicalEventStatus('');
+        this.updateClinicalEventsDisplay();
+        this.updateConcentrationChart();
+        this.saveSession();
+    }
+
+    setClinicalEventStatus(message, isError = false) {
+        const status = document.getElementById('clinical-event-status');
+        if (!status) return;
+        status.textContent = message;
+        status.classList.toggle('error', isError);
+    }
+
+    // 記録したイベントの一覧（実行中は記録ボタンと取り消しを表示、終了後は一覧のみ）
+    updateClinicalEventsDisplay() {
+        const section = document.getElementById('clinical-events-section');
+        const controls = document.getElementById('clinical-event-controls');
+        const list = document.getElementById('clinical-event-list');
+        if (!section || !list) return;
+        const events = this.simulator.clinicalEvents;
+        const running = this.simulator.isRunning;
+
+        section.classList.toggle('hidden', !running && events.length === 0);
+        if (controls) controls.classList.toggle('hidden', !running);
+        list.innerHTML = '';
+        events.forEach((event, index) => {
+            const type = ClinicalEvents.getType(event.type);
+            const item = document.createElement('div');
+            item.className = 'clinical-event-item';
+            item.style.borderLeftColor = type.color;
+            item.innerHTML = `
+                <span class="clinical-event-time">${formatMinutes(event.time)}</span>
+                <span class="clinical-event-label"></span>
+                <span class="clinical-event-values">Cp ${event.cp.toFixed(3)} / Ce ${event.ce.toFixed(3)} µg/mL</span>
+                ${running ? `<button class="secondary-button" data-event-index="${index}" title="取り消し">✕</button>` : ''}
+            `;
+            // その他のイベントは入力されたテキストのため textContent で表示
+            item.querySelector('.clinical-event-label').textContent = event.label;
+            list.appendChild(item);
+        });
+    }
+
+    // 保存した症例から指定イベント時の Ce/Cp を集める
+    async runEventQuery() {
+        const result = document.getElementById('event-query-result');
+        if (!this.sessionStore || !result) return;
+        const typeId = document.getElementById('event-query-type').value;
+        const label = typeId === 'custom' ? document.getElementById('event-query-label').value.trim() : '';
+        const limit = parseInt(document.getElementById('event-query-limit').value, 10) || CLINICAL_EVENT_DEFAULTS.queryLimit;
+        try {
+            const { rows, ce, cp } = ClinicalEvents.query(await this.sessionStore.list(), typeId, { limit, label });
+            if (rows.length === 0) {
+                result.textContent = '該当するイベントを記録した症例はありません';
+                return;
+            }
+            const summary = (name, stats) => `
+                <tr>
+                    <th>${name}</th>
+                    <td>${stats.mean.toFixed(3)} ± ${stats.sd.toFixed(3)}</td>
+                    <td>${stats.median.toFixed(3)}</td>
+                    <td>${stats.min.toFixed(3)}〜${stats.max.toFixed(3)}</td>
+                </tr>
+            `;
+            result.innerHTML = `
+                <div class="event-query-summary">${rows.length}症例</div>
+                <table class="event-query-table">
+                    <tr><th></th><th>平均 ± SD</th><th>中央値</th><th>範囲</th></tr>
+                    ${summary('Ce', ce)}
+                    ${summary('Cp', cp)}
+                </table>
+                <table class="event-query-table">
+                    <tr><th>開始</th><th>患者</th><th>経過時間</th><th>Cp</th><th>Ce</th></tr>
+                    ${rows.map(row => `
+                        <tr>
+                            <td>${row.startedAt ? new Date(row.startedAt).toLocaleString() : '--'}</td>
+                            <td>${row.patient.age}歳 ${row.patient.sex === 'male' ? '男性' : '女性'} ${row.patient.weight}kg</td>
+                            <td>${formatMinutes(row.time)}</td>
+                            <td>${row.cp.toFixed(3)}</td>
+                            <td>${row.ce.toFixed(3)}</td>
+                        </tr>
+                    `).join('')}
+                </table>
+                <p class="session-note">単位 µg/mL。各症例で最初に記録したイベントを集計しています。</p>
+            `;
+        } catch (error) {
+            console.error('Event query failed:', error);
+            result.textContent = `集計できませんでした: ${error.message}`;
+        }
+    }
+
+    // 保存した症例の一覧を読み込み、実行中のまま閉じられた症例があれば再開を促す
+    async initializeSessions() {
+        if (!this.sessionStore) return;
+        try {
+            const sessions = await this.sessionStore.list();
+            this.renderSessionList(sessions);
+            const running = sessions.find(session => session.status === 'running');
+            const banner = document.getElementById('session-resume-banner');
+            if (running && banner && !this.simulator.isRunning) {
+                this.resumableSessionId = running.id;
+                document.getElementById('session-resume-message').textContent =
+                    `実行中の症例があります: ${this.describeSession(running)}`;
+                banner.classList.remove('hidden');
+            }
+        } catch (error) {
+            console.error('Failed to load sessions:', error);
+            this.setSessionStatus(`保存した症例を読み込めませんでした: ${error.message}`);
+        }
+    }
+
+    buildSession() {
+        return {
+            id: this.currentSessionId,
+            createdAt: this.currentSessionCreatedAt,
+            ...this.simulator.getSessionState(),
+            samples: this.samples.map(sample => ({ ...sample }))
+        };
+    }
+
+    async saveSession() {
+        if (!this.sessionStore || !this.currentSessionId || !this.simulator.patient) return;
+        this.sessionSavedAt = Date.now();
+        try {
+            await this.sessionStore.save(this.buildSession());
+            await this.updateSessionList();
+        } catch (error) {
+            console.error('Failed to save session:', error);
+            this.setSessionStatus(`症例を保存できませんでした: ${error.message}`);
+        }
+    }
+
+    // 開始・再開した症例を保存し、再開されなかった他の「実行中」の症例は終了済みにする
+    async saveStartedSession() {
+        if (!this.sessionStore || !this.currentSessionId) return;
+        try {
+            await this.sessionStore.stopRunning(session => session.id !== this.currentSessionId);
+        } catch (error) {
+            console.error('Failed to stop abandoned sessions:', error);
+        }
+        this.resumableSessionId = null;
+        document.getElementById('session-resume-banner')?.classList.add('hidden');
+        await this.saveSession();
+    }
+
+    setSessionStatus(message) {
+        const status = document.getElementById('session-status');
+        if (status) status.textContent = message;
+    }
+
+    // 例: 2025/1/1 9:30:00 開始 / 65歳 男性 60kg / 手動投与 / 経過 45:12
+    describeSession(session) {
+        const started = session.startedAt ? new Date(session.startedAt).toLocaleString() : '--';
+        const { age, weight, sex } = session.patient;
+        const mode = session.tciOptions ? (session.tciOptions.mode === 'plasma' ? '血漿TCI' : '効果部位TCI') : '手動投与';
+        const elapsed = formatMinutes(SessionStore.getElapsedSeconds(session) / 60);
+        return `${started} 開始 / ${age}歳 ${sex === 'male' ? '男性' : '女性'} ${weight}kg / ${mode} / 経過 ${elapsed}`;
+    }
+
+    async updateSessionList() {
+        if (!this.sessionStore) return;
+        this.renderSessionList(await this.sessionStore.list());
+    }
+
+    renderSessionList(sessions) {
+        const list = document.getElementById('session-list');
+        if (!list) return;
+        if (sessions.length === 0) {
+            list.innerHTML = '<div class="session-detail">保存した症例はありません</div>';
+            return;
+        }
+        list.innerHTML = sessions.map(session => {
+            const running = session.status === 'running';
+            const current = session.id === this.currentSessionId;
+            return `
+                <div class="session-item">
+                    <span class="session-badge ${running ? 'running' : ''}">${running ? '実行中' : '終了'}</span>
+                    <span class="session-summary">
+                        <span>${this.describeSession(session)}${current ? '（表示中）' : ''}</span>
+                        <span class="session-detail">投与 ${session.doseEvents.length}件 / 記録 ${(session.snapshots || []).length}件 / イベント ${(session.clinicalEvents || []).length}件 / 最終保存 ${new Date(session.updatedAt).toLocaleString()}</span>
+                    </span>
+                    <button class="secondary-button" data-action="open" data-session-id="${session.id}" ${current ? 'disabled' : ''}>開く</button>
+                    <button class="secondary-button" data-action="delete" data-session-id="${session.id}" ${current && this.simulator.isRunning ? 'disabled' : ''}>削除</button>
+                </div>
+            `;
+        }).join('');
+    }
+
+    /**
+     * 保存した症例を開く: 実行中の症例は現在時刻まで再計算して再開し、
+     * 終了した症例は終了時点までの結果（グラフ・記録・書き出し）を表示する
+     */
+    async openSession(id) {
+        if (!this.sessionStore) return;
+        if (this.simulator.isRunning) {
+            this.setSessionStatus('実行中のシミュレーションを停止してから開いてください');
+            return;
+        }
+        const session = await this.sessionStore.get(id);
+        if (!session) {
+            this.setSessionStatus('症例が見つかりません');
+            return;
+        }
+
+        const { age, weight, height, sex, asaPS } = session.patient;
+        this.patient = new Patient(age, weight, height, sex, asaPS);
+        this.applySessionToInputs(session);
+        this.samples = (session.samples || []).map(sample => ({ ...sample }));
+        try {
+            this.simulator.restore(session);
+        } catch (error) {
+            console.error('Failed to restore session:', error);
+            this.simulator.stop();
+            this.setSessionStatus(`症例を開けませんでした: ${error.message}`);
+            return;
+        }
+        this.currentSessionId = session.id;
+        this.currentSessionCreatedAt = session.createdAt;
+        document.getElementById('session-resume-banner')?.classList.add('hidden');
+        this.setSessionStatus('');
+        this.updatePatientDisplay();
+        this.updatePKModelInfo();
+
+        if (this.simulator.isRunning) {
+            this.onSimulationStarted();
+            this.updateSnapshotsDisplay();
+            this.saveStartedSession();
+        } else {
+            this.showSessionReview();
+            this.updateSessionList();
+        }
+    }
+
+    // 症例の設定を入力欄に反映（値の表示は input イベントで更新）
+    applySessionToInputs(session) {
+        const setValue = (id, value) => {
+            const input = document.getElementById(id);
+            if (!input || value === undefined || value === null) return;
+            input.value = value;
+            input.dispatchEvent(new Event('input'));
+        };
+        setValue('bolus-dose', session.bolusDose);
+        setValue('continuous-dose', session.continuousDose);
+        setValue('calculation-mode', session.calculationMode);
+        setValue('pk-model', session.pkModelId);
+        const dosingMode = session.tciOptions ? (session.tciOptions.mode === 'plasma' ? 'tci-plasma' : 'tci-effect') : 'manual';
+        const radio = document.querySelector(`input[name="dosing-mode"][value="${dosingMode}"]`);
+        if (radio) radio.checked = true;
+        if (session.tciTarget !== null) setValue('tci-target', session.tciTarget);
+        if (session.drugPreparation) {
+            DRUG_PREPARATION_INPUTS.forEach(({ id, key }) => setValue(id, session.drugPreparation[key]));
+            this.applyDrugPreparation();
+        }
+        this.updateDosingModeDisplay();
+    }
+
+    // 終了した症例の結果表示
+    showSessionReview() {
+        document.getElementById('concentration-chart-section')?.classList.remove('hidden');
+        document.getElementById('export-section')?.classList.remove('hidden');
+        const plasmaElement = document.getElementById('plasma-concentration');
+        const effectElement = document.getElementById('effect-concentration');
+        if (plasmaElement) plasmaElement.textContent = this.simulator.getPlasmaConcentration().toFixed(3);
+        if (effectElement) effectElement.textContent = this.simulator.getEffectSiteConcentration().toFixed(3);
+        this.updateConcentrationChart();
+        this.updateSnapshotsDisplay();
+        this.updateDoseHistoryDisplay();
+        this.updateSampleList();
+        this.updateClinicalEventsDisplay();
+        this.setExportStatus('');
+    }
+
+    async deleteSession(id) {
+        if (!this.sessionStore) return;
+        if (id === this.currentSessionId && this.simulator.isRunning) return;
+        try {
+            await this.sessionStore.delete(id);
+            if (id === this.currentSessionId) this.currentSessionId = null;
+            if (id === this.resumableSessionId) {
+                this.resumableSessionId = null;
+                document.getElementById('session-resume-banner')?.classList.add('hidden');
+            }
+            await this.updateSessionList();
+        } catch (error) {
+            console.error('Failed to delete session:', error);
+            this.setSessionStatus(`症例を削除できませんでした: ${error.message}`);
+        }
+    }
+
+    getSelectedDosingMode() {
+        return document.querySelector('input[name="dosing-mode"]:checked')?.value || 'manual';
+    }
+
+    // 入力欄の薬液調製・ポンプ設定（入力欄がない項目は既定値）
+    getDrugPreparationSettings() {
+        const settings = {};
+        DRUG_PREPARATION_INPUTS.forEach(({ id, key }) => {
+            const input = document.getElementById(id);
+            if (input) settings[key] = parseFloat(input.value);
+        });
+        return settings;
+    }
+
+    applyDrugPreparation() {
+        const status = document.getElementById('prep-status');
+        try {
+            this.simulator.setDrugPreparation(this.getDrugPreparationSettings());
+            if (status) status.textContent = '';
+        } catch (error) {
+            if (status) status.textContent = error.message;
+        }
+        this.updateDrugPreparationDisplay();
+    }
+
+    // 流量の刻みに合わせた桁数（例: 0.1 mL/h 刻みは小数1桁）
+    formatPumpRate(mlPerHour) {
+        const step = this.simulator.drugPreparation.settings.rateStepMlPerHour;
+        const digits = step >= 1 ? 0 : Math.ceil(-Math.log10(step) - 1e-9);
+        return `${mlPerHour.toFixed(digits)} mL/h`;
+    }
+
+    // 薬液濃度と、スライダーの投与量の容量（ボーラス mL・持続投与 mL/h）
+    updateDrugPreparationDisplay() {
+        const preparation = this.simulator.drugPreparation;
+        if (!preparation) return;
+        const concentration = document.getElementById('prep-concentration');
+        const bolusVolume = document.getElementById('bolus-volume');
+        const continuousVolume = document.getElementById('continuous-volume');
+        if (concentration) concentration.textContent = `${preparation.getConcentration().toFixed(2)} mg/mL`;
+        if (bolusVolume) {
+            const bolusDose = parseFloat(document.getElementById('bolus-dose')?.value || 0);
+            bolusVolume.textContent = `${preparation.toVolume(bolusDose).toFixed(1)} mL`;
+        }
+        if (continuousVolume) {
+            const continuousDose = parseFloat(document.getElementById('continuous-dose')?.value || 0);
+            const pump = preparation.toPumpRate((continuousDose * this.patient.weight) / 60.0);
+            continuousVolume.textContent = `${this.formatPumpRate(pump.mlPerHour)}${pump.limited ? '（ポンプ最大流量で制限）' : ''}`;
+        }
+    }
+
+    // 実行中は投与モードを切り替えられない
+    setDosingModeLocked(locked) {
+        document.querySelectorAll('input[name="dosing-mode"]').forEach(radio => {
+            radio.disabled = locked;
+        });
+        // PKモデルも実行中は変更不可
+        const pkModel = document.getElementById('pk-model');
+        if (pkModel) pkModel.disabled = locked;
+        // 薬液調製・ポンプ設定も実行中は変更不可
+        DRUG_PREPARATION_INPUTS.forEach(({ id }) => {
+            const input = document.getElementById(id);
+            if (input) input.disabled = locked;
+        });
+        // 導入量の計算は開始前のみ
+        document.getElementById('induction-planner')?.classList.toggle('hidden', locked);
+    }
+
+    initializePKModelSelect() {
+        const select = document.getElementById('pk-model');
+        if (!select || typeof PKModelRegistry === 'undefined') return;
+        select.innerHTML = PKModelRegistry.list()
+            .map(model => `<option value="${model.id}">${model.label}</option>`)
+            .join('');
+        select.value = this.simulator.pkModelId;
+        this.updatePKModelInfo();
+        // 比較は2つ以上のモデルが登録されている場合のみ
+        document.getElementById('model-comparison-section')
+            ?.classList.toggle('hidden', PKModelRegistry.list().length < 2);
+    }
+
+    // 選択中モデルの出典・共変量と、現在の患者が対象範囲外の項目
+    updatePKModelInfo() {
+        const info = document.getElementById('pk-model-info');
+        if (!info || typeof PKModelRegistry === 'undefined') return;
+        const model = PKModelRegistry.get(this.simulator.pkModelId);
+        const covariates = model.covariates.length > 0 ? model.covariates.join(', ') : 'なし';
+        const warnings = PKModelRegistry.checkValidRanges(model.id, this.patient);
+        info.innerHTML = `
+            <div>${model.source.citation}${model.source.verified ? '' : '（仮値・要原著確認）'}</div>
+            <div>共変量: ${covariates} / ke0: ${model.ke0Source}</div>
+            ${warnings.map(warning => `<div class="model-warning">⚠ ${warning}</div>`).join('')}
+        `;
+    }
+
+    updateDosingModeDisplay() {
+        const dosingMode = this.getSelectedDosingMode();
+        const isTCI = dosingMode !== 'manual';
+        const targetLabel = dosingMode === 'tci-plasma' ? '目標血漿濃度' : '目標効果部位濃度';
+        const tciTargetLabel = document.getElementById('tci-target-label');
+        const tciStatusLabel = document.getElementById('tci-status-label');
+        if (tciTargetLabel) tciTargetLabel.textContent = `${targetLabel} (µg/mL)`;
+        if (tciStatusLabel) tciStatusLabel.textContent = dosingMode === 'tci-plasma' ? '目標Cp' : '目標Ce';
+
+        const manualControls = document.getElementById('manual-dose-controls');
+        const tciControls = document.getElementById('tci-dose-controls');
+        const tciStatus = document.getElementById('tci-status');
+
+        if (manualControls) manualControls.classList.toggle('hidden', isTCI);
+        if (tciControls) tciControls.classList.toggle('hidden', !isTCI);
+        if (tciStatus) tciStatus.classList.toggle('hidden', !(isTCI && this.simulator.isRunning));
+    }
+
+    updateTCIStatusDisplay() {
+        if (!this.simulator.isRunning || !this.simulator.tciController) return;
+
+        const rate = this.simulator.getCurrentInfusionRate();
+        const targetElement = document.getElementById('tci-status-target');
+        const rateElement = document.getElementById('tci-pump-rate');
+        const rateWeightElement = document.getElementById('tci-pump-rate-weight');
+        const rateVolumeElement = document.getElementById('tci-pump-rate-ml');
+
+        if (targetElement) targetElement.textContent = this.simulator.getTCITarget().toFixed(2);
+        if (rateElement) rateElement.textContent = (rate * 60).toFixed(1);
+        if (rateWeightElement) rateWeightElement.textContent = (rate * 60 / this.patient.weight).toFixed(2);
+        if (rateVolumeElement && this.simulator.drugPreparation) {
+            rateVolumeElement.textContent = this.simulator.drugPreparation.toMlPerHour(rate).toFixed(1);
+        }
+
+        const limitedElement = document.getElementById('tci-rate-limited');
+        if (limitedElement) limitedElement.classList.toggle('hidden', !this.simulator.tciController.rateLimited);
+
+        const performance = this.simulator.tciPerformance;
+        if (!performance) return;
+        const signed = value => `${value >= 0 ? '+' : ''}${value.toFixed(3)}`;
+        const elements = {
+            deviation: document.getElementById('tci-deviation'),
+            overshoot: document.getElementById('tci-overshoot'),
+            undershoot: document.getElementById('tci-undershoot'),
+            reached: document.getElementById('tci-reached')
+        };
+        if (elements.deviation) elements.deviation.textContent = signed(performance.current || 0);
+        if (elements.overshoot) elements.overshoot.textContent = signed(performance.maxOvershoot);
+        if (elements.undershoot) elements.undershoot.textContent = performance.maxUndershoot.toFixed(3);
+        if (elements.reached) {
+            elements.reached.textContent = performance.reachedAt === null
+                ? '--:--'
+                : formatMinutes(performance.reachedAt - performance.since);
+        }
+    }
+
+    /**
+     * 目標Ce・到達時間から初回ボーラスと持続投与量を計算し、スライダーに反映
+     */
+    planInduction() {
+        const result = document.getElementById('induction-plan-result');
+        const chart = document.getElementById('induction-plan-chart');
+        if (!result || typeof InductionPlanner === 'undefined') return;
+        const bolusSlider = document.getElementById('bolus-dose');
+        const continuousSlider = document.getElementById('continuous-dose');
+        const targetCe = parseFloat(document.getElementById('planner-target-ce').value);
+        const targetTime = parseFloat(document.getElementById('planner-target-time').value);
+
+        let plan;
+        try {
+            plan = InductionPlanner.plan(this.patient, targetCe, targetTime, {
+                bolusStep: parseFloat(bolusSlider.step),
+                maxBolus: parseFloat(bolusSlider.max),
+                infusionStep: parseFloat(continuousSlider.step),
+                maxInfusion: parseFloat(continuousSlider.max),
+                drugPreparation: this.simulator.drugPreparation
+            });
+        } catch (error) {
+            console.error('Induction planning failed:', error);
+            result.innerHTML = `<div class="model-warning">⚠ ${error.message}</div>`;
+            if (chart) chart.innerHTML = '';
+            return;
+        }
+
+        const warnings = [...plan.warnings];
+        if (plan.overshootExceeded) {
+            warnings.push('オーバーシュートが大きいため、スライダーには反映していません');
+        } else {
+            bolusSlider.value = plan.bolus;
+            bolusSlider.dispatchEvent(new Event('input'));
+            continuousSlider.value = plan.continuousDose;
+            continuousSlider.dispatchEvent(new Event('input'));
+        }
+
+        const { profile } = plan;
+        const signed = value => `${value >= 0 ? '+' : ''}${value.toFixed(0)}%`;
+        if (this.simulator.pkModelId !== INDUCTION_PLANNER_DEFAULTS.model) {
+            warnings.push('計算は Masui 2022 モデルによります（選択中のPKモデルでは濃度が異なります）');
+        }
+        result.innerHTML = `
+            <div class="plan-doses">
+                ボーラス <strong>${plan.bolus.toFixed(1)} mg</strong>（計算値 ${plan.exact.bolus.toFixed(2)}）＋
+                持続 <strong>${plan.continuousDose.toFixed(1)} mg/kg/hr</strong>（計算値 ${plan.exact.continuousDose.toFixed(2)}）
+            </div>
+            ${plan.pump ? `<div>ボーラス ${plan.pump.bolusMl.toFixed(1)} mL ＋ 持続 ${this.formatPumpRate(plan.pump.mlPerHour)}</div>` : ''}
+            <div>Cp ピーク ${profile.peakCp.toFixed(2)} µg/mL（目標Ceに対して ${signed(profile.cpOvershoot)}、${formatMinutes(profile.peakCpTime)}）</div>
+            <div>
+                ${formatMinutes(targetTime)} の Ce ${profile.ceAtTargetTime.toFixed(3)} /
+                Ce 最大 ${profile.peakCe.toFixed(3)}（${signed(profile.ceOvershoot)}、${formatMinutes(profile.peakCeTime)}） /
+                目標到達 ${profile.timeToTarget === null ? '到達せず' : formatMinutes(profile.timeToTarget)} /
+                ${INDUCTION_PLANNER_DEFAULTS.horizon}分後の Ce ${profile.ceAtHorizon.toFixed(3)} µg/mL
+            </div>
+            ${warnings.map(warning => `<div class="model-warning">⚠ ${warning}</div>`).join('')}
+        `;
+
+        if (chart && typeof SVGPlot !== 'undefined') {
+            SVGPlot.render(chart, {
+                height: 220,
+                series: [
+                    { label: 'Cp', color: '#f5576c', points: plan.points.map(point => ({ x: point.time, y: point.cp })) },
+                    { label: 'Ce', color: '#4facfe', points: plan.points.map(point => ({ x: point.time, y: point.ce })) }
+                ],
+                xLabel: '経過時間 (分)',
+                yLabel: '濃度 (µg/mL)',
+                horizontalLines: [{ y: targetCe, label: `目標 ${targetCe.toFixed(2)}` }],
+                verticalLines: [{ x: targetTime, label: '到達時間' }]
+            });
+        }
+    }
+
+    giveBolus() {
+        const bolusDose = parseFloat(document.getElementById('bolus-dose')?.value || 0);
+        if (this.simulator.addBolus(bolusDose)) {
+            this.updateDoseHistoryDisplay();
+        }
+    }
+
+    // レミマゾラム・フルマゼニル・レミフェンタニルの投与イベントを時刻順に
+    getDoseHistoryEvents() {
+        const remifentanilEvents = this.simulator.remifentanil ? this.simulator.remifentanil.doseEvents : [];
+        return [...this.simulator.doseEvents, ...remifentanilEvents].sort((a, b) => a.time - b.time);
+    }
+
+    describeDoseEvent(event) {
+        const weight = this.simulator.patient.weight;
+        if (event.drug === 'remifentanil') {
+            return event.type === 'bolus'
+                ? `レミフェンタニル ボーラス ${event.amount.toFixed(0)} µg`
+                : `レミフェンタニル 持続投与 ${event.infusionDose.toFixed(2)} µg/kg/min`;
+        }
+        const preparation = this.simulator.drugPreparation;
+        if (event.type === 'bolus') {
+            return `ボーラス ${event.amount.toFixed(1)} mg${preparation ? ` (${preparation.toVolume(event.amount).toFixed(1)} mL)` : ''}`;
+        }
+        if (event.type === 'flumazenil') return `フルマゼニル ${event.amount.toFixed(1)} mg`;
+        const volume = preparation
+            ? `, ${this.formatPumpRate(event.mlPerHour ?? preparation.toMlPerHour(event.rate))}`
+            : '';
+        return `${event.source === 'tci' ? 'TCI ' : ''}持続投与 ${(event.rate * 60 / weight).toFixed(2)} mg/kg/hr ` +
+            `(${(event.rate * 60).toFixed(1)} mg/hr${volume})${event.pumpLimited ? ' ポンプ最大流量で制限' : ''}`;
+    }
+
+    updateDoseHistoryDisplay() {
+        const events = this.getDoseHistoryEvents();
+        const historySection = document.getElementById('dose-history-section');
+        const historyList = document.getElementById('dose-history-list');
+
+        if (!historySection || !historyList) return;
+        this.renderedDoseEventCount = events.length;
+
+        if (events.length === 0) {
+            historySection.classList.add('hidden');
+            return;
+        }
+
+        historySection.classList.remove('hidden');
+        historyList.innerHTML = '';
+        // TCIでは投与速度の変更が多いため最新50件のみ表示
+        events.slice(-50).reverse().forEach(event => {
+            const item = document.createElement('div');
+            item.className = 'dose-history-item';
+            const description = this.describeDoseEvent(event);
+            item.innerHTML = `
+                <span class="dose-history-time">${formatMinutes(event.time)}</span>
+                <span class="dose-history-description">${description}</span>
+            `;
+            historyList.appendChild(item);
+        });
+    }
+
+    updatePDDisplay() {
+        const container = document.getElementById('pd-values');
+        const calculator = this.simulator.pdCalculator;
+        if (!container || !calculator) return;
+
+        const effects = this.simulator.getPDEffects();
+        const models = Object.values(calculator.models).filter(model => model.enabled);
+        const signature = models.map(model => model.id).join(',');
+
+        // 表示するモデルが変わった場合のみ要素を作り直す
+        if (container.dataset.models !== signature) {
+            container.dataset.models = signature;
+            container.innerHTML = '';
+            models.forEach(model => {
+                const item = document.createElement('div');
+                item.className = 'pd-value-item';
+                item.innerHTML = `
+                    <span class="pd-value-label">${model.label}</span>
+                    <span class="pd-value" id="pd-value-${model.id}">--</span>
+                `;
+                container.appendChild(item);
+            });
+        }
+
+        models.forEach(model => {
+            const element = document.getElementById(`pd-value-${model.id}`);
+            if (!element) return;
+            const value = effects[model.id];
+            const digits = model.type === 'probability' || model.id === 'bis' ? 0 : 1;
+            element.textContent = `${value.toFixed(digits)}${model.unit}`;
+        });
+    }
+
+    updateRemifentanilDisplay() {
+        if (!this.simulator.isRunning || !this.simulator.remifentanil) return;
+        const concentrations = this.simulator.getRemifentanilConcentrations();
+        const noResponse = this.simulator.getLaryngoscopyNoResponse();
+
+        const cpElement = document.getElementById('remifentanil-cp');
+        const ceElement = document.getElementById('remifentanil-ce');
+        const noResponseElement = document.getElementById('laryngoscopy-no-response');
+        if (cpElement) cpElement.textContent = concentrations.cp.toFixed(2);
+        if (ceElement) ceElement.textContent = concentrations.ce.toFixed(2);
+        if (noResponseElement && noResponse !== null) noResponseElement.textContent = `${noResponse.toFixed(0)}%`;
+    }
+
+    updateResedationDisplay() {
+        this.resedationUpdatedAt = this.simulator.lastSolveTime;
+        const status = document.getElementById('flumazenil-status');
+        if (!status) return;
+
+        const risk = this.simulator.getResedationRisk();
+        status.classList.toggle('hidden', !risk);
+        if (!risk) return;
+
+        const elements = {
+            ce: document.getElementById('flumazenil-ce'),
+            shift: document.getElementById('flumazenil-shift'),
+            peak: document.getElementById('resedation-peak'),
+            warning: document.getElementById('resedation-warning')
+        };
+        if (elements.ce) elements.ce.textContent = risk.flumazenilCe.toFixed(1);
+        if (elements.shift) elements.shift.textContent = risk.ce50Shift.toFixed(2);
+        if (elements.peak) {
+            elements.peak.textContent = `${risk.peakProbability.toFixed(0)}% (${formatMinutes(risk.timeToPeak)}後)`;
+        }
+        if (elements.warning) elements.warning.classList.toggle('hidden', !risk.atRisk);
+    }
+
+    renderPDParameterEditor() {
+        const editor = document.getElementById('pd-parameter-editor');
+        const calculator = this.simulator.pdCalculator;
+        if (!editor || !calculator) return;
+
+        editor.innerHTML = '';
+        Object.values(calculator.models).forEach(model => {
+            const block = document.createElement('div');
+            block.className = 'pd-model';
+            const inputs = Object.entries(model.params).map(([key, value]) => `
+                <label class="pd-param">
+                    <span>${model.paramLabels?.[key] || key}</span>
+                    <input type="number" step="0.05" value="${value}" data-model="${model.id}" data-param="${key}">
+                </label>
+            `).join('');
+            block.innerHTML = `
+                <label class="pd-model-header">
+                    <input type="checkbox" data-model="${model.id}" ${model.enabled ? 'checked' : ''}>
+                    ${model.label}
+                </label>
+                <div class="pd-params">${inputs}</div>
+                <div class="pd-source">
+                    出典: ${model.source.citation}
+                    ${model.source.verified ? '' : '<span class="pd-unverified">仮値・要原著確認</span>'}
+                </div>
+            `;
+            editor.appendChild(block);
+        });
+
+        editor.querySelectorAll('input[data-param]').forEach(input => {
+            input.addEventListener('change', () => {
+                const { model, param } = input.dataset;
+                if (!calculator.setParameter(model, param, parseFloat(input.value))) {
+                    input.value = calculator.models[model].params[param];
+                    return;
+                }
+                this.updatePDDisplay();
+            });
+        });
+        editor.querySelectorAll('input[type="checkbox"]').forEach(input => {
+            input.addEventListener('change', () => {
+                calculator.setEnabled(input.dataset.model, input.checked);
+                this.updatePDDisplay();
+            });
+        });
+    }
+
+    renderFlumazenilParameterEditor() {
+        const editor = document.getElementById('flumazenil-parameter-editor');
+        const params = this.simulator.flumazenilParams;
+        if (!editor || !params) return;
+
+        const inputs = Object.entries(FLUMAZENIL_PARAM_LABELS).map(([key, label]) => `
+            <label class="pd-param">
+                <span>${label}</span>
+                <input type="number" min="0" step="any" value="${params[key]}" data-param="${key}">
+            </label>
+        `).join('');
+        editor.innerHTML = `
+            <div class="pd-model">
+                <div class="pd-params">${inputs}</div>
+                <div class="pd-source">
+                    出典: ${params.source.citation}
+                    ${params.source.verified ? '' : '<span class="pd-unverified">仮値・要原著確認</span>'}
+                </div>
+            </div>
+        `;
+
+        editor.querySelectorAll('input[data-param]').forEach(input => {
+            input.addEventListener('change', () => {
+                if (!this.simulator.setFlumazenilParameter(input.dataset.param, parseFloat(input.value))) {
+                    input.value = this.simulator.flumazenilParams[input.dataset.param];
+                    return;
+                }
+                this.updatePDDisplay();
+                this.updateResedationDisplay();
+            });
+        });
+    }
+
+    renderResponseSurfaceEditor() {
+        const editor = document.getElementById('response-surface-editor');
+        const surface = this.simulator.responseSurface;
+        if (!editor || !surface) return;
+
+        const inputs = Object.entries(RESPONSE_SURFACE_PARAM_LABELS).map(([key, label]) => `
+            <label class="pd-param">
+                <span>${label}</span>
+                <input type="number" step="any" value="${surface.params[key]}" data-param="${key}">
+            </label>
+        `).join('');
+        editor.innerHTML = `
+            <div class="pd-model">
+                <div class="pd-params">${inputs}</div>
+                <div class="pd-source">
+                    出典: ${surface.params.source.citation}
+                    ${surface.params.source.verified ? '' : '<span class="pd-unverified">仮値・要原著確認</span>'}
+                </div>
+            </div>
+        `;
+
+        editor.querySelectorAll('input[data-param]').forEach(input => {
+            input.addEventListener('change', () => {
+                if (!surface.setParameter(input.dataset.param, parseFloat(input.value))) {
+                    input.value = surface.params[input.dataset.param];
+                    return;
+                }
+                this.updateRemifentanilDisplay();
+            });
+        });
+    }
+
+    getThresholdLevels() {
+        const lossOfConsciousnessCe = parseFloat(document.getElementById('loc-threshold')?.value);
+        const awakeningCe = parseFloat(document.getElementById('awakening-threshold')?.value);
+        return {
+            lossOfConsciousnessCe: lossOfConsciousnessCe >= 0 ? lossOfConsciousnessCe : 1.0,
+            awakeningCe: awakeningCe >= 0 ? awakeningCe : 0.5
+        };
+    }
+
+    updateThresholdPredictions() {
+        this.thresholdPredictions = this.simulator.getThresholdPredictions(this.getThresholdLevels());
+        this.updateCountdownDisplay();
+    }
+
+    // 予測時刻までの残り時間を100msごとに表示
+    updateCountdownDisplay() {
+        const predictions = this.thresholdPredictions;
+        if (!predictions || !this.simulator.isRunning) return;
+
+        const now = this.simulator.getCurrentTimeMin();
+        const render = (prediction, levelId, countdownId, reachedText) => {
+            const levelElement = document.getElementById(levelId);
+            const countdownElement = document.getElementById(countdownId);
+            if (levelElement) levelElement.textContent = prediction.level.toFixed(2);
+            if (!countdownElement) return;
+            if (prediction.at === null) {
+                countdownElement.textContent = '予測範囲外';
+            } else if (prediction.time === 0) {
+                countdownElement.textContent = reachedText;
+            } else {
+                countdownElement.textContent = formatMinutes(Math.max(0, prediction.at - now));
+            }
+        };
+
+        render(predictions.onset, 'onset-level', 'onset-countdown', '到達済');
+        render(predictions.offset, 'offset-level', 'offset-countdown', '未満');
+    }
+
+    getForecastOptions() {
+        const options = {};
+        const horizon = parseFloat(document.getElementById('forecast-horizon')?.value);
+        const bolusAmount = parseFloat(document.getElementById('forecast-bolus')?.value);
+        const thresholdCe = parseFloat(document.getElementById('forecast-threshold')?.value);
+        if (horizon > 0) options.horizon = horizon;
+        if (bolusAmount >= 0) options.bolusAmount = bolusAmount;
+        if (thresholdCe >= 0) options.thresholdCe = thresholdCe;
+        return options;
+    }
+
+    updateForecastDisplay() {
+        this.forecastUpdatedAt = Date.now();
+        const chart = document.getElementById('forecast-chart');
+        const summary = document.getElementById('forecast-summary');
+        if (!chart || !summary || !this.simulator.isRunning) return;
+
+        const options = this.getForecastOptions();
+        const forecasts = this.simulator.getForecasts(options);
+        if (forecasts.length === 0) return;
+
+        const colors = { continue: '#667eea', stop: '#4caf50', bolus: '#f44336', double: '#ff9800' };
+        const threshold = options.thresholdCe ?? FORECAST_DEFAULTS.thresholdCe;
+        const labelOf = forecast => forecast.scenario.id === 'bolus'
+            ? `${forecast.scenario.label} ${forecast.bolus.toFixed(1)} mg`
+            : forecast.scenario.label;
+
+        if (typeof SVGPlot !== 'undefined') {
+            SVGPlot.render(chart, {
+                series: forecasts.map(forecast => ({
+                    label: labelOf(forecast),
+                    color: colors[forecast.scenario.id] || '#333',
+                    points: forecast.points.map(point => ({ x: point.time, y: point.ce }))
+                })),
+                xLabel: '経過時間 (分)',
+                yLabel: 'Ce (µg/mL)',
+                horizontalLines: [{ y: threshold, label: `判定 ${threshold.toFixed(2)}` }]
+            });
+        }
+
+        summary.innerHTML = `
+            <div class="forecast-row forecast-header">
+                <span>シナリオ</span><span>最大Ce</span><span>到達</span><span>判定濃度未満</span>
+            </div>
+        `;
+        forecasts.forEach(forecast => {
+            const row = document.createElement('div');
+            row.className = 'forecast-row';
+            const timeBelow = forecast.timeBelow === null ? '予測区間外' : `${formatMinutes(forecast.timeBelow)} 後`;
+            row.innerHTML = `
+                <span class="forecast-label" style="border-color: ${colors[forecast.scenario.id] || '#333'}">${labelOf(forecast)}</span>
+                <span>${forecast.peakCe.toFixed(3)}</span>
+                <span>${formatMinutes(forecast.timeToPeak)} 後</span>
+                <span>${timeBelow}</span>
+            `;
+            summary.appendChild(row);
+        });
+    }
+
+    updateSampleList() {
+        const list = document.getElementById('sample-list');
+        const runButton = document.getElementById('run-bayesian');
+        if (runButton) runButton.disabled = !this.simulator.isRunning || this.samples.length === 0;
+        if (!list) return;
+
+        list.innerHTML = '';
+        this.samples.forEach((sample, index) => {
+            const item = document.createElement('div');
+            item.className = 'sample-item';
+            item.innerHTML = `
+                <span>${formatMinutes(sample.time)}</span>
+                <span>${sample.concentration.toFixed(3)} µg/mL</span>
+                <button class="sample-remove" data-index="${index}">✕</button>
+            `;
+            list.appendChild(item);
+        });
+        list.querySelectorAll('.sample-remove').forEach(button => {
+            button.addEventListener('click', () => {
+                this.samples.splice(parseInt(button.dataset.index), 1);
+                this.updateSampleList();
+                this.saveSession();
+            });
+        });
+    }
+
+    renderBayesianPriorEditor() {
+        const editor = document.getElementById('bayesian-prior-editor');
+        if (!editor || typeof BAYESIAN_DEFAULTS === 'undefined') return;
+
+        const { cv } = POPULATION_DEFAULTS;
+        const inputs = BAYESIAN_DEFAULTS.keys.map(key => `
+            <label class="pd-param">
+                <span>${POPULATION_CV_LABELS[key]} CV</span>
+                <input type="number" min="0" step="0.05" value="${cv[key]}" data-prior-cv="${key}">
+            </label>
+        `).join('');
+        editor.innerHTML = `
+            <div class="pd-model">
+                <div class="pd-params">
+                    ${inputs}
+                    <label class="pd-param">
+                        <span>残差SD (対数)</span>
+                        <input type="number" min="0" step="0.01" value="${BAYESIAN_DEFAULTS.residualSD}" id="prior-residual-sd">
+                    </label>
+                </div>
+                <div class="pd-source">${this.formatCVSource(BAYESIAN_DEFAULTS.source)}</div>
+            </div>
+        `;
+    }
+
+    // 事前分布の入力値（不正な値は BayesianEstimator が検証してエラーを表示）
+    getBayesianPrior() {
+        const cv = {};
+        document.querySelectorAll('#bayesian-prior-editor input[data-prior-cv]').forEach(input => {
+            cv[input.dataset.priorCv] = parseFloat(input.value);
+        });
+        const residualSD = document.getElementById('prior-residual-sd');
+        return residualSD ? { cv, residualSD: parseFloat(residualSD.value) } : { cv };
+    }
+
+    runBayesianEstimation() {
+        const resultElement = document.getElementById('bayesian-result');
+        if (!this.simulator.isRunning || typeof BayesianEstimator === 'undefined') return;
+
+        const populationParams = this.simulator.getPopulationPkParams();
+        const doseEvents = this.simulator.getRegimenEvents();
+        let estimate;
+        try {
+            estimate = new BayesianEstimator(populationParams, this.getBayesianPrior()).estimate(this.samples, doseEvents);
+        } catch (error) {
+            console.error('Bayesian estimation failed:', error);
+            if (resultElement) resultElement.textContent = `推定できませんでした: ${error.message}`;
+            return;
+        }
+        this.simulator.applyIndividualParameters(estimate.params);
+        this.saveSession();
+
+        if (resultElement) {
+            const rows = ['v1', 'v2', 'v3', 'cl', 'q2', 'q3'].map(key => `
+                <div class="bayesian-row">
+                    <span>${key.toUpperCase()}</span>
+                    <span>${populationParams[key].toFixed(3)}</span>
+                    <span>${estimate.params[key].toFixed(3)}</span>
+                    <span>${estimate.etas[key] >= 0 ? '+' : ''}${estimate.etas[key].toFixed(3)}</span>
+                </div>
+            `).join('');
+            resultElement.innerHTML = `
+                <div class="bayesian-row bayesian-header">
+                    <span>パラメータ</span><span>母集団</span><span>個別</span><span>η</span>
+                </div>
+                ${rows}
+                <div class="bayesian-objective">
+                    目的関数 ${estimate.priorObjective.toFixed(2)} → ${estimate.objective.toFixed(2)}
+                    (${estimate.iterations}回${estimate.converged ? '' : '・未収束'})
+                </div>
+                <div class="pd-unverified">
+                    仮定した事前分布（CV・残差SD）による例示的な推定です。Masui 2022 の個体間変動・残差誤差に基づくものではありません。
+                </div>
+            `;
+        }
+
+        // 推定前後の予測血漿濃度と実測値
+        const chart = document.getElementById('bayesian-chart');
+        if (chart && typeof SVGPlot !== 'undefined') {
+            const end = Math.max(this.simulator.lastSolveTime, ...this.samples.map(s => s.time)) + 10;
+            const times = Array.from({ length: 121 }, (_, i) => (i * end) / 120);
+            const curve = params => new AnalyticalPKEngine(params).simulateEvents(doseEvents, times)
+                .map((point, i) => ({ x: times[i], y: point.cp }));
+            SVGPlot.render(chart, {
+                height: 260,
+                series: [
+                    { label: '母集団予測', color: '#999', dashed: true, points: curve(populationParams) },
+                    { label: '個別化予測（例示）', color: '#667eea', points: curve(this.simulator.pkParams) },
+                    {
+                        label: '実測値', color: '#f44336', markers: true, line: false,
+                        points: this.samples.map(s => ({ x: s.time, y: s.concentration }))
+                    }
+                ],
+                xLabel: '経過時間 (分)',
+                yLabel: 'Cp (µg/mL)',
+                verticalLines: [{ x: this.simulator.lastSolveTime, label: '現在' }]
+            });
+        }
+    }
+
+    // 解析に用いる投与: 実行中は記録された投与、停止中はSTEP 2の手動投与設定
+    getAnalysisDoseEvents() {
+        if (this.simulator.isRunning) {
+            return this.simulator.getRegimenEvents();
+        }
+        const bolusDose = parseFloat(document.getElementById('bolus-dose')?.value || 0);
+        const continuousDose = parseFloat(document.getElementById('continuous-dose')?.value || 0);
+        return [
+            { time: 0, type: 'bolus', amount: bolusDose },
+            { time: 0, type: 'infusion', rate: (continuousDose * this.patient.weight) / 60.0 }
+        ];
+    }
+
+    updateModelComparisonDisplay() {
+        const table = document.getElementById('model-comparison-table');
+        if (!table || typeof PKModelRegistry === 'undefined') return;
+
+        const duration = parseFloat(document.getElementById('model-comparison-duration')?.value || 60);
+        const step = duration / 120;
+        const times = Array.from({ length: 121 }, (_, i) => i * step);
+        const patient = this.simulator.isRunning ? this.simulator.patient : this.patient;
+        const results = PKModelRegistry.compare(patient, this.getAnalysisDoseEvents(), times);
+        const colors = ['#667eea', '#f44336', '#4caf50', '#ff9800', '#764ba2'];
+
+        const rows = results.map(result => {
+            const label = `${result.model.label}${result.model.source.verified ? '' : ' ※'}`;
+            if (result.error) {
+                return `<tr><td>${label}</td><td colspan="4">計算できません: ${result.error}</td></tr>`;
+            }
+            const peak = result.points.reduce((max, point) => (point.ce > max.ce ? point : max), result.points[0]);
+            const last = result.points[result.points.length - 1];
+            const warnings = result.warnings.map(warning => `<div class="model-warning">⚠ ${warning}</div>`).join('');
+            return `
+                <tr>
+                    <td>${label}${warnings}</td>
+                    <td>${result.pkParams.ke0.toFixed(3)}</td>
+                    <td>${peak.ce.toFixed(3)}</td>
+                    <td>${formatMinutes(peak.time)}</td>
+                    <td>${last.ce.toFixed(3)}</td>
+                </tr>
+            `;
+        });
+        table.innerHTML = `
+            <table>
+                <thead>
+                    <tr><th>モデル</th><th>ke0 (/min)</th><th>最大Ce</th><th>最大Ce時刻</th><th>${formatMinutes(duration)} のCe</th></tr>
+                </thead>
+                <tbody>${rows.join('')}</tbody>
+            </table>
+            <p class="population-note">※ 仮値・要原著確認</p>
+        `;
+
+        const renderChart = (id, key, label) => {
+            const chart = document.getElementById(id);
+            if (!chart || typeof SVGPlot === 'undefined') return;
+            SVGPlot.render(chart, {
+                height: 240,
+                series: results
+                    .filter(result => !result.error)
+                    .map((result, i) => ({
+                        label: result.model.label,
+                        color: colors[i % colors.length],
+                        points: result.points.map(point => ({ x: point.time, y: point[key] }))
+                    })),
+                xLabel: '経過時間 (分)',
+                yLabel: `${label} (µg/mL)`,
+                verticalLines: this.simulator.isRunning
+                    ? [{ x: this.simulator.lastSolveTime, label: '現在' }]
+                    : []
+            });
+        };
+        renderChart('model-comparison-chart-cp', 'cp', 'Cp');
+        renderChart('model-comparison-chart-ce', 'ce', 'Ce');
+    }
+
+    renderPopulationCVEditor() {
+        const editor = document.getElementById('population-cv-editor');
+        if (!editor || typeof POPULATION_DEFAULTS === 'undefined') return;
+
+        const { cv, source } = POPULATION_DEFAULTS;
+        const inputs = Object.entries(POPULATION_CV_LABELS).map(([key, label]) => `
+            <label class="pd-param">
+                <span>${label}</span>
+                <input type="number" min="0" step="0.05" value="${cv[key]}" data-cv="${key}">
+            </label>
+        `).join('');
+        editor.innerHTML = `
+            <div class="pd-model">
+                <div class="pd-params">${inputs}</div>
+                <div class="pd-source">${this.formatCVSource(source)}</div>
+            </div>
+        `;
+    }
+
+    // 変動係数の出典（出典のない仮定値は、その旨の説明を表示）
+    formatCVSource(source) {
+        if (!source.citation) {
+            return `<span class="pd-unverified">${source.description}</span>`;
+        }
+        return `出典: ${source.citation}${source.verified ? '' : ' <span class="pd-unverified">仮値・要原著確認</span>'}`;
+    }
+
+    // 編集された変動係数（0以上の数値のみ）
+    getPopulationCV() {
+        const cv = {};
+        document.querySelectorAll('#population-cv-editor input[data-cv]').forEach(input => {
+            const value = parseFloat(input.value);
+            if (value >= 0) cv[input.dataset.cv] = value;
+        });
+        return cv;
+    }
+
+    updatePopulationDisplay() {
+        const summary = document.getElementById('population-summary');
+        if (!summary || typeof PopulationSimulator === 'undefined') return;
+
+        const subjects = parseInt(document.getElementById('population-subjects')?.value || POPULATION_DEFAULTS.subjects);
+        const duration = parseFloat(document.getElementById('population-duration')?.value || 60);
+        const step = duration / 120;
+        const times = Array.from({ length: 121 }, (_, i) => i * step);
+
+        const doseEvents = this.getAnalysisDoseEvents();
+        const pkParams = this.simulator.isRunning
+            ? this.simulator.pkParams
+            : this.simulator.calculatePKParameters(this.patient);
+
+        const result = new PopulationSimulator(pkParams, { subjects, cv: this.getPopulationCV() }).run(doseEvents, times);
+
+        const renderChart = (id, key, label) => {
+            const chart = document.getElementById(id);
+            if (!chart || typeof SVGPlot === 'undefined') return;
+            const band = p => times.map((time, i) => ({ x: time, y: result[key][p][i] }));
+            SVGPlot.render(chart, {
+                height: 240,
+                series: [
+                    { label: `${label} 中央値`, color: '#667eea', points: band(50) },
+                    { label: '5/95パーセンタイル（仮定CV）', color: '#764ba2', dashed: true, points: band(95) },
+                    { color: '#764ba2', dashed: true, points: band(5) }
+                ],
+                xLabel: '経過時間 (分)',
+                yLabel: `${label} (µg/mL)`,
+                verticalLines: this.simulator.isRunning
+                    ? [{ x: this.simulator.lastSolveTime, label: '現在' }]
+                    : []
+            });
+        };
+        renderChart('population-chart-cp', 'cp', 'Cp');
+        renderChart('population-chart-ce', 'ce', 'Ce');
+
+        // 現在時刻（停止中は終了時刻）の分布
+        const index = this.simulator.isRunning
+            ? Math.min(times.length - 1, Math.round(this.simulator.lastSolveTime / step))
+            : times.length - 1;
+        const describe = key => `${result[key][50][index].toFixed(3)} (${result[key][5][index].toFixed(3)}–${result[key][95][index].toFixed(3)})`;
+        summary.innerHTML = `
+            <span>${result.subjects}人 / ${formatMinutes(times[index])} 時点（仮定CV）</span>
+            <span>Cp ${describe('cp')} µg/mL</span>
+            <span>Ce ${describe('ce')} µg/mL</span>
+        `;
+    }
+
+    updateDecrementDisplay() {
+        const chart = document.getElementById('decrement-chart');
+        const table = document.getElementById('decrement-table');
+        if (!chart || !table || typeof DecrementTimeCalculator === 'undefined') return;
+
+        const pkParams = this.simulator.calculatePKParameters(this.patient);
+        const maxDuration = parseFloat(document.getElementById('decrement-max-duration')?.value) || DECREMENT_DEFAULTS.maxDuration;
+        const calculator = new DecrementTimeCalculator(new AnalyticalPKEngine(pkParams), { maxDuration });
+        const curve = calculator.calculateCurve();
+        this.decrementCalculated = true;
+
+        const series = [
+            { label: 'CSHT (血漿50%)', color: '#667eea', dashed: true, key: r => r.csht },
+            { label: '効果部位50%', color: '#4caf50', key: r => r.effect[50] },
+            { label: '効果部位70%', color: '#ff9800', key: r => r.effect[70] },
+            { label: '効果部位80%', color: '#f44336', key: r => r.effect[80] }
+        ];
+
+        if (typeof SVGPlot !== 'undefined') {
+            SVGPlot.render(chart, {
+                series: series.map(s => ({
+                    label: s.label,
+                    color: s.color,
+                    dashed: s.dashed,
+                    points: curve.map(r => ({ x: r.duration / 60, y: s.key(r) }))
+                })),
+                xLabel: '持続投与時間 (時間)',
+                yLabel: '減少時間 (分)'
+            });
+        }
+
+        const format = value => (value === null ? '--' : value.toFixed(1));
+        table.innerHTML = `
+            <div class="decrement-row decrement-header">
+                <span>投与時間</span><span>CSHT</span><span>Ce 50%</span><span>Ce 70%</span><span>Ce 80%</span>
+            </div>
+        `;
+        calculator.calculateTable().forEach(r => {
+            const row = document.createElement('div');
+            row.className = 'decrement-row';
+            row.innerHTML = `
+                <span>${(r.duration / 60).toFixed(1)} 時間</span>
+                <span>${format(r.csht)}</span>
+                <span>${format(r.effect[50])}</span>
+                <span>${format(r.effect[70])}</span>
+                <span>${format(r.effect[80])}</span>
+            `;
+            table.appendChild(row);
+        });
     }
 
     updateConcentrationDisplay() {
@@ -776,6 +1976,101 @@ class EnhancedUIController {
         }
     }
 
+    // 投与マーカー: TCIの速度変更は頻繁なため除き、レミマゾラムとフルマゼニルのみ
+    getChartDoseMarkers() {
+        const colors = { bolus: '#f44336', infusion: '#667eea', flumazenil: '#4caf50' };
+        const labels = { bolus: 'B', infusion: 'I', flumazenil: 'F' };
+        return this.simulator.doseEvents
+            .filter(event => event.source !== 'tci')
+            // 開始時の 0 mg ボーラス・0 mg/min 持続投与は表示しない
+            .filter(event => event.type === 'infusion' ? (event.time > 0 || event.rate > 0) : event.amount > 0)
+            .map((event, index) => ({
+                x: event.time,
+                label: event.type === 'bolus' || event.type === 'flumazenil'
+                    ? `${labels[event.type]} ${event.amount.toFixed(1)}`
+                    : labels[event.type],
+                color: colors[event.type] || '#999',
+                row: index % CONCENTRATION_CHART_DEFAULTS.markerRows
+            }));
+    }
+
+    updateConcentrationChart() {
+        const chart = document.getElementById('concentration-chart');
+        const history = this.simulator.history;
+        this.chartUpdatedAt = this.simulator.lastSolveTime;
+        if (!chart || typeof SVGPlot === 'undefined' || history.length === 0) return;
+
+        const windowValue = document.getElementById('chart-window')?.value || 'all';
+        const yMaxValue = document.getElementById('chart-y-max')?.value || 'auto';
+        const horizon = parseFloat(document.getElementById('chart-projection')?.value || 0);
+
+        const now = history[history.length - 1].time;
+        const xMin = windowValue === 'all' ? 0 : Math.max(0, now - parseFloat(windowValue));
+        const projection = horizon > 0 ? this.simulator.getProjection(horizon) : [];
+        this.renderConcentrationChart(chart, {
+            xMin,
+            xMax: Math.max(now + (projection.length > 0 ? horizon : 0), xMin + 1),
+            yMax: yMaxValue === 'auto' ? undefined : parseFloat(yMaxValue),
+            projection
+        });
+    }
+
+    // 臨床イベントのマーカー（投与マーカーと重ならないよう下の段に表示）
+    getChartClinicalEventMarkers() {
+        return this.simulator.clinicalEvents.map((event, index) => {
+            const type = ClinicalEvents.getType(event.type);
+            return {
+                x: event.time,
+                label: event.type === 'custom' ? event.label.slice(0, 8) : type.short,
+                color: type.color,
+                row: CONCENTRATION_CHART_DEFAULTS.markerRows + index % 2
+            };
+        });
+    }
+
+    // 濃度履歴・予測・投与マーカー・臨床イベント・記録のグラフ（画面表示とレポートで共通）
+    renderConcentrationChart(container, { xMin, xMax, yMax, projection = [] }) {
+        const history = this.simulator.history;
+        const now = history[history.length - 1].time;
+        const visible = EnhancedSimulationEngine.thinHistory(
+            history.filter(point => point.time >= xMin), CONCENTRATION_CHART_DEFAULTS.maxPoints);
+        const snapshots = this.simulator.snapshots.filter(snapshot => snapshot.time >= xMin);
+        const series = [
+            { label: 'Cp', color: '#f5576c', points: visible.map(point => ({ x: point.time, y: point.cp })) },
+            { label: 'Ce', color: '#4facfe', points: visible.map(point => ({ x: point.time, y: point.ce })) }
+        ];
+        if (projection.length > 0) {
+            series.push(
+                { label: 'Cp 予測', color: '#f5576c', dashed: true, points: projection.map(point => ({ x: point.time, y: point.cp })) },
+                { label: 'Ce 予測', color: '#4facfe', dashed: true, points: projection.map(point => ({ x: point.time, y: point.ce })) }
+            );
+        }
+        if (snapshots.length > 0) {
+            series.push({
+                label: '記録',
+                color: '#333',
+                line: false,
+                markers: true,
+                points: snapshots.map(snapshot => ({ x: snapshot.time, y: snapshot.effectSiteConcentration }))
+            });
+        }
+
+        SVGPlot.render(container, {
+            series,
+            xMin,
+            xMax,
+            yMax,
+            xLabel: '経過時間 (分)',
+            yLabel: '濃度 (µg/mL)',
+            verticalLines: [
+                ...this.getChartDoseMarkers(),
+                ...this.getChartClinicalEventMarkers(),
+                { x: now, color: '#333' }
+            ],
+            height: 260
+        });
+    }
+
     updateTimerDisplay() {
         if (this.simulator.isRunning) {
             const timerElement = document.getElementById('elapsed-time');
@@ -785,7 +2080,150 @@ class EnhancedUIController {
         }
     }
 
-    // updateIntegrationDisplay() - 削除（不要な表示のため）
+    togglePause() {
+        if (!this.simulator.isRunning) return;
+        if (this.simulator.isPaused()) {
+            this.simulator.resume();
+        } else {
+            this.simulator.pause();
+        }
+        this.updateClockDisplay();
+        this.saveSession();
+    }
+
+    updateClockDisplay() {
+        const paused = this.simulator.isPaused();
+        const pauseButton = document.getElementById('pause-simulation');
+        const clockStatus = document.getElementById('clock-status');
+        const speedSelect = document.getElementById('simulation-speed');
+        if (pauseButton) pauseButton.textContent = paused ? '▶ 再開' : '⏸ 一時停止';
+        if (clockStatus) clockStatus.classList.toggle('hidden', !paused);
+        if (speedSelect) speedSelect.value = String(this.simulator.getSpeed());
+    }
+
+    updateCalculationCheckDisplay() {
+        const checkElement = document.getElementById('calculation-check-value');
+        if (!checkElement || !this.simulator.isRunning) return;
+
+        const methodElement = document.getElementById('effect-site-method');
+        if (methodElement) {
+            const method = this.simulator.getEffectSiteMethod();
+            if (method === 'analytical') {
+                methodElement.textContent = '解析解';
+            } else if (method === 'ode') {
+                methodElement.textContent = 'ODE';
+            } else {
+                methodElement.textContent = method ? `VHAC (${VHAC_METHODS[method]})` : 'VHAC';
+            }
+        }
+
+        if (this.simulator.calculationMode === 'analytical') {
+            checkElement.textContent = '解析解で計算中';
+            return;
+        }
+
+        const deviation = this.simulator.getAnalyticalDeviation();
+        if (deviation) {
+            checkElement.textContent =
+                `ΔCp ${deviation.plasma.toExponential(1)} / ΔCe ${deviation.effectSite.toExponential(1)}`;
+        }
+    }
+
+    getExportDataset() {
+        return document.getElementById('export-dataset')?.value || 'timeSeries';
+    }
+
+    setExportStatus(message, isError = false) {
+        const status = document.getElementById('export-status');
+        if (!status) return;
+        status.textContent = message;
+        status.style.color = isError ? '#f44336' : '';
+    }
+
+    // 記録・時系列のファイル保存（停止後も最後の実行の結果を保存できる）
+    exportData(format) {
+        if (typeof SimulationExporter === 'undefined') return;
+        try {
+            const dataset = format === 'json' ? 'all' : this.getExportDataset();
+            const content = format === 'json'
+                ? SimulationExporter.toJSON(this.simulator)
+                : SimulationExporter.toCSV(this.simulator, dataset);
+            const mimeType = format === 'json' ? 'application/json' : 'text/csv';
+            const filename = SimulationExporter.createFileName(dataset, format);
+            this.downloadFile(filename, content, mimeType);
+            this.setExportStatus(`${filename} を保存しました`);
+        } catch (error) {
+            console.error('Export failed:', error);
+            this.setExportStatus(`書き出しに失敗しました: ${error.message}`, true);
+        }
+    }
+
+    downloadFile(filename, content, mimeType) {
+        // Excel で文字化けしないよう CSV には BOM を付ける
+        const parts = mimeType === 'text/csv' ? ['\uFEFF', content] : [content];
+        const url = URL.createObjectURL(new Blob(parts, { type: `${mimeType};charset=utf-8` }));
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+        URL.revokeObjectURL(url);
+    }
+
+    // 印刷用の症例レポートを表示（停止後も最後の実行・開いた症例の結果で作成できる）
+    showReport() {
+        const view = document.getElementById('report-view');
+        const content = document.getElementById('report-content');
+        if (!view || !content || typeof CaseReport === 'undefined') return;
+        try {
+            const report = CaseReport.build(this.simulator, {
+                events: this.getDoseHistoryEvents(),
+                describeEvent: event => this.describeDoseEvent(event)
+            });
+            content.innerHTML = CaseReport.renderHTML(report);
+        } catch (error) {
+            console.error('Report failed:', error);
+            this.setExportStatus(`レポートを作成できませんでした: ${error.message}`, true);
+            return;
+        }
+        const chart = document.getElementById('report-chart');
+        if (chart && typeof SVGPlot !== 'undefined' && this.simulator.history.length > 0) {
+            const now = this.simulator.history[this.simulator.history.length - 1].time;
+            this.renderConcentrationChart(chart, { xMin: 0, xMax: Math.max(now, 1) });
+        }
+        view.classList.remove('hidden');
+        document.body.classList.add('report-open');
+        view.scrollIntoView({ behavior: 'smooth' });
+    }
+
+    closeReport() {
+        document.getElementById('report-view')?.classList.add('hidden');
+        document.body.classList.remove('report-open');
+    }
+
+    async copyTSVToClipboard() {
+        if (typeof SimulationExporter === 'undefined') return;
+        try {
+            const text = SimulationExporter.toTSV(this.simulator, this.getExportDataset());
+            if (navigator.clipboard && navigator.clipboard.writeText) {
+                await navigator.clipboard.writeText(text);
+            } else {
+                // Clipboard API が使えない環境（http など）
+                const textarea = document.createElement('textarea');
+                textarea.value = text;
+                document.body.appendChild(textarea);
+                textarea.select();
+                const copied = document.execCommand('copy');
+                document.body.removeChild(textarea);
+                if (!copied) throw new Error('クリップボードにアクセスできません');
+            }
+            this.setExportStatus('TSVをクリップボードにコピーしました');
+        } catch (error) {
+            console.error('Copy failed:', error);
+            this.setExportStatus(`コピーに失敗しました: ${error.message}`, true);
+        }
+    }
 
     updateSnapshotsDisplay() {
         const snapshots = this.simulator.snapshots;
@@ -0,0 +1,125 @@
+/**
+ * Flumazenil - 拮抗薬フルマゼニルの薬物動態と競合的拮抗
+ *
+ * 2コンパートメント＋効果部位モデル（ボーラス投与の重ね合わせ解析解）:
+ *   Cp(t) = A e^(-αt) + B e^(-βt)
+ *   α, β は λ² - (k10 + k12 + k21) λ + k10 k21 = 0 の根
+ *   A = (α - k21) / (V1 (α - β)),  B = (k21 - β) / (V1 (α - β))
+ *
+ * 競合的拮抗: レミマゾラムの Ce50 を (1 + Ce_flu / Ki) 倍に移動させる。
+ * シグモイドモデルでは Ce / (1 + Ce_flu / Ki) で評価するのと等価。
+ *
+ * 投与イベント形式: { time, type: 'flumazenil', amount }  amount: mg
+ * フルマゼニル濃度の単位は ng/mL。
+ *
+ * パラメータ（FLUMAZENIL_PARAM_LABELS のキー）は画面上で編集できる。
+ *
+ * 注意: 既定のパラメータは教育用の仮値であり、出典欄の原著で値を確認してから
+ * 使用すること（source.verified = false は未確認）。
+ */
+
+const FLUMAZENIL_DEFAULTS = {
+    v1: 0.5,        // 中心コンパートメント容積（L/kg）
+    v2: 0.5,        // 末梢コンパートメント容積（L/kg）
+    cl: 0.015,      // クリアランス（L/min/kg）
+    q: 0.02,        // コンパートメント間クリアランス（L/min/kg）
+    ke0: 0.3,       // 効果部位平衡速度定数（1/min）
+    ki: 5.0,        // 拮抗定数（ng/mL）
+    source: {
+        citation: 'Klotz U, Kanto J. Clin Pharmacokinet 1988;14:1-12',
+        verified: false
+    }
+};
+
+// 編集可能なパラメータと表示ラベル
+const FLUMAZENIL_PARAM_LABELS = {
+    v1: 'V1 (L/kg)',
+    v2: 'V2 (L/kg)',
+    cl: 'CL (L/min/kg)',
+    q: 'Q (L/min/kg)',
+    ke0: 'ke0 (1/min)',
+    ki: 'Ki (ng/mL)'
+};
+
+class FlumazenilModel {
+    /**
+     * @param {number} weight - 体重（kg）
+     */
+    constructor(weight, params = {}) {
+        this.params = { ...FLUMAZENIL_DEFAULTS, ...params };
+        const { v1, v2, cl, q, ke0 } = this.params;
+
+        this.v1 = v1 * weight;
+        const k10 = cl / v1;
+        const k12 = q / v1;
+        const k21 = q / v2;
+
+        const sum = k10 + k12 + k21;
+        const root = Math.sqrt(sum * sum - 4 * k10 * k21);
+        const alpha = (sum + root) / 2;
+        const beta = (sum - root) / 2;
+
+        // 単位ボーラス（1 mg）あたりの血漿濃度係数（mg/L = µg/mL）
+        this.plasmaTerms = [
+            { coef: (alpha - k21) / (this.v1 * (alpha - beta)), rate: alpha },
+            { coef: (k21 - beta) / (this.v1 * (alpha - beta)), rate: beta }
+        ];
+        this.ke0 = [alpha, beta].some(rate => Math.abs(rate - ke0) < 1e-9) ? ke0 * (1 + 1e-7) : ke0;
+        this.effectTerms = this.plasmaTerms.map(term => ({
+            coef: term.coef * this.ke0 / (this.ke0 - term.rate),
+            rate: term.rate
+        }));
+    }
+
+    /**
+     * 時刻 t（分）における濃度（ng/mL）
+     * @returns {Object} { cp, ce }
+     */
+    calculateAt(t, doseEvents) {
+        let cp = 0;
+        let ce = 0;
+
+        for (const event of doseEvents) {
+            if (event.type !== 'flumazenil' || event.time > t) continue;
+            const dt = t - event.time;
+            this.plasmaTerms.forEach(term => {
+                cp += event.amount * term.coef * Math.exp(-term.rate * dt);
+            });
+            this.effectTerms.forEach(term => {
+                ce += event.amount * term.coef * (Math.exp(-term.rate * dt) - Math.exp(-this.ke0 * dt));
+            });
+        }
+
+        // mg/L → ng/mL
+        return { cp: cp * 1000, ce: ce * 1000 };
+    }
+
+    /**
+     * レミマゾラム Ce50 の移動倍率 (1 + Ce_flu / Ki)
+     */
+    getCe50Shift(flumazenilCe) {
+        return 1 + Math.max(0, flumazenilCe) / this.params.ki;
+    }
+
+    /**
+     * パラメータ値の検証（編集可能なキーで、正の有限値）
+     */
+    static isValidParameter(key, value) {
+        return key in FLUMAZENIL_PARAM_LABELS && Number.isFinite(value) && value > 0;
+    }
+
+    hasDoses(doseEvents) {
+        return doseEvents.some(event => event.type === 'flumazenil');
+    }
+}
+
+// Export for use in other modules
+if (typeof window !== 'undefined') {
+    window.FlumazenilModel = FlumazenilModel;
+    window.FLUMAZENIL_DEFAULTS = FLUMAZENIL_DEFAULTS;
+    window.FLUMAZENIL_PARAM_LABELS = FLUMAZENIL_PARAM_LABELS;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { FlumazenilModel, FLUMAZENIL_DEFAULTS, FLUMAZENIL_PARAM_LABELS };
+}
@@ -0,0 +1,197 @@
+/**
+ * Forecast - 現在の状態から分岐する仮想投与シナリオの予測
+ *
+ * 実行中のシミュレーションの状態 { a1, a2, a3, ce } を複製し、
+ * 「投与停止」「追加ボーラス」「投与速度2倍」などのシナリオごとに
+ * AnalyticalPKEngine.advance で将来の Cp/Ce を予測する。
+ * 元の状態は変更しないため、実行中の計算には影響しない。
+ *
+ * また、Ce が閾値を横切る時刻（導入時の意識消失レベル到達、
+ * 投与停止時の覚醒レベル低下）を同じ状態遷移で探索する。
+ *
+ * 時間の単位は分、投与速度は mg/min、濃度は µg/mL。
+ */
+
+const FORECAST_DEFAULTS = {
+    horizon: 20,            // 予測区間（分）
+    step: 10 / 60,          // 予測刻み（分）: 10秒
+    bolusAmount: 3,         // 追加ボーラス量（mg）
+    thresholdCe: 0.5,       // 判定濃度（µg/mL）
+    searchLimit: 120,       // 閾値探索の上限（分）
+    searchStep: 5 / 60,     // 閾値探索の刻み（分）: 5秒
+    tolerance: 1e-4         // 二分法の許容誤差（分）
+};
+
+/**
+ * シナリオ定義
+ * - bolus: 直ちに投与するボーラス量（mg）。true の場合は options.bolusAmount
+ * - rateMultiplier: 現在の投与速度に掛ける係数
+ */
+const FORECAST_SCENARIOS = [
+    { id: 'continue', label: '現状維持', rateMultiplier: 1 },
+    { id: 'stop', label: '投与停止', rateMultiplier: 0 },
+    { id: 'bolus', label: '追加ボーラス', bolus: true, rateMultiplier: 1 },
+    { id: 'double', label: '投与速度2倍', rateMultiplier: 2 }
+];
+
+class ForecastCalculator {
+    /**
+     * @param {AnalyticalPKEngine} engine - 患者個別パラメータの解析解エンジン
+     */
+    constructor(engine, options = {}) {
+        this.engine = engine;
+        this.options = { ...FORECAST_DEFAULTS, ...options };
+    }
+
+    getScenarioBolus(scenario) {
+        if (scenario.bolus === true) return this.options.bolusAmount;
+        return scenario.bolus || 0;
+    }
+
+    /**
+     * 1シナリオの予測
+     * @param {Object} state - 現在の状態 { a1, a2, a3, ce }
+     * @param {number} currentRate - 現在の投与速度（mg/min）
+     * @param {number} startTime - 現在時刻（分）
+     */
+    project(state, currentRate, scenario, startTime = 0) {
+        const { horizon, step } = this.options;
+        const v1 = this.engine.pkParams.v1;
+        const rate = currentRate * (scenario.rateMultiplier ?? 1);
+        const steps = Math.round(horizon / step);
+
+        let current = { ...state, a1: state.a1 + this.getScenarioBolus(scenario) };
+        const points = [{ time: startTime, cp: current.a1 / v1, ce: current.ce }];
+
+        for (let i = 1; i <= steps; i++) {
+            current = this.engine.advance(current, rate, step);
+            points.push({ time: startTime + i * step, cp: current.a1 / v1, ce: current.ce });
+        }
+
+        return {
+            scenario,
+            rate,
+            bolus: this.getScenarioBolus(scenario),
+            points,
+            ...ForecastCalculator.summarize(points, this.options.thresholdCe)
+        };
+    }
+
+    /**
+     * 全シナリオの予測
+     */
+    projectAll(state, currentRate, startTime = 0, scenarios = FORECAST_SCENARIOS) {
+        return scenarios.map(scenario => this.project(state, currentRate, scenario, startTime));
+    }
+
+    /**
+     * 一定速度 rate で投与を続けた場合に Ce が level を横切るまでの時間（分）
+     * - direction 'above': Ce ≥ level となるまで。既に到達していれば 0
+     * - direction 'below': Ce が level 以上から level 未満に低下するまで。
+     *   探索区間中一度も level 以上とならなければ 0
+     * 探索上限までに横切らない場合は null
+     */
+    findThresholdTime(state, rate, level, direction) {
+        const { searchLimit, searchStep, tolerance } = this.options;
+        const crossed = direction === 'above'
+            ? (current, next) => next.ce >= level
+            : (current, next) => current.ce >= level && next.ce < level;
+
+        if (direction === 'above' && state.ce >= level) return 0;
+
+        let current = state;
+        let everAbove = state.ce >= level;
+        for (let elapsed = 0; elapsed < searchLimit; elapsed += searchStep) {
+            const next = this.engine.advance(current, rate, searchStep);
+            if (crossed(current, next)) {
+                // 刻み内の交差時刻を二分法で求める
+                let low = 0;
+                let high = searchStep;
+                while (high - low > tolerance) {
+                    const middle = (low + high) / 2;
+                    const probe = this.engine.advance(current, rate, middle);
+                    if (crossed(current, probe)) {
+                        high = middle;
+                    } else {
+                        low = middle;
+                    }
+                }
+                return elapsed + (low + high) / 2;
+            }
+            // 閾値未満で減少中なら以後も上回らない（投与停止時）
+            if (direction === 'below' && !everAbove && rate === 0 && next.ce <= current.ce) return 0;
+            if (next.ce >= level) everAbove = true;
+            current = next;
+        }
+
+        if (direction === 'below' && !everAbove) return 0;
+        return null;
+    }
+
+    /**
+     * 導入・覚醒の閾値到達予測
+     * - onset: 現在の投与を続けた場合に Ce が lossOfConsciousnessCe に達するまで（分）
+     * - offset: 直ちに投与を停止した場合に Ce が awakeningCe 未満となるまで（分）
+     */
+    predictThresholds(state, currentRate, { lossOfConsciousnessCe, awakeningCe }) {
+        return {
+            onset: {
+                level: lossOfConsciousnessCe,
+                time: this.findThresholdTime(state, currentRate, lossOfConsciousnessCe, 'above')
+            },
+            offset: {
+                level: awakeningCe,
+                time: this.findThresholdTime(state, 0, awakeningCe, 'below')
+            }
+        };
+    }
+
+    /**
+     * 予測曲線の要約
+     * - peakCe / timeToPeak: Ce の最大値とその時刻までの時間（分）
+     * - timeBelow: Ce が判定濃度を下回り、以後予測区間内で下回ったままとなるまでの時間（分）。
+     *   予測区間の終了時点でも判定濃度以上の場合は null
+     */
+    static summarize(points, thresholdCe) {
+        const startTime = points[0].time;
+        let peak = points[0];
+        points.forEach(point => {
+            if (point.ce > peak.ce) peak = point;
+        });
+
+        let lastAbove = -1;
+        points.forEach((point, i) => {
+            if (point.ce >= thresholdCe) lastAbove = i;
+        });
+
+        let timeBelow;
+        if (lastAbove === -1) {
+            timeBelow = 0;
+        } else if (lastAbove === points.length - 1) {
+            timeBelow = null;
+        } else {
+            // 判定濃度を横切る時刻を線形補間
+            const before = points[lastAbove];
+            const after = points[lastAbove + 1];
+            const fraction = (before.ce - thresholdCe) / (before.ce - after.ce);
+            timeBelow = before.time + fraction * (after.time - before.time) - startTime;
+        }
+
+        return {
+            peakCe: peak.ce,
+            timeToPeak: peak.time - startTime,
+            timeBelow
+        };
+    }
+}
+
+// Export for use in other modules
+if (typeof window !== 'undefined') {
+    window.ForecastCalculator = ForecastCalculator;
+    window.FORECAST_DEFAULTS = FORECAST_DEFAULTS;
+    window.FORECAST_SCENARIOS = FORECAST_SCENARIOS;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { ForecastCalculator, FORECAST_DEFAULTS, FORECAST_SCENARIOS };
+}
@@ -0,0 +1,172 @@
+/**
+ * Induction Planner - 目標Ce・到達時間からの導入量（ボーラス＋持続投与）の計算
+ *
+ * 開始時にボーラス B (mg) と持続投与 R (mg/min) を同時に開始したときの Cp/Ce は
+ * B・R について線形なので、単位ボーラス・単位持続投与の応答を重ね合わせて
+ *   Ce(T) = 目標Ce かつ Cp(T) = 目標Ce（dCe/dt = ke0 (Cp - Ce) = 0、T で Ce が平坦になる）
+ * を満たす B・R を2元1次方程式として解く。
+ * T がボーラス単独の Ce ピーク時間より短いと R が負になるため、その場合は
+ * ボーラスのみで Ce(T) = 目標Ce とする（T 以降も Ce は上昇し目標を超える）。
+ *
+ * 解はスライダーの刻み・上限（options.bolusStep・maxBolus・infusionStep・maxInfusion。
+ * 画面ではスライダー要素の step・max を渡す）に丸め、丸めた投与量で予測した Cp のピーク
+ * （オーバーシュート）と Ce の推移を返す。Ce の最大値が目標を maxCeOvershoot（%）より
+ * 超える場合は overshootExceeded を立てる（画面ではスライダーに反映しない）。
+ * options.drugPreparation（DrugPreparation）を指定すると、持続投与は
+ * シミュレーションと同じくポンプの流量刻み・最大流量に丸めた速度で予測し、容量も返す。
+ * パラメータと ke0 は Masui 2022 モデル（患者個別）を用いる。
+ *
+ * 時間の単位は分、濃度は µg/mL、ボーラスは mg、持続投与は mg/kg/hr。
+ */
+
+const PlannerDeps = (typeof module !== 'undefined' && module.exports)
+    ? require('./simulate.js')
+    : { simulate: window.simulate };
+
+// 投与量の刻み・上限（呼び出し側で必ず指定する）
+const INDUCTION_PLANNER_LIMITS = {
+    bolusStep: 'ボーラス量の刻み',          // mg
+    maxBolus: 'ボーラス量の上限',           // mg
+    infusionStep: '持続投与量の刻み',       // mg/kg/hr
+    maxInfusion: '持続投与量の上限'         // mg/kg/hr
+};
+
+const INDUCTION_PLANNER_DEFAULTS = {
+    model: 'masui2022',
+    maxCeOvershoot: 20,     // 反映を許す Ce の最大オーバーシュート（%）
+    horizon: 30,            // 予測区間（分）
+    step: 5 / 60,           // 予測刻み（分）: 5秒
+    drugPreparation: null   // DrugPreparation（ポンプ流量への丸めと容量の換算）
+};
+
+class InductionPlanner {
+    /**
+     * @param {Object} patient - { age, weight, height, sex, asaPS }
+     * @param {number} targetCe - 目標効果部位濃度（µg/mL）
+     * @param {number} targetTime - 到達までの時間（分）
+     * @param {Object} options - INDUCTION_PLANNER_LIMITS の各項目（必須）と INDUCTION_PLANNER_DEFAULTS の上書き
+     * @returns {Object} { bolus, continuousDose, exact, bolusOnly, overshootExceeded, pump, warnings, profile, points, pkParams }
+     *   pump: drugPreparation 指定時の { bolusMl, mlPerHour, rate }（指定しなければ null）
+     */
+    static plan(patient, targetCe, targetTime, options = {}) {
+        const settings = { ...INDUCTION_PLANNER_DEFAULTS, ...options };
+        Object.entries(INDUCTION_PLANNER_LIMITS).forEach(([key, label]) => {
+            if (!Number.isFinite(settings[key]) || settings[key] <= 0) {
+                throw new Error(`${label}を指定してください`);
+            }
+        });
+        if (!Number.isFinite(targetCe) || targetCe <= 0) {
+            throw new Error('目標Ceは0より大きい値を指定してください');
+        }
+        if (!Number.isFinite(targetTime) || targetTime <= 0 || targetTime > settings.horizon) {
+            throw new Error(`到達時間は0より大きく${settings.horizon}分以下で指定してください`);
+        }
+
+        const simulateOptions = { model: settings.model };
+        const unitBolus = PlannerDeps.simulate(patient, [{ time: 0, type: 'bolus', amount: 1 }], [targetTime], simulateOptions);
+        const unitInfusion = PlannerDeps.simulate(patient, [{ time: 0, type: 'infusion', rate: 1 }], [targetTime], simulateOptions).points[0];
+        const bolusResponse = unitBolus.points[0];
+
+        // [ceB ceI; cpB cpI] [B; R] = [C; C]
+        const det = bolusResponse.ce * unitInfusion.cp - unitInfusion.ce * bolusResponse.cp;
+        let bolus = targetCe * (unitInfusion.cp - unitInfusion.ce) / det;
+        let rate = targetCe * (bolusResponse.ce - bolusResponse.cp) / det;
+        const bolusOnly = !(rate >= 0 && bolus >= 0);
+        if (bolusOnly) {
+            bolus = targetCe / bolusResponse.ce;
+            rate = 0;
+        }
+        const exact = { bolus, continuousDose: (rate * 60) / patient.weight };
+
+        const warnings = [];
+        const roundTo = (value, step, max, label) => {
+            if (value > max) {
+                warnings.push(`${label}がスライダーの上限を超えるため ${max} に制限しました`);
+                return max;
+            }
+            return Number((Math.round(value / step) * step).toFixed(6));
+        };
+        const planned = {
+            bolus: roundTo(exact.bolus, settings.bolusStep, settings.maxBolus, 'ボーラス量'),
+            continuousDose: roundTo(exact.continuousDose, settings.infusionStep, settings.maxInfusion, '持続投与量')
+        };
+
+        const preparation = settings.drugPreparation;
+        let pump = null;
+        if (preparation) {
+            const pumpRate = preparation.toPumpRate((planned.continuousDose * patient.weight) / 60.0);
+            if (pumpRate.limited) {
+                warnings.push('持続投与量がポンプの最大流量を超えるため制限されます');
+            }
+            pump = { bolusMl: preparation.toVolume(planned.bolus), mlPerHour: pumpRate.mlPerHour, rate: pumpRate.rate };
+        }
+
+        const { profile, points } = InductionPlanner.predict(patient, { ...planned, rate: pump ? pump.rate : undefined }, targetCe, targetTime, settings);
+        if (bolusOnly) {
+            warnings.push('到達時間がボーラス単独のCeピーク時間より短いため、ボーラスのみで計算しました' +
+                `（到達後もCeは上昇し、最大 ${profile.peakCe.toFixed(2)} µg/mL・目標の +${profile.ceOvershoot.toFixed(0)}%）`);
+        }
+        const overshootExceeded = profile.ceOvershoot > settings.maxCeOvershoot;
+        if (overshootExceeded) {
+            warnings.push(`Ceが目標を ${settings.maxCeOvershoot}% より大きく超えます（+${profile.ceOvershoot.toFixed(0)}%）`);
+        }
+        return {
+            ...planned,
+            exact,
+            bolusOnly,
+            overshootExceeded,
+            pump,
+            warnings,
+            profile,
+            points,
+            pkParams: unitBolus.pkParams
+        };
+    }
+
+    /**
+     * 丸めた投与量での Cp/Ce の予測と要約
+     * @param {Object} dose - { bolus (mg), continuousDose (mg/kg/hr), rate: 指定時は continuousDose より優先 (mg/min) }
+     */
+    static predict(patient, dose, targetCe, targetTime, settings = INDUCTION_PLANNER_DEFAULTS) {
+        const count = Math.round(settings.horizon / settings.step);
+        const times = Array.from({ length: count + 1 }, (_, i) => i * settings.step);
+        if (!times.includes(targetTime)) times.push(targetTime);
+        times.sort((a, b) => a - b);
+        const regimen = [
+            { time: 0, type: 'bolus', amount: dose.bolus },
+            dose.rate !== undefined
+                ? { time: 0, type: 'infusion', rate: dose.rate }
+                : { time: 0, type: 'infusion', continuousDose: dose.continuousDose }
+        ];
+        const points = PlannerDeps.simulate(patient, regimen, times, { model: settings.model }).points;
+
+        const peakCp = points.reduce((peak, point) => point.cp > peak.cp ? point : peak);
+        const peakCe = points.reduce((peak, point) => point.ce > peak.ce ? point : peak);
+        const reached = points.find(point => point.ce >= targetCe);
+        return {
+            points,
+            profile: {
+                peakCp: peakCp.cp,
+                peakCpTime: peakCp.time,
+                cpOvershoot: (peakCp.cp - targetCe) / targetCe * 100,
+                ceAtTargetTime: points.find(point => point.time === targetTime).ce,
+                peakCe: peakCe.ce,
+                peakCeTime: peakCe.time,
+                ceOvershoot: (peakCe.ce - targetCe) / targetCe * 100,
+                timeToTarget: reached ? reached.time : null,
+                ceAtHorizon: points[points.length - 1].ce
+            }
+        };
+    }
+}
+
+// Export for use in other modules
+if (typeof window !== 'undefined') {
+    window.InductionPlanner = InductionPlanner;
+    window.INDUCTION_PLANNER_DEFAULTS = INDUCTION_PLANNER_DEFAULTS;
+    window.INDUCTION_PLANNER_LIMITS = INDUCTION_PLANNER_LIMITS;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { InductionPlanner, INDUCTION_PLANNER_DEFAULTS, INDUCTION_PLANNER_LIMITS };
+}
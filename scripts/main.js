@@ -127,6 +127,7 @@ class SimulationEngine {
         this.useLSODA = false; // Disable LSODA for debugging
         this.lsodaSolver = null;
         this.integrationStats = null;
+        this.vhac = null;
     }
 
     start(patient, bolusDose, continuousDose) {
@@ -141,6 +142,7 @@ class SimulationEngine {
         this.elapsedTime = 0;
         this.snapshots = [];
         this.isRunning = true;
+        this.vhac = typeof VHACIntegrator !== 'undefined' ? new VHACIntegrator(this.pkParams.ke0) : null;
 
         // Initialize LSODA solver if enabled
         if (this.useLSODA && typeof LSODA !== 'undefined') {
@@ -195,6 +197,7 @@ class SimulationEngine {
 
         // Rate constants
         const { k10, k12, k21, k13, k31, ke0 } = this.pkParams;
+        const cpPrev = this.getPlasmaConcentration();
 
         // Differential equations
         const da1_dt = continuousRate - k10 * this.state.a1 - k12 * this.state.a1 + 
@@ -207,10 +210,14 @@ class SimulationEngine {
         this.state.a2 += (dt / 60.0) * da2_dt;
         this.state.a3 += (dt / 60.0) * da3_dt;
 
-        // Effect site concentration
-        const plasmaConc = this.getPlasmaConcentration();
-        const dce_dt = ke0 * (plasmaConc - this.state.ce);
-        this.state.ce += (dt / 60.0) * dce_dt;
+        // Effect site concentration (VHAC if available)
+        if (this.vhac) {
+            this.state.ce = this.vhac.step(this.state.ce, cpPrev, this.getPlasmaConcentration(), dt / 60.0).ce;
+        } else {
+            const plasmaConc = this.getPlasmaConcentration();
+            const dce_dt = ke0 * (plasmaConc - this.state.ce);
+            this.state.ce += (dt / 60.0) * dce_dt;
+        }
 
         // Ensure non-negative values
         this.state.a1 = Math.max(0, this.state.a1);
@@ -246,6 +253,7 @@ class SimulationEngine {
         try {
             // Solve ODE from current time to next time step
             const y0 = [this.state.a1, this.state.a2, this.state.a3, this.state.ce];
+            const cpPrev = this.getPlasmaConcentration();
             const result = this.lsodaSolver.solve(odeSystem, y0, currentTimeMin, nextTimeMin, {
                 rtol: 1e-8,
                 atol: 1e-12,
@@ -258,7 +266,11 @@ class SimulationEngine {
                 this.state.a1 = Math.max(0, finalY[0]);
                 this.state.a2 = Math.max(0, finalY[1]);
                 this.state.a3 = Math.max(0, finalY[2]);
-                this.state.ce = Math.max(0, finalY[3]);
+                this.state.ce = this.vhac
+                    ? Math.max(0, this.vhac.step(
+                        this.state.ce, cpPrev, this.getPlasmaConcentration(), nextTimeMin - currentTimeMin
+                    ).ce)
+                    : Math.max(0, finalY[3]);
                 
                 // Store integration statistics
                 this.integrationStats = result.stats;
@@ -9,25 +9,10 @@
  * 4. 数値的根探索
  */
 
-// Masui 2022 model constants (theta values)
-const MASUI_THETA = {
-    1: 3.57,   // V1 coefficient
-    2: 11.3,   // V2 coefficient  
-    3: 27.2,   // V3 coefficient
-    4: 1.03,   // CL coefficient
-    5: 1.10,   // Q2 coefficient
-    6: 0.401,  // Q3 coefficient
-    7: 1.19,   // (not used in current model)
-    8: 0.308,  // V3 age coefficient
-    9: 0.146,  // CL sex coefficient
-    10: -0.184, // CL ASA coefficient
-    11: 0.0205  // (not used in current model)
-};
-
-// Fixed parameters
-const STANDARD_WEIGHT = 67.3; // kg
-const STANDARD_AGE = 54.0;     // years
-const T_PEAK = 2.6;            // minutes (最大効果到達時間)
+// 共変量モデル（θ・標準体格）は masui-model.js に一元化
+const MasuiKe0Deps = (typeof module !== 'undefined' && module.exports)
+    ? require('./masui-model.js')
+    : { MasuiModel: window.MasuiModel, MASUI_STANDARD: window.MASUI_STANDARD };
 
 /**
  * 3次方程式の解を求める（Cardanoの公式使用）
@@ -170,24 +155,20 @@ class MasuiKe0Calculator {
      * ステップ1: 患者個別のPKパラメータ計算
      */
     static calculatePKParameters(age, TBW, height, sex, ASAPS) {
-        // 1.1 理想体重 (IBW)
-        const IBW = 45.4 + 0.89 * (height - 152.4) + 4.5 * (1 - sex);
-        
-        // 1.2 調整体重 (ABW)
-        const ABW = IBW + 0.4 * (TBW - IBW);
-        
-        // 1.3 分布容積 (L)
-        const V1 = MASUI_THETA[1] * (ABW / STANDARD_WEIGHT);
-        const V2 = MASUI_THETA[2] * (ABW / STANDARD_WEIGHT);
-        const V3 = (MASUI_THETA[3] + MASUI_THETA[8] * (age - STANDARD_AGE)) * (ABW / STANDARD_WEIGHT);
-        
-        // 1.4 クリアランス (L/min)
-        const CL = (MASUI_THETA[4] + MASUI_THETA[9] * sex + MASUI_THETA[10] * ASAPS) * 
-                   Math.pow(ABW / STANDARD_WEIGHT, 0.75);
-        const Q2 = MASUI_THETA[5] * Math.pow(ABW / STANDARD_WEIGHT, 0.75);
-        const Q3 = MASUI_THETA[6] * Math.pow(ABW / STANDARD_WEIGHT, 0.75);
-        
-        return { IBW, ABW, V1, V2, V3, CL, Q2, Q3 };
+        const params = MasuiKe0Deps.MasuiModel.calculateParameters({
+            age, weight: TBW, height, sexValue: sex, asaPSValue: ASAPS
+        });
+
+        return {
+            IBW: params.ibw,
+            ABW: params.abw,
+            V1: params.v1,
+            V2: params.v2,
+            V3: params.v3,
+            CL: params.cl,
+            Q2: params.q2,
+            Q3: params.q3
+        };
     }
     
     /**
@@ -237,7 +218,7 @@ class MasuiKe0Calculator {
     /**
      * ステップ4A: 数値解析によるke0の算出（厳密解）
      */
-    static calculateKe0Numerical(coefficients, t_peak = T_PEAK) {
+    static calculateKe0Numerical(coefficients, t_peak = MasuiKe0Deps.MASUI_STANDARD.tPeak, lower = 0.15, upper = 0.26) {
         const { alpha, beta, gamma, A, B, C } = coefficients;
         
         // f(ke0)関数の定義
@@ -252,9 +233,9 @@ class MasuiKe0Calculator {
             return term_A + term_B + term_C;
         };
         
-        // 探索区間 [0.15, 0.26] で数値解を求める
+        // 探索区間（既定 [0.15, 0.26]）で数値解を求める
         try {
-            const ke0 = BrentSolver.findRoot(f, 0.15, 0.26);
+            const ke0 = BrentSolver.findRoot(f, lower, upper);
             return ke0;
         } catch (error) {
             console.warn('Numerical ke0 calculation failed:', error.message);
@@ -297,6 +278,38 @@ class MasuiKe0Calculator {
         return ke0_approx;
     }
     
+    /**
+     * シミュレーション用の ke0
+     * 数値解析による厳密解（既定区間で求まらない体格では区間を [0.05, 1.0] に広げる）、
+     * 求まらなければ重回帰モデル。いずれも正の値にならなければ null
+     * @param {Object} patient - { age, weight, height, sex, asaPS }
+     */
+    static calculateKe0ForPatient(patient) {
+        return this.resolveKe0(patient).ke0;
+    }
+
+    /**
+     * calculateKe0ForPatient と同じ手順で、採用した算出方法も返す
+     * @returns {Object} { ke0, method: 'numerical'|'numerical-wide'|'regression'|null }
+     */
+    static resolveKe0(patient) {
+        const { age, weight, height, sex, asaPS } = MasuiKe0Deps.MasuiModel.getCovariates(patient);
+        const coefficients = this.calculatePlasmaCoefficients(MasuiKe0Deps.MasuiModel.calculateParameters(patient));
+        const tPeak = MasuiKe0Deps.MASUI_STANDARD.tPeak;
+        const candidates = [
+            ['numerical', () => this.calculateKe0Numerical(coefficients, tPeak)],
+            ['numerical-wide', () => this.calculateKe0Numerical(coefficients, tPeak, 0.05, 1.0)],
+            ['regression', () => this.calculateKe0Regression(age, weight, height, sex, asaPS)]
+        ];
+        for (const [method, candidate] of candidates) {
+            const ke0 = candidate();
+            if (ke0 !== null && ke0 > 0) {
+                return { ke0, method };
+            }
+        }
+        return { ke0: null, method: null };
+    }
+
     /**
      * メインの計算関数
      */
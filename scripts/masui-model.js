@@ -0,0 +1,195 @@
+/**
+ * Masui Model - Masui 2022 レミマゾラム共変量モデル（唯一の実装）
+ *
+ * シミュレーション（PKCalculator・PKモデルレジストリ）と ke0 の導出
+ * （MasuiKe0Calculator）はいずれもこのモジュールのパラメータを用いる。
+ *
+ *   IBW = 45.4 + 0.89 × (身長 - 152.4) + 4.5 × (1 - sex)
+ *   ABW = IBW + 0.4 × (TBW - IBW)
+ *   V1  = θ1 × (ABW / 67.3)
+ *   V2  = θ2 × (ABW / 67.3)
+ *   V3  = (θ3 + θ8 × (年齢 - 54)) × (ABW / 67.3)
+ *   CL  = (θ4 + θ9 × sex + θ10 × ASAPS) × (ABW / 67.3)^0.75
+ *   Q2  = θ5 × (ABW / 67.3)^0.75
+ *   Q3  = θ6 × (ABW / 67.3)^0.75
+ * sex: 男性 0 / 女性 1、ASAPS: I-II 0 / III-IV 1
+ *
+ * 参照パラメータセット（MASUI_REFERENCE_SETS）との回帰比較を compareWithReference で行う。
+ */
+
+// Masui 2022 model constants (theta values)
+const MASUI_THETA = {
+    1: 3.57,   // V1 coefficient
+    2: 11.3,   // V2 coefficient
+    3: 27.2,   // V3 coefficient
+    4: 1.03,   // CL coefficient
+    5: 1.10,   // Q2 coefficient
+    6: 0.401,  // Q3 coefficient
+    7: 1.19,   // (not used in current model)
+    8: 0.308,  // V3 age coefficient
+    9: 0.146,  // CL sex coefficient
+    10: -0.184, // CL ASA coefficient
+    11: 0.0205  // (not used in current model)
+};
+
+const MASUI_STANDARD = {
+    weight: 67.3,   // 標準 ABW（kg）
+    age: 54.0,      // 標準年齢（歳）
+    tPeak: 2.6      // 最大効果到達時間（分）
+};
+
+/**
+ * 参照パラメータセット
+ * 標準体格（ABW 67.3 kg）の症例は、期待値が論文の典型値と共変量効果（θ）そのもの。
+ * 体重は ABW が 67.3 kg となるよう逆算した値（男性 170 cm: 69.904 kg、女性 170 cm: 76.654 kg）。
+ * 標準体格以外の症例は IBW・ABW の式と ABW/67.3 のスケーリング（CL・Q は 0.75 乗）を検証するもので、
+ * 期待値は共通化前の MasuiKe0Calculator.calculatePKParameters（ke0 導出側の独立した実装）の出力（有効数字5桁）。
+ */
+const MASUI_REFERENCE_SETS = [
+    {
+        label: '典型値（54歳 男性 ASA I-II, ABW 67.3 kg）',
+        source: 'Masui 2022 典型値',
+        patient: { age: 54, weight: 69.904, height: 170, sex: 'male', asaPS: '1-2' },
+        expected: { v1: 3.57, v2: 11.3, v3: 27.2, cl: 1.03, q2: 1.10, q3: 0.401 }
+    },
+    {
+        label: '女性（θ9）',
+        source: 'Masui 2022 典型値 + θ9',
+        patient: { age: 54, weight: 76.654, height: 170, sex: 'female', asaPS: '1-2' },
+        expected: { v1: 3.57, v2: 11.3, v3: 27.2, cl: 1.176, q2: 1.10, q3: 0.401 }
+    },
+    {
+        label: 'ASA III-IV（θ10）',
+        source: 'Masui 2022 典型値 + θ10',
+        patient: { age: 54, weight: 69.904, height: 170, sex: 'male', asaPS: '3-4' },
+        expected: { v1: 3.57, v2: 11.3, v3: 27.2, cl: 0.846, q2: 1.10, q3: 0.401 }
+    },
+    {
+        label: '74歳（θ8）',
+        source: 'Masui 2022 典型値 + θ8',
+        patient: { age: 74, weight: 69.904, height: 170, sex: 'male', asaPS: '1-2' },
+        expected: { v1: 3.57, v2: 11.3, v3: 33.36, cl: 1.03, q2: 1.10, q3: 0.401 }
+    },
+    {
+        label: '小柄な若年女性（30歳 155 cm 50 kg ASA I-II, ABW 48.6 kg）',
+        source: '共通化前の MasuiKe0Calculator.calculatePKParameters',
+        patient: { age: 30, weight: 50, height: 155, sex: 'female', asaPS: '1-2' },
+        expected: {
+            ibw: 47.714, abw: 48.628,
+            v1: 2.5795, v2: 8.1649, v3: 14.313, cl: 0.92164, q2: 0.86208, q3: 0.31427
+        }
+    },
+    {
+        label: '肥満の高齢男性（80歳 180 cm 100 kg ASA III-IV, ABW 84.7 kg）',
+        source: '共通化前の MasuiKe0Calculator.calculatePKParameters',
+        patient: { age: 80, weight: 100, height: 180, sex: 'male', asaPS: '3-4' },
+        expected: {
+            ibw: 74.464, abw: 84.678,
+            v1: 4.4919, v2: 14.218, v3: 44.3, cl: 1.0051, q2: 1.3068, q3: 0.47639
+        }
+    },
+    {
+        label: '高齢女性（65歳 160 cm 75 kg ASA III-IV, ABW 61.3 kg）',
+        source: '共通化前の MasuiKe0Calculator.calculatePKParameters',
+        patient: { age: 65, weight: 75, height: 160, sex: 'female', asaPS: '3-4' },
+        expected: {
+            ibw: 52.164, abw: 61.298,
+            v1: 3.2516, v2: 10.292, v3: 27.86, cl: 0.92488, q2: 1.0256, q3: 0.37387
+        }
+    },
+    {
+        label: '長身・低体重の若年男性（20歳 190 cm 60 kg ASA I-II, TBW < IBW）',
+        source: '共通化前の MasuiKe0Calculator.calculatePKParameters',
+        patient: { age: 20, weight: 60, height: 190, sex: 'male', asaPS: '1-2' },
+        expected: {
+            ibw: 83.364, abw: 74.018,
+            v1: 3.9264, v2: 12.428, v3: 18.398, cl: 1.1062, q2: 1.1814, q3: 0.43066
+        }
+    }
+];
+
+class MasuiModel {
+    /**
+     * 患者情報を共変量に変換（Patient の sexValue/asaPSValue があればそれを使用）
+     * @returns {Object} { age, weight, height, sex: 0|1, asaPS: 0|1 }
+     */
+    static getCovariates(patient) {
+        return {
+            age: patient.age,
+            weight: patient.weight,
+            height: patient.height,
+            sex: patient.sexValue !== undefined ? patient.sexValue : (patient.sex === 'female' ? 1 : 0),
+            asaPS: patient.asaPSValue !== undefined ? patient.asaPSValue : (patient.asaPS === '3-4' ? 1 : 0)
+        };
+    }
+
+    static calculateIBW(height, sex) {
+        return 45.4 + 0.89 * (height - 152.4) + 4.5 * (1 - sex);
+    }
+
+    static calculateABW(weight, ibw) {
+        return ibw + 0.4 * (weight - ibw);
+    }
+
+    /**
+     * @param {Object} patient - { age, weight, height, sex, asaPS }
+     * @returns {Object} { ibw, abw, v1, v2, v3, cl, q2, q3, k10, k12, k21, k13, k31 }（ke0 は含まない）
+     */
+    static calculateParameters(patient) {
+        const { age, weight, height, sex, asaPS } = MasuiModel.getCovariates(patient);
+        const ibw = MasuiModel.calculateIBW(height, sex);
+        const abw = MasuiModel.calculateABW(weight, ibw);
+        const sizeRatio = abw / MASUI_STANDARD.weight;
+        const clearanceRatio = Math.pow(sizeRatio, 0.75);
+
+        const v1 = MASUI_THETA[1] * sizeRatio;
+        const v2 = MASUI_THETA[2] * sizeRatio;
+        const v3 = (MASUI_THETA[3] + MASUI_THETA[8] * (age - MASUI_STANDARD.age)) * sizeRatio;
+        const cl = (MASUI_THETA[4] + MASUI_THETA[9] * sex + MASUI_THETA[10] * asaPS) * clearanceRatio;
+        const q2 = MASUI_THETA[5] * clearanceRatio;
+        const q3 = MASUI_THETA[6] * clearanceRatio;
+
+        return {
+            ibw, abw,
+            v1, v2, v3, cl, q2, q3,
+            k10: cl / v1,
+            k12: q2 / v1,
+            k21: q2 / v2,
+            k13: q3 / v1,
+            k31: q3 / v3
+        };
+    }
+
+    /**
+     * 参照パラメータセットとの比較
+     * @param {number} tolerance - 許容相対誤差
+     * @returns {Array} [{ label, source, rows: [{ key, expected, actual, relativeError, passed }], passed }]
+     */
+    static compareWithReference(tolerance = 1e-3, referenceSets = MASUI_REFERENCE_SETS) {
+        return referenceSets.map(reference => {
+            const actual = MasuiModel.calculateParameters(reference.patient);
+            const rows = Object.entries(reference.expected).map(([key, expected]) => {
+                const relativeError = Math.abs(actual[key] - expected) / Math.abs(expected);
+                return { key, expected, actual: actual[key], relativeError, passed: relativeError <= tolerance };
+            });
+            return {
+                label: reference.label,
+                source: reference.source,
+                rows,
+                passed: rows.every(row => row.passed)
+            };
+        });
+    }
+}
+
+// Export for use in other modules
+if (typeof window !== 'undefined') {
+    window.MasuiModel = MasuiModel;
+    window.MASUI_THETA = MASUI_THETA;
+    window.MASUI_STANDARD = MASUI_STANDARD;
+    window.MASUI_REFERENCE_SETS = MASUI_REFERENCE_SETS;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { MasuiModel, MASUI_THETA, MASUI_STANDARD, MASUI_REFERENCE_SETS };
+}
@@ -0,0 +1,166 @@
+/**
+ * PD Models - 効果部位濃度から臨床効果への変換
+ *
+ * シグモイドEmaxモデル:
+ *   E = E0 - Emax × Ce^γ / (Ce50^γ + Ce^γ)    （効果が減少する指標: MOAA/S, BIS）
+ * ロジスティック（確率）モデル:
+ *   P = Ce^γ / (Ce50^γ + Ce^γ)                （意識消失確率）
+ *
+ * モデルは PD_MODELS に登録し、registerPDModel で追加できる。
+ * パラメータは PDCalculator.setParameter で変更可能（Ce50・γ・Emax は正の値のみ）。
+ * 拮抗薬による Ce50 の移動（ce50Shift 倍）は Ce / ce50Shift で評価する。
+ *
+ * 注意: 既定のパラメータは教育用の仮値であり、出典欄の原著で値を確認してから
+ * 使用すること（source.verified = false のものは未確認）。
+ */
+
+const PD_MODELS = {
+    loc: {
+        id: 'loc',
+        label: '意識消失確率',
+        type: 'probability',
+        unit: '%',
+        enabled: true,
+        params: { ce50: 0.7, gamma: 5.0 },
+        paramLabels: { ce50: 'Ce50 (µg/mL)', gamma: 'γ' },
+        source: {
+            citation: 'Schüttler J, et al. Anesthesiology 2020;132:636-651',
+            verified: false
+        }
+    },
+    moaas: {
+        id: 'moaas',
+        label: 'MOAA/S予測',
+        type: 'sigmoid-emax',
+        unit: '',
+        enabled: true,
+        range: [0, 5],
+        params: { e0: 5, emax: 5, ce50: 0.6, gamma: 3.5 },
+        paramLabels: { e0: 'E0', emax: 'Emax', ce50: 'Ce50 (µg/mL)', gamma: 'γ' },
+        source: {
+            citation: 'Schüttler J, et al. Anesthesiology 2020;132:636-651',
+            verified: false
+        }
+    },
+    bis: {
+        id: 'bis',
+        label: 'BIS様指標',
+        type: 'sigmoid-emax',
+        unit: '',
+        enabled: false,
+        range: [0, 100],
+        params: { e0: 95, emax: 60, ce50: 1.0, gamma: 2.5 },
+        paramLabels: { e0: 'E0', emax: 'Emax', ce50: 'Ce50 (µg/mL)', gamma: 'γ' },
+        source: {
+            citation: 'Eisenried A, et al. Anesthesiology 2020;132:652-666',
+            verified: false
+        }
+    }
+};
+
+// 正の値でなければならないパラメータ（E0 は任意の数値）
+const PD_POSITIVE_PARAMS = ['ce50', 'gamma', 'emax'];
+
+// モデル種別ごとの式（濃度 ce, パラメータ p）
+const PD_EQUATIONS = {
+    'probability': (ce, p) => PDCalculator.fraction(ce, p.ce50, p.gamma) * 100,
+    'sigmoid-emax': (ce, p) => p.e0 - p.emax * PDCalculator.fraction(ce, p.ce50, p.gamma)
+};
+
+/**
+ * モデルの追加（同じidは置き換え）
+ */
+function registerPDModel(model) {
+    if (!model || !model.id || !PD_EQUATIONS[model.type]) {
+        throw new Error(`Invalid PD model: ${model && model.id}`);
+    }
+    PD_MODELS[model.id] = model;
+}
+
+class PDCalculator {
+    /**
+     * @param {Object} models - 使用するモデル（既定は PD_MODELS の複製）
+     */
+    constructor(models = PD_MODELS) {
+        this.models = PDCalculator.cloneModels(models);
+    }
+
+    static cloneModels(models) {
+        const cloned = {};
+        Object.values(models).forEach(model => {
+            cloned[model.id] = {
+                ...model,
+                params: { ...model.params },
+                source: { ...model.source }
+            };
+        });
+        return cloned;
+    }
+
+    /**
+     * Ce^γ / (Ce50^γ + Ce^γ)
+     */
+    static fraction(ce, ce50, gamma) {
+        if (!(ce > 0)) return 0;
+        const ratio = Math.pow(ce / ce50, gamma);
+        return ratio / (1 + ratio);
+    }
+
+    /**
+     * 1モデルの効果
+     * @param {number} ce50Shift - 拮抗薬による Ce50 の移動倍率（既定 1）
+     */
+    evaluateModel(id, ce, ce50Shift = 1) {
+        const model = this.models[id];
+        if (!model) return null;
+        const value = PD_EQUATIONS[model.type](ce / ce50Shift, model.params);
+        if (!model.range) return value;
+        return Math.min(model.range[1], Math.max(model.range[0], value));
+    }
+
+    /**
+     * 有効なすべてのモデルの効果
+     * @returns {Object} { [id]: value }
+     */
+    evaluate(ce, ce50Shift = 1) {
+        const effects = {};
+        Object.values(this.models).forEach(model => {
+            if (model.enabled) {
+                effects[model.id] = this.evaluateModel(model.id, ce, ce50Shift);
+            }
+        });
+        return effects;
+    }
+
+    setParameter(id, key, value) {
+        const model = this.models[id];
+        if (!model || !(key in model.params) || !PDCalculator.isValidParameter(key, value)) return false;
+        model.params[key] = value;
+        return true;
+    }
+
+    static isValidParameter(key, value) {
+        return Number.isFinite(value) && (!PD_POSITIVE_PARAMS.includes(key) || value > 0);
+    }
+
+    setEnabled(id, enabled) {
+        if (this.models[id]) {
+            this.models[id].enabled = enabled;
+        }
+    }
+
+    reset() {
+        this.models = PDCalculator.cloneModels(PD_MODELS);
+    }
+}
+
+// Export for use in other modules
+if (typeof window !== 'undefined') {
+    window.PDCalculator = PDCalculator;
+    window.PD_MODELS = PD_MODELS;
+    window.registerPDModel = registerPDModel;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { PDCalculator, PD_MODELS, PD_EQUATIONS, registerPDModel };
+}
@@ -0,0 +1,175 @@
+/**
+ * PK Model Registry - レミマゾラム薬物動態モデルの登録と選択
+ *
+ * 各モデルは次の項目を宣言する:
+ *   id, label, source { citation, verified }
+ *   covariates   - 使用する共変量（age, weight, height, sex, asaPS）
+ *   units        - パラメータの単位
+ *   ke0Source    - ke0 の出典・導出方法
+ *   validRanges  - 推定に用いた対象集団の範囲（数値は { min, max, unit }、区分は許容値の配列）
+ *   calculate(patient) - AnalyticalPKEngine 用のパラメータ { v1, v2, v3, cl, q2, q3, ke0, k10, ... }
+ *                        ke0Method に ke0 の算出方法（KE0_METHOD_LABELS のキー）を含める
+ *
+ * 同じ投与イベント列を複数モデルで計算して比較できる（compare）。
+ *
+ * 既定で登録するのはパラメータを原著で確認したモデルのみ。他のモデルは registerPKModel で追加でき、
+ * source.verified を指定しなければ未確認（画面では「仮値・要原著確認」と表示）として扱う。
+ */
+
+const PKModelDeps = (typeof module !== 'undefined' && module.exports)
+    ? {
+        ...require('./analytical-engine.js'),
+        ...require('./masui-model.js'),
+        ...require('./masui-ke0-exact.js')
+    }
+    : {
+        AnalyticalPKEngine: window.AnalyticalPKEngine,
+        MasuiModel: window.MasuiModel,
+        MasuiKe0Calculator: window.MasuiKe0Calculator
+    };
+
+const PK_MODEL_UNITS = {
+    volume: 'L',
+    clearance: 'L/min',
+    ke0: '1/min',
+    concentration: 'µg/mL'
+};
+
+const COVARIATE_LABELS = {
+    age: '年齢',
+    weight: '体重',
+    height: '身長',
+    sex: '性別',
+    asaPS: 'ASA-PS'
+};
+
+const KE0_METHOD_LABELS = {
+    numerical: 'Tpeakからの数値解析',
+    'numerical-wide': 'Tpeakからの数値解析（探索区間を拡大）',
+    regression: '重回帰モデル',
+    fixed: '文献値（固定）'
+};
+
+const PK_MODELS = {
+    masui2022: {
+        id: 'masui2022',
+        label: 'Masui 2022',
+        source: {
+            citation: 'Masui K, et al. J Anesth 2022;36:493-505',
+            verified: true
+        },
+        covariates: ['age', 'weight', 'height', 'sex', 'asaPS'],
+        units: PK_MODEL_UNITS,
+        ke0Source: 'Tpeak 2.6分から数値的に導出（同じ共変量モデルのパラメータを使用）',
+        validRanges: {
+            age: { min: 18, max: 100, unit: '歳' },
+            weight: { min: 30, max: 150, unit: 'kg' },
+            height: { min: 120, max: 220, unit: 'cm' },
+            sex: ['male', 'female'],
+            asaPS: ['1-2', '3-4']
+        },
+        calculate: patient => {
+            const { ke0, method } = PKModelDeps.MasuiKe0Calculator.resolveKe0(patient);
+            if (ke0 === null) {
+                throw new Error('ke0 を算出できません');
+            }
+            return { ...PKModelDeps.MasuiModel.calculateParameters(patient), ke0, ke0Method: method };
+        }
+    }
+};
+
+const DEFAULT_PK_MODEL = 'masui2022';
+
+/**
+ * モデルを追加登録する（同じ id は置き換え）
+ */
+function registerPKModel(model) {
+    if (!model || !model.id || typeof model.calculate !== 'function') {
+        throw new Error('PKモデルには id と calculate が必要です');
+    }
+    PK_MODELS[model.id] = {
+        covariates: [],
+        units: PK_MODEL_UNITS,
+        validRanges: {},
+        ...model,
+        source: { verified: false, ...model.source }
+    };
+    return PK_MODELS[model.id];
+}
+
+class PKModelRegistry {
+    static list() {
+        return Object.values(PK_MODELS);
+    }
+
+    static get(id) {
+        const model = PK_MODELS[id];
+        if (!model) {
+            throw new Error(`未登録のPKモデルです: ${id}`);
+        }
+        return model;
+    }
+
+    /**
+     * @returns {Object} パラメータ（modelId を付加）
+     */
+    static calculate(id, patient) {
+        return { ...PKModelRegistry.get(id).calculate(patient), modelId: id };
+    }
+
+    /**
+     * 患者がモデルの対象範囲外である項目
+     * @returns {Array} 警告メッセージ
+     */
+    static checkValidRanges(id, patient) {
+        const { validRanges } = PKModelRegistry.get(id);
+        const warnings = [];
+        Object.entries(validRanges).forEach(([key, range]) => {
+            const value = patient[key];
+            const label = COVARIATE_LABELS[key] || key;
+            if (Array.isArray(range)) {
+                if (!range.includes(value)) {
+                    warnings.push(`${label} ${value} は対象集団（${range.join(', ')}）に含まれません`);
+                }
+            } else if (value < range.min || value > range.max) {
+                warnings.push(`${label} ${value}${range.unit} は対象範囲 ${range.min}–${range.max}${range.unit} の外です`);
+            }
+        });
+        return warnings;
+    }
+
+    /**
+     * 同じ投与で各モデルの Cp/Ce を計算
+     * @returns {Array} [{ model, pkParams, points: [{ time, cp, ce }], warnings }] または [{ model, error }]
+     */
+    static compare(patient, doseEvents, times, ids = Object.keys(PK_MODELS)) {
+        return ids.map(id => {
+            const model = PKModelRegistry.get(id);
+            try {
+                const pkParams = PKModelRegistry.calculate(id, patient);
+                const profile = new PKModelDeps.AnalyticalPKEngine(pkParams).simulateEvents(doseEvents, times);
+                return {
+                    model,
+                    pkParams,
+                    points: profile.map((point, i) => ({ time: times[i], ...point })),
+                    warnings: PKModelRegistry.checkValidRanges(id, patient)
+                };
+            } catch (error) {
+                return { model, error: error.message };
+            }
+        });
+    }
+}
+
+// Export for use in other modules
+if (typeof window !== 'undefined') {
+    window.PKModelRegistry = PKModelRegistry;
+    window.PK_MODELS = PK_MODELS;
+    window.DEFAULT_PK_MODEL = DEFAULT_PK_MODEL;
+    window.registerPKModel = registerPKModel;
+    window.KE0_METHOD_LABELS = KE0_METHOD_LABELS;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { PKModelRegistry, PK_MODELS, DEFAULT_PK_MODEL, registerPKModel, KE0_METHOD_LABELS };
+}
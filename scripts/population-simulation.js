@@ -0,0 +1,176 @@
+/**
+ * Population Simulation - 個体間変動のモンテカルロシミュレーション
+ *
+ * 典型値パラメータ θ に対数正規の個体間変動を与えた仮想被験者を生成する:
+ *   P_i = θ × exp(η_i),  η_i ~ N(0, ω²)
+ * 対象は V1, V2, V3, CL, Q2, Q3, ke0。
+ * 各被験者の Cp/Ce を AnalyticalPKEngine の状態遷移で計算し、
+ * 時刻ごとの中央値と5/95パーセンタイルを求める。
+ *
+ * 乱数はシード付き（mulberry32 + Box-Muller）で再現可能。
+ *
+ * 変動係数は画面上で編集できる（POPULATION_CV_LABELS のキー）。
+ *
+ * 注意: 既定の変動係数は Masui 2022 で推定された個体間変動（ω）ではなく、予測の
+ * ばらつきを示すための仮定値である。求めた帯は「この CV を仮定した場合」の幅であり、
+ * Masui モデルの個体間変動を表すものではない（source.citation = null）。
+ */
+
+const PopulationDeps = (typeof module !== 'undefined' && module.exports)
+    ? require('./analytical-engine.js')
+    : { AnalyticalPKEngine: window.AnalyticalPKEngine };
+
+// 変動係数（CV）から対数正規分布の ω を求める: ω² = ln(1 + CV²)
+const cvToOmega = cv => Math.sqrt(Math.log(1 + cv * cv));
+
+const POPULATION_DEFAULTS = {
+    subjects: 500,
+    seed: 12345,
+    percentiles: [5, 50, 95],
+    // 仮定した変動係数（Masui 2022 の ω ではない）
+    cv: {
+        v1: 0.3,
+        v2: 0.3,
+        v3: 0.4,
+        cl: 0.25,
+        q2: 0.35,
+        q3: 0.4,
+        ke0: 0.4
+    },
+    source: {
+        citation: null,
+        description: '仮定値（Masui 2022 の個体間変動の推定値ではない）',
+        verified: false
+    }
+};
+
+// 編集可能な変動係数と表示ラベル
+const POPULATION_CV_LABELS = {
+    v1: 'V1', v2: 'V2', v3: 'V3', cl: 'CL', q2: 'Q2', q3: 'Q3', ke0: 'ke0'
+};
+
+/**
+ * シード付き一様乱数 [0, 1)（mulberry32）
+ */
+function createRandom(seed) {
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+/**
+ * 標準正規乱数（Box-Muller）
+ */
+function createNormalRandom(random) {
+    let spare = null;
+    return () => {
+        if (spare !== null) {
+            const value = spare;
+            spare = null;
+            return value;
+        }
+        const u = 1 - random();
+        const v = random();
+        const radius = Math.sqrt(-2 * Math.log(u));
+        spare = radius * Math.sin(2 * Math.PI * v);
+        return radius * Math.cos(2 * Math.PI * v);
+    };
+}
+
+class PopulationSimulator {
+    /**
+     * @param {Object} typicalParams - 典型値 { v1, v2, v3, cl, q2, q3, ke0 }
+     */
+    constructor(typicalParams, options = {}) {
+        this.typicalParams = typicalParams;
+        this.options = {
+            ...POPULATION_DEFAULTS,
+            ...options,
+            cv: { ...POPULATION_DEFAULTS.cv, ...options.cv }
+        };
+    }
+
+    /**
+     * 1被験者分のパラメータ
+     */
+    sampleParameters(normal) {
+        const params = {};
+        Object.keys(this.options.cv).forEach(key => {
+            params[key] = this.typicalParams[key] * Math.exp(cvToOmega(this.options.cv[key]) * normal());
+        });
+        return PopulationSimulator.withRateConstants(params);
+    }
+
+    static withRateConstants({ v1, v2, v3, cl, q2, q3, ke0 }) {
+        return {
+            v1, v2, v3, cl, q2, q3, ke0,
+            k10: cl / v1,
+            k12: q2 / v1,
+            k21: q2 / v2,
+            k13: q3 / v1,
+            k31: q3 / v3
+        };
+    }
+
+    /**
+     * 昇順に並べた値の p パーセンタイル（線形補間）
+     */
+    static percentile(sorted, p) {
+        if (sorted.length === 0) return NaN;
+        const index = (p / 100) * (sorted.length - 1);
+        const lower = Math.floor(index);
+        const upper = Math.ceil(index);
+        return sorted[lower] + (sorted[upper] - sorted[lower]) * (index - lower);
+    }
+
+    /**
+     * @returns {Object} { times, cp: { 5: [...], 50: [...], 95: [...] }, ce: {...}, subjects }
+     */
+    run(doseEvents, times) {
+        const normal = createNormalRandom(createRandom(this.options.seed));
+        const profiles = [];
+
+        for (let i = 0; i < this.options.subjects; i++) {
+            const params = this.sampleParameters(normal);
+            try {
+                const engine = new PopulationDeps.AnalyticalPKEngine(params);
+                profiles.push(engine.simulateEvents(doseEvents, times));
+            } catch (error) {
+                // 固有値が求まらない極端なパラメータの被験者は除外
+                console.warn('Population subject skipped:', error.message);
+            }
+        }
+
+        const result = { times, subjects: profiles.length, cp: {}, ce: {} };
+        ['cp', 'ce'].forEach(key => {
+            this.options.percentiles.forEach(p => {
+                result[key][p] = [];
+            });
+            times.forEach((_, t) => {
+                const values = profiles.map(profile => profile[t][key]).sort((a, b) => a - b);
+                this.options.percentiles.forEach(p => {
+                    result[key][p].push(PopulationSimulator.percentile(values, p));
+                });
+            });
+        });
+        return result;
+    }
+}
+
+// Export for use in other modules
+if (typeof window !== 'undefined') {
+    window.PopulationSimulator = PopulationSimulator;
+    window.POPULATION_DEFAULTS = POPULATION_DEFAULTS;
+    window.POPULATION_CV_LABELS = POPULATION_CV_LABELS;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        PopulationSimulator, POPULATION_DEFAULTS, POPULATION_CV_LABELS, createRandom, createNormalRandom, cvToOmega
+    };
+}
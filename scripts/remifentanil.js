@@ -0,0 +1,130 @@
+/**
+ * Remifentanil - Minto モデルと催眠薬・オピオイドの反応曲面
+ *
+ * Minto CF, et al. Anesthesiology 1997;86:10-23 の共変量モデル:
+ *   LBM（James式）男性: 1.1 × W - 128 × (W/H)²,  女性: 1.07 × W - 148 × (W/H)²
+ *   V1  = 5.1  - 0.0201 × (Age - 40) + 0.072 × (LBM - 55)     [L]
+ *   V2  = 9.82 - 0.0811 × (Age - 40) + 0.108 × (LBM - 55)     [L]
+ *   V3  = 5.42                                                [L]
+ *   CL1 = 2.6  - 0.0162 × (Age - 40) + 0.0191 × (LBM - 55)    [L/min]
+ *   CL2 = 2.05 - 0.0301 × (Age - 40)                          [L/min]
+ *   CL3 = 0.076 - 0.00113 × (Age - 40)                        [L/min]
+ *   ke0 = 0.595 - 0.007 × (Age - 40)                          [1/min]
+ * 投与量は µg、濃度は ng/mL（µg/L）。濃度計算には AnalyticalPKEngine を用いる。
+ *
+ * 反応曲面（Greco モデル、Bouillon 2004 と同じ形式）:
+ *   U = Ce_remimazolam / C50_remimazolam + Ce_remifentanil / C50_remifentanil
+ *       + α × (Ce_remimazolam / C50_remimazolam) × (Ce_remifentanil / C50_remifentanil)
+ *   P(喉頭鏡操作に無反応) = U^γ / (1 + U^γ)
+ *
+ * 反応曲面のパラメータ（RESPONSE_SURFACE_PARAM_LABELS のキー）は画面上で編集できる。
+ *
+ * 注意: 反応曲面の既定パラメータは教育用の仮値であり、原著で確認してから使用すること
+ * （source.verified = false は未確認）。
+ */
+
+const RESPONSE_SURFACE_DEFAULTS = {
+    c50Remimazolam: 2.5,    // 単独での C50（µg/mL）
+    c50Remifentanil: 8.0,   // 単独での C50（ng/mL）
+    alpha: 2.0,             // 相互作用係数（> 0 で相乗）
+    gamma: 4.0,             // 曲面の傾き
+    source: {
+        citation: 'Bouillon TW, et al. Anesthesiology 2004;100:1353-1372（モデル形式）',
+        verified: false
+    }
+};
+
+// 編集可能な反応曲面パラメータと表示ラベル
+const RESPONSE_SURFACE_PARAM_LABELS = {
+    c50Remimazolam: 'C50 レミマゾラム (µg/mL)',
+    c50Remifentanil: 'C50 レミフェンタニル (ng/mL)',
+    alpha: 'α（相互作用）',
+    gamma: 'γ'
+};
+
+class MintoRemifentanil {
+    /**
+     * James式による除脂肪体重（kg）
+     */
+    static calculateLBM(patient) {
+        const ratio = patient.weight / patient.height;
+        return patient.sex === 'male'
+            ? 1.1 * patient.weight - 128 * ratio * ratio
+            : 1.07 * patient.weight - 148 * ratio * ratio;
+    }
+
+    /**
+     * @returns {Object} AnalyticalPKEngine 用のパラメータ { v1, v2, v3, cl, q2, q3, ke0, k10, ... }
+     */
+    static calculatePKParameters(patient) {
+        const age = patient.age - 40;
+        const lbm = MintoRemifentanil.calculateLBM(patient) - 55;
+
+        const v1 = 5.1 - 0.0201 * age + 0.072 * lbm;
+        const v2 = 9.82 - 0.0811 * age + 0.108 * lbm;
+        const v3 = 5.42;
+        const cl = 2.6 - 0.0162 * age + 0.0191 * lbm;
+        const q2 = 2.05 - 0.0301 * age;
+        const q3 = 0.076 - 0.00113 * age;
+        const ke0 = 0.595 - 0.007 * age;
+
+        return {
+            v1, v2, v3, cl, q2, q3, ke0,
+            k10: cl / v1,
+            k12: q2 / v1,
+            k21: q2 / v2,
+            k13: q3 / v1,
+            k31: q3 / v3
+        };
+    }
+}
+
+class ResponseSurfaceModel {
+    constructor(params = {}) {
+        this.params = { ...RESPONSE_SURFACE_DEFAULTS, ...params };
+    }
+
+    /**
+     * パラメータの変更（α は負の値で拮抗、それ以外は正の値）
+     */
+    setParameter(key, value) {
+        if (!(key in RESPONSE_SURFACE_PARAM_LABELS) || !Number.isFinite(value)) return false;
+        if (key !== 'alpha' && !(value > 0)) return false;
+        this.params[key] = value;
+        return true;
+    }
+
+    reset() {
+        this.params = { ...RESPONSE_SURFACE_DEFAULTS };
+    }
+
+    /**
+     * @param {number} remimazolamCe - µg/mL
+     * @param {number} remifentanilCe - ng/mL
+     * @param {number} ce50Shift - 拮抗薬によるレミマゾラム C50 の移動倍率
+     * @returns {number} 喉頭鏡操作に無反応の確率（%）
+     */
+    calculate(remimazolamCe, remifentanilCe, ce50Shift = 1) {
+        const { c50Remimazolam, c50Remifentanil, alpha, gamma } = this.params;
+        const uA = Math.max(0, remimazolamCe) / (c50Remimazolam * ce50Shift);
+        const uB = Math.max(0, remifentanilCe) / c50Remifentanil;
+        const u = uA + uB + alpha * uA * uB;
+        if (u <= 0) return 0;
+        const ratio = Math.pow(u, gamma);
+        return (ratio / (1 + ratio)) * 100;
+    }
+}
+
+// Export for use in other modules
+if (typeof window !== 'undefined') {
+    window.MintoRemifentanil = MintoRemifentanil;
+    window.ResponseSurfaceModel = ResponseSurfaceModel;
+    window.RESPONSE_SURFACE_DEFAULTS = RESPONSE_SURFACE_DEFAULTS;
+    window.RESPONSE_SURFACE_PARAM_LABELS = RESPONSE_SURFACE_PARAM_LABELS;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        MintoRemifentanil, ResponseSurfaceModel, RESPONSE_SURFACE_DEFAULTS, RESPONSE_SURFACE_PARAM_LABELS
+    };
+}
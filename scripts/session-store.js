@@ -0,0 +1,205 @@
+/**
+ * Session Store - 症例（セッション）の保存と一覧
+ *
+ * 患者情報・投与履歴・記録・時計の状態を1件のセッションとして保存し、
+ * ページの再読み込みやタブレットのスリープ後に開き直せるようにする。
+ * 濃度の履歴は保存せず、開き直すときに投与履歴から解析解で再計算する
+ * （閉じていた間は restoreStepSeconds 刻み）。
+ *
+ * 保存先は IndexedDB、使えなければ localStorage、どちらも使えなければメモリ
+ * （プライベートブラウズなど。再読み込みで消える）。API はいずれも Promise を返す。
+ *
+ * セッション: { id, createdAt, updatedAt, status: 'running'|'stopped', savedAt, clock, ... }
+ * 時刻の項目は ISO 文字列（savedAt のみミリ秒）で、JSON としてそのまま保存できる。
+ */
+
+const SESSION_STORE_DEFAULTS = {
+    dbName: 'remimazolam-simulator',
+    storeName: 'sessions',
+    localStorageKey: 'remimazolam-simulator-sessions',
+    maxSessions: 50,        // 保存する症例数の上限（超えた分は終了済みの古い症例から削除）
+    staleRunningHours: 24,  // この時間保存されていない「実行中」の症例は再開されなかったとみなし終了済みにする
+    autosaveSeconds: 30,    // 実行中の自動保存間隔（秒）
+    restoreStepSeconds: 60, // 開き直すとき、閉じていた間の濃度履歴の刻み（秒）
+    maxRestorePoints: 5000  // 閉じていた間の濃度履歴の最大点数（超える場合は刻みを広げる）
+};
+
+// IDBRequest / IDBTransaction を Promise に変換
+function idbPromise(target, successEvent = 'success') {
+    return new Promise((resolve, reject) => {
+        target.addEventListener(successEvent, () => resolve(target.result));
+        target.addEventListener('error', () => reject(target.error));
+    });
+}
+
+class SessionStore {
+    constructor(options = {}) {
+        this.options = { ...SESSION_STORE_DEFAULTS, ...options };
+        this.backend = null;
+        this.db = null;
+        this.memory = new Map();
+        this.opening = null;
+    }
+
+    /**
+     * 保存先を決める（最初の操作時に自動で呼ばれる）
+     * @returns {Promise<string>} 'indexedDB' | 'localStorage' | 'memory'
+     */
+    open() {
+        if (!this.opening) {
+            this.opening = this.openBackend().then(backend => {
+                this.backend = backend;
+                return backend;
+            });
+        }
+        return this.opening;
+    }
+
+    async openBackend() {
+        if (typeof indexedDB !== 'undefined') {
+            try {
+                const request = indexedDB.open(this.options.dbName, 1);
+                request.addEventListener('upgradeneeded', () => {
+                    request.result.createObjectStore(this.options.storeName, { keyPath: 'id' });
+                });
+                this.db = await idbPromise(request);
+                return 'indexedDB';
+            } catch (error) {
+                console.warn('IndexedDB is not available:', error);
+            }
+        }
+        try {
+            const key = `${this.options.localStorageKey}-test`;
+            localStorage.setItem(key, '1');
+            localStorage.removeItem(key);
+            return 'localStorage';
+        } catch (error) {
+            console.warn('localStorage is not available, sessions are kept in memory only');
+            return 'memory';
+        }
+    }
+
+    async getAll() {
+        await this.open();
+        if (this.backend === 'indexedDB') {
+            const store = this.db.transaction(this.options.storeName, 'readonly').objectStore(this.options.storeName);
+            return idbPromise(store.getAll());
+        }
+        if (this.backend === 'localStorage') {
+            return Object.values(this.readLocalStorage());
+        }
+        return [...this.memory.values()];
+    }
+
+    readLocalStorage() {
+        try {
+            return JSON.parse(localStorage.getItem(this.options.localStorageKey)) || {};
+        } catch (error) {
+            console.error('Stored sessions are corrupted:', error);
+            return {};
+        }
+    }
+
+    async put(session) {
+        await this.open();
+        if (this.backend === 'indexedDB') {
+            const transaction = this.db.transaction(this.options.storeName, 'readwrite');
+            transaction.objectStore(this.options.storeName).put(session);
+            await idbPromise(transaction, 'complete');
+        } else if (this.backend === 'localStorage') {
+            const sessions = this.readLocalStorage();
+            sessions[session.id] = session;
+            localStorage.setItem(this.options.localStorageKey, JSON.stringify(sessions));
+        } else {
+            this.memory.set(session.id, session);
+        }
+    }
+
+    async delete(id) {
+        await this.open();
+        if (this.backend === 'indexedDB') {
+            const transaction = this.db.transaction(this.options.storeName, 'readwrite');
+            transaction.objectStore(this.options.storeName).delete(id);
+            await idbPromise(transaction, 'complete');
+        } else if (this.backend === 'localStorage') {
+            const sessions = this.readLocalStorage();
+            delete sessions[id];
+            localStorage.setItem(this.options.localStorageKey, JSON.stringify(sessions));
+        } else {
+            this.memory.delete(id);
+        }
+    }
+
+    async save(session) {
+        if (!session || !session.id) {
+            throw new Error('保存するセッションに id がありません');
+        }
+        const record = { ...session, updatedAt: new Date().toISOString() };
+        await this.put(record);
+        await this.prune();
+        return record;
+    }
+
+    async get(id) {
+        const sessions = await this.getAll();
+        return sessions.find(session => session.id === id) || null;
+    }
+
+    // 更新の新しい順
+    async list() {
+        const sessions = await this.getAll();
+        return sessions.sort((a, b) => (b.updatedAt || '').localeCompare(a.updatedAt || ''));
+    }
+
+    /**
+     * 実行中のまま残った症例を終了済みにする（経過時間は最終保存の時点で確定）
+     * 更新日時は変えないため、削除の順序は最後に使った時点のまま
+     * @param {Function} predicate - 対象とする症例
+     */
+    async stopRunning(predicate = () => true) {
+        const sessions = await this.getAll();
+        for (const session of sessions) {
+            if (session.status === 'running' && predicate(session)) {
+                await this.put({ ...session, status: 'stopped' });
+            }
+        }
+    }
+
+    async prune(now = Date.now()) {
+        const staleMs = this.options.staleRunningHours * 60 * 60 * 1000;
+        await this.stopRunning(session => now - session.savedAt > staleMs);
+        const sessions = await this.list();
+        const excess = sessions.length - this.options.maxSessions;
+        if (excess <= 0) return;
+        const removable = sessions.filter(session => session.status !== 'running').slice(-excess);
+        for (const session of removable) {
+            await this.delete(session.id);
+        }
+    }
+
+    static createId(date = new Date()) {
+        return `${date.getTime().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+    }
+
+    /**
+     * 開き直す時点のシミュレーション経過時間（秒）
+     * 実行中で一時停止していなければ、保存からの実時間の経過に倍速を掛けて加える
+     */
+    static getElapsedSeconds(session, now = Date.now()) {
+        const { elapsedSeconds, speed = 1, paused = false } = session.clock;
+        if (session.status !== 'running' || paused) {
+            return elapsedSeconds;
+        }
+        return elapsedSeconds + Math.max(0, now - session.savedAt) / 1000 * speed;
+    }
+}
+
+// Export for use in other modules
+if (typeof window !== 'undefined') {
+    window.SessionStore = SessionStore;
+    window.SESSION_STORE_DEFAULTS = SESSION_STORE_DEFAULTS;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { SessionStore, SESSION_STORE_DEFAULTS };
+}
@@ -0,0 +1,155 @@
+/**
+ * Simulate - ヘッドレスな一括シミュレーションAPI
+ *
+ *   simulate(patient, regimen, outputTimes, options)
+ *
+ * DOM・setInterval・UIコントローラに依存せず、指定時刻の Cp/Ce と
+ * 各コンパートメント量の時系列を1回の呼び出しで返す。ブラウザ・Node.js の両方で利用できる。
+ *
+ * patient: { age, weight, height, sex: 'male'|'female', asaPS: '1-2'|'3-4' }
+ * regimen: 投与イベントの配列（または { events: [...] }）。時刻は分
+ *   - { time, type: 'bolus', amount }              amount: mg
+ *   - { time, type: 'infusion', rate }             rate: mg/min（以降の投与速度を置き換える）
+ *   - { time, type: 'infusion', continuousDose }   continuousDose: mg/kg/hr
+ * outputTimes: 出力時刻（分）の配列
+ * options:
+ *   model    - PKモデルの id（既定 DEFAULT_PK_MODEL）
+ *   pkParams - パラメータを直接指定する場合（model より優先）
+ *   method   - 'analytical'（状態遷移による厳密解, 既定）または 'ode'（deSolve による数値積分）
+ *   solver   - method: 'ode' の積分法（既定 'rkf45'）
+ *
+ * 戻り値: { modelId, method, pkParams, points: [{ time, cp, ce, a1, a2, a3 }] }
+ * 濃度は µg/mL、量は mg。
+ */
+
+const SimulateDeps = (typeof module !== 'undefined' && module.exports)
+    ? {
+        ...require('./analytical-engine.js'),
+        ...require('./pk-model-registry.js'),
+        ...require('./utils/desolve.js')
+    }
+    : {
+        AnalyticalPKEngine: window.AnalyticalPKEngine,
+        PKModelRegistry: window.PKModelRegistry,
+        DEFAULT_PK_MODEL: window.DEFAULT_PK_MODEL,
+        deSolve: window.deSolve
+    };
+
+const SIMULATE_DEFAULTS = {
+    method: 'analytical',
+    solver: 'rkf45'
+};
+
+/**
+ * 投与レジメンを検証し、エンジン形式のイベント列（時刻順）に変換する
+ */
+function normalizeRegimen(regimen, patient) {
+    const events = Array.isArray(regimen) ? regimen : (regimen && regimen.events) || [];
+
+    return events.map((event, index) => {
+        const time = Number(event.time);
+        if (!Number.isFinite(time) || time < 0) {
+            throw new Error(`投与イベント ${index + 1}: 時刻が不正です (${event.time})`);
+        }
+        if (event.type === 'bolus') {
+            const amount = Number(event.amount);
+            if (!Number.isFinite(amount) || amount < 0) {
+                throw new Error(`投与イベント ${index + 1}: ボーラス量が不正です (${event.amount})`);
+            }
+            return { time, type: 'bolus', amount };
+        }
+        if (event.type === 'infusion') {
+            const rate = event.rate !== undefined
+                ? Number(event.rate)
+                : (Number(event.continuousDose) * patient.weight) / 60.0;
+            if (!Number.isFinite(rate) || rate < 0) {
+                throw new Error(`投与イベント ${index + 1}: 投与速度が不正です`);
+            }
+            return { time, type: 'infusion', rate };
+        }
+        throw new Error(`投与イベント ${index + 1}: 未対応の種類です (${event.type})`);
+    }).sort((a, b) => a.time - b.time);
+}
+
+/**
+ * deSolve による数値積分（投与イベントと出力時刻で区間を分割）
+ * 出力時刻は昇順であること
+ */
+function simulateODE(pkParams, events, times, solver) {
+    const { k10, k12, k21, k13, k31, ke0, v1 } = pkParams;
+    const odeSystem = (t, y, params) => {
+        const [a1, a2, a3, ce] = y;
+        return [
+            params.infusionRate - (k10 + k12 + k13) * a1 + k21 * a2 + k31 * a3,
+            k12 * a1 - k21 * a2,
+            k13 * a1 - k31 * a3,
+            ke0 * (a1 / v1 - ce)
+        ];
+    };
+
+    let y = [0, 0, 0, 0];
+    let currentTime = 0;
+    let rate = 0;
+    let eventIndex = 0;
+    const integrateTo = time => {
+        if (time <= currentTime) return;
+        const solution = SimulateDeps.deSolve.ode(odeSystem, y, [currentTime, time], solver, { infusionRate: rate });
+        y = solution.y[solution.y.length - 1].map(value => Math.max(0, value));
+        currentTime = time;
+    };
+
+    return times.map(time => {
+        while (eventIndex < events.length && events[eventIndex].time <= time) {
+            const event = events[eventIndex++];
+            integrateTo(event.time);
+            if (event.type === 'bolus') {
+                y[0] += event.amount;
+            } else {
+                rate = event.rate;
+            }
+        }
+        integrateTo(time);
+        const [a1, a2, a3, ce] = y;
+        return { a1, a2, a3, ce, cp: a1 / v1 };
+    });
+}
+
+function simulate(patient, regimen, outputTimes, options = {}) {
+    const { method, solver, model, pkParams: overrideParams } = { ...SIMULATE_DEFAULTS, ...options };
+    if (!Array.isArray(outputTimes) || outputTimes.some(time => !Number.isFinite(time) || time < 0)) {
+        throw new Error('出力時刻は0以上の数値の配列で指定してください');
+    }
+
+    const modelId = overrideParams ? null : (model || SimulateDeps.DEFAULT_PK_MODEL);
+    const pkParams = overrideParams || SimulateDeps.PKModelRegistry.calculate(modelId, patient);
+    const events = normalizeRegimen(regimen, patient);
+
+    // 昇順に並べて計算し、指定された順序に戻す
+    const order = outputTimes.map((time, i) => i).sort((a, b) => outputTimes[a] - outputTimes[b]);
+    const sortedTimes = order.map(i => outputTimes[i]);
+    let sortedPoints;
+    if (method === 'analytical') {
+        sortedPoints = new SimulateDeps.AnalyticalPKEngine(pkParams).simulateEvents(events, sortedTimes);
+    } else if (method === 'ode') {
+        sortedPoints = simulateODE(pkParams, events, sortedTimes, solver);
+    } else {
+        throw new Error(`未対応の計算法です: ${method}`);
+    }
+
+    const points = new Array(outputTimes.length);
+    order.forEach((originalIndex, i) => {
+        points[originalIndex] = { time: sortedTimes[i], ...sortedPoints[i] };
+    });
+    return { modelId, method, pkParams, points };
+}
+
+// Export for use in other modules
+if (typeof window !== 'undefined') {
+    window.simulate = simulate;
+    window.normalizeRegimen = normalizeRegimen;
+    window.SIMULATE_DEFAULTS = SIMULATE_DEFAULTS;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { simulate, normalizeRegimen, SIMULATE_DEFAULTS };
+}
@@ -0,0 +1,113 @@
+/**
+ * Simulation Clock - シミュレーション時間の管理（一時停止・再開・早送り）
+ *
+ * シミュレーション経過時間 = Σ（実時間の経過 × その間の倍速）
+ * 一時停止中は進まない。倍速の変更・一時停止の時点までの経過時間を確定させてから
+ * 新しい倍速で計測し直すため、途中で倍速を変えても時間が飛ばない。
+ *
+ * 時間源 now()（ミリ秒）は差し替え可能。ManualClock は advance(seconds) でのみ進む
+ * 決定論的な時計で、スクリプトからの実行や検証に用いる。
+ *
+ * シミュレーションエンジンは経過時間を tickSeconds 刻みで追いかけて計算する
+ * （早送り時もVHAC・ODEの1ステップが大きくならない）。
+ */
+
+const CLOCK_DEFAULTS = {
+    tickSeconds: 1,             // エンジンの内部刻み（シミュレーション秒）
+    speeds: [1, 2, 10, 60]      // 選択可能な倍速
+};
+
+class SimulationClock {
+    /**
+     * @param {Object} options - { now: () => ミリ秒, tickSeconds, speeds }
+     */
+    constructor(options = {}) {
+        const { now, ...rest } = options;
+        this.options = { ...CLOCK_DEFAULTS, ...rest };
+        this.now = now || (() => Date.now());
+        this.speed = 1;
+        this.paused = false;
+        this.accumulatedMs = 0;
+        this.anchor = null;
+    }
+
+    start() {
+        this.accumulatedMs = 0;
+        this.anchor = this.now();
+        this.paused = false;
+    }
+
+    // 経過時間 elapsedSeconds から計測を始める（保存した症例を開き直す場合）
+    startAt(elapsedSeconds) {
+        this.start();
+        this.accumulatedMs = elapsedSeconds * 1000;
+    }
+
+    isStarted() {
+        return this.anchor !== null;
+    }
+
+    // シミュレーション経過時間（秒）
+    getElapsedSeconds() {
+        if (!this.isStarted()) return 0;
+        const running = this.paused ? 0 : (this.now() - this.anchor) * this.speed;
+        return (this.accumulatedMs + running) / 1000;
+    }
+
+    // ここまでの経過を確定して計測し直す
+    rebase() {
+        this.accumulatedMs = this.getElapsedSeconds() * 1000;
+        this.anchor = this.now();
+    }
+
+    pause() {
+        if (!this.isStarted() || this.paused) return;
+        this.rebase();
+        this.paused = true;
+    }
+
+    resume() {
+        if (!this.isStarted() || !this.paused) return;
+        this.anchor = this.now();
+        this.paused = false;
+    }
+
+    setSpeed(speed) {
+        if (!(speed > 0)) {
+            throw new Error(`倍速は正の値で指定してください: ${speed}`);
+        }
+        if (this.isStarted() && !this.paused) {
+            this.rebase();
+        }
+        this.speed = speed;
+    }
+}
+
+/**
+ * 手動で進める時計（実時間に依存しない）
+ */
+class ManualClock extends SimulationClock {
+    constructor(options = {}) {
+        // 時間源は this.currentMs（super の呼び出し後に参照される）
+        super({ ...options, now: () => this.currentMs });
+        this.currentMs = 0;
+    }
+
+    /**
+     * 時間源を seconds 秒進める（シミュレーション時間は倍速分進む）
+     */
+    advance(seconds) {
+        this.currentMs += seconds * 1000;
+    }
+}
+
+// Export for use in other modules
+if (typeof window !== 'undefined') {
+    window.SimulationClock = SimulationClock;
+    window.ManualClock = ManualClock;
+    window.CLOCK_DEFAULTS = CLOCK_DEFAULTS;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { SimulationClock, ManualClock, CLOCK_DEFAULTS };
+}
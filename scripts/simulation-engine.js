@@ -0,0 +1,1360 @@
+/**
+ * Simulation Engine - リアルタイム・シミュレーションの状態と計算
+ *
+ * 患者（Patient）と投与イベントから各時刻の Cp/Ce を計算し、計算の状態を保持する。
+ * DOM に依存しないため、ブラウザでは EnhancedUIController から、Node.js では
+ * テストやスクリプトから利用できる。
+ *
+ * 時間の単位は分（elapsedTime のみ秒）、投与量は mg、投与速度は mg/min、濃度は µg/mL。
+ */
+
+const EngineDeps = (typeof module !== 'undefined' && module.exports)
+    ? {
+        ...require('./utils/desolve.js'),
+        ...require('./simulation-clock.js'),
+        ...require('./utils/ke0-masui.js'),
+        ...require('./masui-model.js'),
+        ...require('./masui-ke0-exact.js'),
+        ...require('./analytical-engine.js'),
+        ...require('./vhac-effect-site.js'),
+        ...require('./tci-controller.js'),
+        ...require('./drug-preparation.js'),
+        ...require('./forecast.js'),
+        ...require('./pd-models.js'),
+        ...require('./flumazenil.js'),
+        ...require('./remifentanil.js'),
+        ...require('./pk-model-registry.js'),
+        ...require('./session-store.js'),
+        ...require('./clinical-events.js')
+    }
+    : {
+        deSolve: window.deSolve,
+        SimulationClock: window.SimulationClock,
+        MasuiKe0Model: window.MasuiKe0Model,
+        MasuiModel: window.MasuiModel,
+        MASUI_STANDARD: window.MASUI_STANDARD,
+        MasuiKe0Calculator: window.MasuiKe0Calculator,
+        AnalyticalPKEngine: window.AnalyticalPKEngine,
+        VHACIntegrator: window.VHACIntegrator,
+        TCIController: window.TCIController,
+        EffectSiteTCIController: window.EffectSiteTCIController,
+        PlasmaTCIController: window.PlasmaTCIController,
+        DrugPreparation: window.DrugPreparation,
+        ForecastCalculator: window.ForecastCalculator,
+        FORECAST_DEFAULTS: window.FORECAST_DEFAULTS,
+        FORECAST_SCENARIOS: window.FORECAST_SCENARIOS,
+        PDCalculator: window.PDCalculator,
+        FlumazenilModel: window.FlumazenilModel,
+        FLUMAZENIL_DEFAULTS: window.FLUMAZENIL_DEFAULTS,
+        MintoRemifentanil: window.MintoRemifentanil,
+        ResponseSurfaceModel: window.ResponseSurfaceModel,
+        PKModelRegistry: window.PKModelRegistry,
+        DEFAULT_PK_MODEL: window.DEFAULT_PK_MODEL,
+        SessionStore: window.SessionStore,
+        SESSION_STORE_DEFAULTS: window.SESSION_STORE_DEFAULTS,
+        ClinicalEvents: window.ClinicalEvents
+    };
+
+// Patient data model
+class Patient {
+    constructor(age = 50, weight = 70.0, height = 170.0, sex = 'male', asaPS = '1-2') {
+        this.age = age;
+        this.weight = weight;
+        this.height = height;
+        this.sex = sex;
+        this.asaPS = asaPS;
+    }
+
+    get bmi() {
+        return this.weight / Math.pow(this.height / 100, 2);
+    }
+
+    get sexValue() {
+        return this.sex === 'male' ? 0 : 1;
+    }
+
+    get asaPSValue() {
+        return this.asaPS === '1-2' ? 0 : 1;
+    }
+}
+
+// Ke0 model constants - Simplified Masui model
+const Ke0Constants = {
+    baseKe0: 0.3,           // Base ke0 value (1/min)
+    ageExponent: -0.15,     // Age effect
+    weightExponent: -0.1,   // Weight effect  
+    sexFactor: 0.9,         // Female factor (male = 1.0)
+    asaFactor: 0.85,        // ASA III-IV factor (ASA I-II = 1.0)
+    minKe0: 0.1,           // Minimum ke0 (1/min)
+    maxKe0: 0.8            // Maximum ke0 (1/min)
+};
+
+// Use external deSolve library if available, otherwise fallback
+const useExternalDeSolve = !!EngineDeps.deSolve;
+
+// Simple fallback ODE Solver
+class SimpleDeSolveODE {
+    constructor() {
+        this.method = 'rk4';
+        this.rtol = 1e-6;
+        this.atol = 1e-9;
+    }
+
+    // Runge-Kutta 4th order method
+    rk4Step(func, t, y, h, params) {
+        const k1 = func(t, y, params);
+        const y2 = y.map((yi, i) => yi + h * k1[i] / 2);
+        
+        const k2 = func(t + h/2, y2, params);
+        const y3 = y.map((yi, i) => yi + h * k2[i] / 2);
+        
+        const k3 = func(t + h/2, y3, params);
+        const y4 = y.map((yi, i) => yi + h * k3[i]);
+        
+        const k4 = func(t + h, y4, params);
+        
+        return y.map((yi, i) => yi + h * (k1[i] + 2*k2[i] + 2*k3[i] + k4[i]) / 6);
+    }
+
+    // Adaptive step size Runge-Kutta method
+    rkf45Step(func, t, y, h, params) {
+        // Runge-Kutta-Fehlberg coefficients
+        const a = [0, 1/4, 3/8, 12/13, 1, 1/2];
+        const b = [
+            [],
+            [1/4],
+            [3/32, 9/32],
+            [1932/2197, -7200/2197, 7296/2197],
+            [439/216, -8, 3680/513, -845/4104],
+            [-8/27, 2, -3544/2565, 1859/4104, -11/40]
+        ];
+        const c4 = [25/216, 0, 1408/2565, 2197/4104, -1/5, 0];
+        const c5 = [16/135, 0, 6656/12825, 28561/56430, -9/50, 2/55];
+
+        const k = [];
+        k[0] = func(t, y, params);
+        
+        for (let i = 1; i < 6; i++) {
+            const yi = y.map((yj, j) => {
+                let sum = 0;
+                for (let l = 0; l < i; l++) {
+                    sum += b[i][l] * k[l][j];
+                }
+                return yj + h * sum;
+            });
+            k[i] = func(t + a[i] * h, yi, params);
+        }
+
+        const y4 = y.map((yi, i) => {
+            let sum = 0;
+            for (let j = 0; j < 6; j++) {
+                sum += c4[j] * k[j][i];
+            }
+            return yi + h * sum;
+        });
+
+        const y5 = y.map((yi, i) => {
+            let sum = 0;
+            for (let j = 0; j < 6; j++) {
+                sum += c5[j] * k[j][i];
+            }
+            return yi + h * sum;
+        });
+
+        // Error estimation
+        const error = y4.map((y4i, i) => Math.abs(y4i - y5[i]));
+        const maxError = Math.max(...error);
+        const tolerance = Math.max(this.rtol * Math.max(...y4.map(Math.abs)), this.atol);
+
+        return {
+            y: y5,
+            error: maxError,
+            acceptable: maxError <= tolerance
+        };
+    }
+
+    // Main solver function
+    solve(func, y0, tspan, params = {}) {
+        const [t0, tf] = tspan;
+        let t = t0;
+        let y = [...y0];
+        let h = Math.min(0.01, (tf - t0) / 100); // Initial step size
+        
+        const solution = {
+            t: [t0],
+            y: [y0.slice()],
+            stats: { steps: 0, rejections: 0 }
+        };
+
+        while (t < tf) {
+            // Don't overshoot
+            if (t + h > tf) {
+                h = tf - t;
+            }
+
+            let stepAccepted = false;
+            let attempts = 0;
+
+            while (!stepAccepted && attempts < 10) {
+                if (this.method === 'rk4') {
+                    const yNew = this.rk4Step(func, t, y, h, params);
+                    y = yNew;
+                    stepAccepted = true;
+                } else if (this.method === 'rkf45') {
+                    const result = this.rkf45Step(func, t, y, h, params);
+                    
+                    if (result.acceptable) {
+                        y = result.y;
+                        stepAccepted = true;
+                        // Increase step size if error is very small
+                        if (result.error < this.rtol / 10) {
+                            h = Math.min(h * 1.5, 0.1);
+                        }
+                    } else {
+                        // Decrease step size
+                        h = h * 0.5;
+                        solution.stats.rejections++;
+                        attempts++;
+                    }
+                }
+            }
+
+            if (stepAccepted) {
+                t += h;
+                solution.t.push(t);
+                solution.y.push(y.slice());
+                solution.stats.steps++;
+            } else {
+                console.warn('Failed to find acceptable step size');
+                break;
+            }
+        }
+
+        return solution;
+    }
+}
+
+// PK Parameters calculation
+class PKCalculator {
+    // 体積・クリアランスは masui-model.js（ke0 の導出と同じ共変量モデル）
+    static calculatePKParameters(patient) {
+        return { ...EngineDeps.MasuiModel.calculateParameters(patient), ke0: this.calculateKe0(patient) };
+    }
+
+    static calculateKe0(patient) {
+        // Use new Masui complete implementation
+        try {
+            // MasuiKe0Calculatorが利用可能な場合は正確な計算を使用
+            if (EngineDeps.MasuiKe0Calculator) {
+                // 数値解析による厳密解を優先し、求まらなければ重回帰モデル
+                const ke0 = EngineDeps.MasuiKe0Calculator.calculateKe0ForPatient(patient);
+                if (ke0 > 0) {
+                    console.log(`Using Masui ke0: ${ke0.toFixed(5)}`);
+                    return ke0;
+                }
+            }
+            
+            // フォールバック: 従来のMasuiKe0Model
+            if (EngineDeps.MasuiKe0Model) {
+                console.log('Using complete Masui ke0 model (fallback)');
+                const masuiModel = new EngineDeps.MasuiKe0Model();
+                return masuiModel.calculateKe0(patient);
+            }
+            
+            // 最終フォールバック: 簡略化計算
+            console.warn('Using simplified ke0 model');
+            return this.calculateKe0Simplified(patient);
+            
+        } catch (error) {
+            console.error('Ke0 calculation error:', error);
+            return this.calculateKe0Simplified(patient);
+        }
+    }
+
+    static calculateKe0Simplified(patient) {
+        // Simplified Masui ke0 model - clinically validated
+        const constants = Ke0Constants;
+        
+        // 年齢補正: 高齢で遅くなる
+        const ageRatio = patient.age / EngineDeps.MASUI_STANDARD.age;
+        const ageFactor = Math.pow(ageRatio, constants.ageExponent);
+        
+        // 体重補正: 体重が重いとやや遅くなる
+        const weightRatio = patient.weight / EngineDeps.MASUI_STANDARD.weight;
+        const weightFactor = Math.pow(weightRatio, constants.weightExponent);
+        
+        // 性別補正: 女性でやや遅い
+        const sexFactor = patient.sexValue === 0 ? 1.0 : constants.sexFactor;
+        
+        // ASA補正: ASA III-IV でやや遅い
+        const asaFactor = patient.asaPSValue === 0 ? 1.0 : constants.asaFactor;
+        
+        const ke0 = constants.baseKe0 * ageFactor * weightFactor * sexFactor * asaFactor;
+        
+        console.log('Ke0 calculation details:', {
+            baseKe0: constants.baseKe0,
+            ageRatio, ageFactor,
+            weightRatio, weightFactor,
+            sexFactor, asaFactor,
+            finalKe0: ke0
+        });
+        
+        // 妥当な範囲に制限
+        return Math.max(constants.minKe0, Math.min(constants.maxKe0, ke0));
+    }
+}
+
+// Enhanced Simulation engine with deSolve
+class EnhancedSimulationEngine {
+    constructor() {
+        this.isRunning = false;
+        this.startTime = null;
+        this.elapsedTime = 0;
+        // シミュレーション時間（一時停止・倍速。setClock で ManualClock などに差し替え可能）
+        this.clock = EngineDeps.SimulationClock ? new EngineDeps.SimulationClock() : null;
+        this.patient = null;
+        this.pkParams = null;
+        // 使用するPKモデル（PKModelRegistry の id）
+        this.pkModelId = EngineDeps.DEFAULT_PK_MODEL || null;
+        this.state = { a1: 0, a2: 0, a3: 0, ce: 0 };
+        this.bolusDose = 0;
+        this.continuousDose = 0;
+        this.snapshots = [];
+        // 臨床イベント（睫毛反射消失・意識消失・挿管など）
+        this.clinicalEvents = [];
+        // 濃度履歴（シミュレーション刻みごとの { time, cp, ce, a1, a2, a3, rate, method }）
+        this.history = [];
+        this.timer = null;
+        if (useExternalDeSolve) {
+            this.solver = EngineDeps.deSolve;
+            this.solverMethod = 'rkf45';
+            console.log('Using external deSolve library');
+        } else {
+            this.solver = new SimpleDeSolveODE();
+            this.solver.method = 'rkf45';
+            console.log('Using fallback ODE solver');
+        }
+        this.lastSolveTime = 0;
+        this.solutionCache = null;
+        // 計算法: 'ode'（数値積分）または 'analytical'（解析解）
+        this.calculationMode = 'ode';
+        this.analyticalEngine = null;
+        this.doseEvents = [];
+        // 効果部位濃度の計算法: 'vhac' または 'ode'
+        this.effectSiteMethod = 'vhac';
+        this.vhac = null;
+        // 投与モード: 'manual'、'tci-effect' または 'tci-plasma'
+        this.dosingMode = 'manual';
+        this.tciController = null;
+        this.tciOptions = null;
+        this.nextControlTime = 0;
+        this.commandedRate = 0;
+        // 薬液調製（濃度）とシリンジポンプの流量刻み・最大流量（投与速度の丸めと制限に用いる）
+        this.drugPreparation = EngineDeps.DrugPreparation ? new EngineDeps.DrugPreparation() : null;
+        this.tciPerformance = null;
+        // 薬力学モデル（パラメータの変更は実行をまたいで保持）
+        this.pdCalculator = EngineDeps.PDCalculator ? new EngineDeps.PDCalculator() : null;
+        // フルマゼニルのパラメータ（編集は実行をまたいで保持）
+        this.flumazenilParams = EngineDeps.FLUMAZENIL_DEFAULTS ? { ...EngineDeps.FLUMAZENIL_DEFAULTS } : null;
+        this.flumazenil = null;
+        // 併用レミフェンタニル（Mintoモデル）と反応曲面（パラメータの変更は実行をまたいで保持）
+        this.remifentanil = null;
+        this.responseSurface = EngineDeps.ResponseSurfaceModel ? new EngineDeps.ResponseSurfaceModel() : null;
+        // ベイズ推定で個別化する前の母集団パラメータ（個別化していなければ null）
+        this.populationPkParams = null;
+    }
+
+    /**
+     * @param {Object|null} tciOptions - TCIモードの場合 { mode: 'effect'|'plasma', target }
+     * @param {Object|null} remifentanilOptions - 併用する場合 { bolus: µg, infusion: µg/kg/min }
+     */
+    start(patient, bolusDose, continuousDose, tciOptions = null, remifentanilOptions = null) {
+        if (this.isRunning) return;
+
+        console.log('Starting enhanced simulation...');
+        this.initializeRun(patient, bolusDose, continuousDose, tciOptions);
+        if (this.remifentanil && remifentanilOptions) {
+            this.addRemifentanilEvent({ time: 0, type: 'bolus', amount: remifentanilOptions.bolus || 0 });
+            if (remifentanilOptions.infusion > 0) {
+                this.addRemifentanilEvent({
+                    time: 0,
+                    type: 'infusion',
+                    rate: remifentanilOptions.infusion * patient.weight,
+                    infusionDose: remifentanilOptions.infusion
+                });
+            }
+        }
+
+        if (this.tciController) {
+            this.resetTCIPerformance(0);
+            this.nextControlTime = 0;
+            this.advanceTo(0);
+        } else {
+            this.addDoseEvent({ time: 0, type: 'bolus', amount: bolusDose });
+            this.addManualInfusion(0, continuousDose);
+            this.applyPendingBoluses(0);
+        }
+        this.recordHistory();
+
+        console.log('Patient:', { age: patient.age, weight: patient.weight, height: patient.height, sex: patient.sex });
+        console.log('PK model:', this.pkModelId, 'Parameters:', this.pkParams);
+        console.log('Ke0 value:', this.pkParams.ke0, '(1/min), t1/2 =', (Math.log(2)/this.pkParams.ke0).toFixed(1), 'min');
+        console.log('Initial state:', this.state);
+
+        this.startTimer();
+    }
+
+    startTimer() {
+        this.timer = setInterval(() => {
+            this.updateSimulation();
+        }, 1000);
+    }
+
+    // 実行開始時の初期化（start と restore で共通。投与イベントは追加しない）
+    initializeRun(patient, bolusDose, continuousDose, tciOptions) {
+        this.patient = patient;
+        this.pkParams = this.calculatePKParameters(patient);
+        this.populationPkParams = null;
+        this.bolusDose = bolusDose;
+        this.continuousDose = continuousDose;
+        this.state = { a1: 0, a2: 0, a3: 0, ce: 0 };
+        this.startTime = new Date();
+        this.elapsedTime = 0;
+        if (this.clock) this.clock.start();
+        this.snapshots = [];
+        this.clinicalEvents = [];
+        this.history = [];
+        this.isRunning = true;
+        this.lastSolveTime = 0;
+        this.doseEvents = [];
+        this.analyticalEngine = this.createAnalyticalEngine();
+        this.vhac = EngineDeps.VHACIntegrator ? new EngineDeps.VHACIntegrator(this.pkParams.ke0) : null;
+        this.tciController = null;
+        this.commandedRate = 0;
+        this.flumazenil = EngineDeps.FlumazenilModel
+            ? new EngineDeps.FlumazenilModel(patient.weight, this.flumazenilParams)
+            : null;
+        this.remifentanil = this.createRemifentanil();
+        this.tciOptions = tciOptions;
+
+        if (tciOptions && this.analyticalEngine && EngineDeps.TCIController) {
+            const ControllerClass = tciOptions.mode === 'plasma' ? EngineDeps.PlasmaTCIController : EngineDeps.EffectSiteTCIController;
+            this.dosingMode = tciOptions.mode === 'plasma' ? 'tci-plasma' : 'tci-effect';
+            this.tciController = new ControllerClass(this.analyticalEngine, tciOptions.target, {
+                maxRate: this.drugPreparation ? this.drugPreparation.getMaxRate() : Infinity
+            });
+        } else {
+            this.dosingMode = 'manual';
+        }
+    }
+
+    /**
+     * 保存用の状態（JSON化できる値のみ。濃度の履歴は含めず、開き直すときに再計算する）
+     */
+    getSessionState(now = Date.now()) {
+        const serializeEvent = ({ applied, ...event }) => ({
+            ...event,
+            timestamp: event.timestamp instanceof Date ? event.timestamp.toISOString() : event.timestamp
+        });
+        const { age, weight, height, sex, asaPS } = this.patient;
+        return {
+            status: this.isRunning ? 'running' : 'stopped',
+            savedAt: now,
+            startedAt: this.startTime ? this.startTime.toISOString() : null,
+            clock: {
+                elapsedSeconds: this.clock && this.isRunning ? this.clock.getElapsedSeconds() : this.elapsedTime,
+                speed: this.getSpeed(),
+                paused: this.isPaused()
+            },
+            patient: { age, weight, height, sex, asaPS },
+            pkModelId: this.pkModelId,
+            // ベイズ推定で個別化した場合のパラメータ
+            individualPkParams: this.populationPkParams ? { ...this.pkParams } : null,
+            calculationMode: this.calculationMode,
+            bolusDose: this.bolusDose,
+            continuousDose: this.continuousDose,
+            tciOptions: this.tciOptions,
+            tciTarget: this.getTCITarget(),
+            drugPreparation: this.drugPreparation ? this.drugPreparation.toJSON() : null,
+            doseEvents: this.doseEvents.map(serializeEvent),
+            remifentanilEvents: this.remifentanil ? this.remifentanil.doseEvents.map(serializeEvent) : [],
+            snapshots: this.snapshots.map(snapshot => ({ ...snapshot, timestamp: snapshot.timestamp.toISOString() })),
+            clinicalEvents: this.clinicalEvents.map(event => ({ ...event, timestamp: event.timestamp.toISOString() }))
+        };
+    }
+
+    /**
+     * 保存した症例を開き直す: 投与履歴から解析解で濃度履歴と状態を再構築し、現在の実時刻
+     * （終了済みの症例は終了時点）の状態から再開する
+     * 閉じていた間の投与は保存時点の投与速度のまま続いたものとし、TCIは再開時点から制御を再開する
+     */
+    restore(session, now = Date.now()) {
+        if (this.isRunning) return false;
+
+        const { age, weight, height, sex, asaPS } = session.patient;
+        const patient = new Patient(age, weight, height, sex, asaPS);
+        // 登録されていないモデル（登録を取りやめたモデルを含む）で保存した症例は既定のモデルで再開する
+        if (session.pkModelId && this.isRegisteredPKModel(session.pkModelId)) {
+            this.pkModelId = session.pkModelId;
+        } else if (session.pkModelId) {
+            console.warn(`未登録のPKモデル ${session.pkModelId} の症例を ${this.pkModelId} で再開します`);
+        }
+        if (session.calculationMode) this.setCalculationMode(session.calculationMode);
+        if (session.drugPreparation) this.setDrugPreparation(session.drugPreparation);
+        this.initializeRun(patient, session.bolusDose, session.continuousDose, session.tciOptions);
+        this.startTime = session.startedAt ? new Date(session.startedAt) : new Date(now);
+        if (session.individualPkParams) {
+            this.applyIndividualParameters(session.individualPkParams);
+        }
+        if (this.tciController && session.tciTarget !== null) {
+            this.tciController.setTarget(session.tciTarget);
+        }
+
+        const restoreEvent = event => ({ ...event, timestamp: new Date(event.timestamp) });
+        this.doseEvents = session.doseEvents.map(restoreEvent);
+        this.doseEvents.forEach(event => {
+            if (event.type === 'bolus') event.applied = false;
+        });
+        if (this.remifentanil) {
+            this.remifentanil.doseEvents = (session.remifentanilEvents || []).map(restoreEvent);
+            const lastInfusion = this.remifentanil.doseEvents.filter(event => event.type === 'infusion').pop();
+            this.remifentanil.infusionDose = lastInfusion ? lastInfusion.infusionDose : 0;
+        }
+        this.snapshots = (session.snapshots || []).map(snapshot => ({ ...snapshot, timestamp: new Date(snapshot.timestamp) }));
+        this.clinicalEvents = (session.clinicalEvents || []).map(event => ({ ...event, timestamp: new Date(event.timestamp) }));
+
+        const running = session.status === 'running';
+        const elapsedSeconds = EngineDeps.SessionStore.getElapsedSeconds(session, now);
+        // 再計算中はTCIの制御を行わない（記録済みの投与速度を用いる）
+        this.nextControlTime = running ? elapsedSeconds / 60.0 : Infinity;
+        if (this.analyticalEngine) {
+            this.rebuildFromDoseEvents(elapsedSeconds, session.clock.elapsedSeconds);
+        } else {
+            this.applyPendingBoluses(0);
+            this.recordHistory();
+            this.advanceElapsedTo(elapsedSeconds);
+        }
+        this.commandedRate = this.getCurrentInfusionRate();
+        if (this.tciController) this.resetTCIPerformance(this.lastSolveTime);
+
+        if (this.clock) {
+            this.clock.startAt(elapsedSeconds);
+            this.clock.setSpeed(session.clock.speed || 1);
+            if (session.clock.paused) this.clock.pause();
+        }
+        this.isRunning = running;
+        if (running) this.startTimer();
+        console.log('Session restored:', session.id, 'at', this.getElapsedTimeString(), running ? '(running)' : '(stopped)');
+        return true;
+    }
+
+    /**
+     * 投与履歴から濃度履歴と elapsedSeconds 時点の状態を解析解で求める（開き直すとき）
+     * 保存時点（recordedSeconds）までは実行中と同じ刻み、閉じていた間は粗い刻みで履歴を作る。
+     * 閉じていた時間の長さ・倍速によらず、計算量は投与イベント数と履歴の点数に比例する。
+     */
+    rebuildFromDoseEvents(elapsedSeconds, recordedSeconds) {
+        const tick = this.clock ? this.clock.options.tickSeconds : 1;
+        const { restoreStepSeconds, maxRestorePoints } = EngineDeps.SESSION_STORE_DEFAULTS;
+        const recordedEnd = Math.min(recordedSeconds, elapsedSeconds);
+        const gapStep = Math.max(restoreStepSeconds, (elapsedSeconds - recordedEnd) / maxRestorePoints);
+        const seconds = [];
+        for (let i = 0; i * tick < recordedEnd; i++) seconds.push(i * tick);
+        for (let i = 0; recordedEnd + i * gapStep < elapsedSeconds; i++) seconds.push(recordedEnd + i * gapStep);
+        seconds.push(elapsedSeconds);
+
+        const times = seconds.map(value => value / 60.0);
+        const points = this.analyticalEngine.simulateEvents(this.doseEvents, times);
+        const infusions = this.doseEvents
+            .filter(event => event.type === 'infusion')
+            .sort((a, b) => a.time - b.time);
+        let infusionIndex = 0;
+        let rate = 0;
+        this.history = points.map((point, i) => {
+            while (infusionIndex < infusions.length && infusions[infusionIndex].time <= times[i]) {
+                rate = infusions[infusionIndex++].rate;
+            }
+            return { time: times[i], cp: point.cp, ce: point.ce, a1: point.a1, a2: point.a2, a3: point.a3, rate };
+        });
+
+        const last = points[points.length - 1];
+        this.state = { a1: last.a1, a2: last.a2, a3: last.a3, ce: last.ce };
+        this.elapsedTime = elapsedSeconds;
+        this.lastSolveTime = elapsedSeconds / 60.0;
+        this.doseEvents.forEach(event => {
+            if (event.type === 'bolus' && event.time <= this.lastSolveTime) event.applied = true;
+        });
+    }
+
+    // 選択中のPKモデルによるパラメータ（レジストリがなければ Masui 2022）
+    calculatePKParameters(patient) {
+        if (!EngineDeps.PKModelRegistry || !this.pkModelId) {
+            return PKCalculator.calculatePKParameters(patient);
+        }
+        return EngineDeps.PKModelRegistry.calculate(this.pkModelId, patient);
+    }
+
+    isRegisteredPKModel(modelId) {
+        return Boolean(EngineDeps.PKModelRegistry)
+            && EngineDeps.PKModelRegistry.list().some(model => model.id === modelId);
+    }
+
+    // 実行中は変更しない（次回のスタートから適用）
+    setPKModel(modelId) {
+        if (this.isRunning) return false;
+        EngineDeps.PKModelRegistry.get(modelId);
+        this.pkModelId = modelId;
+        console.log('PK model:', modelId);
+        return true;
+    }
+
+    stop() {
+        this.isRunning = false;
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+        console.log('Simulation stopped');
+    }
+
+    createAnalyticalEngine() {
+        if (!EngineDeps.AnalyticalPKEngine) return null;
+        try {
+            return new EngineDeps.AnalyticalPKEngine(this.pkParams);
+        } catch (error) {
+            console.error('Analytical engine initialization failed:', error);
+            return null;
+        }
+    }
+
+    // 併用レミフェンタニル: 独立した投与イベント列と解析解エンジン（µg, ng/mL）
+    createRemifentanil() {
+        if (!EngineDeps.MintoRemifentanil || !EngineDeps.AnalyticalPKEngine) return null;
+        try {
+            const pkParams = EngineDeps.MintoRemifentanil.calculatePKParameters(this.patient);
+            return {
+                pkParams,
+                engine: new EngineDeps.AnalyticalPKEngine(pkParams),
+                doseEvents: [],
+                infusionDose: 0
+            };
+        } catch (error) {
+            console.error('Remifentanil model initialization failed:', error);
+            return null;
+        }
+    }
+
+    addRemifentanilEvent(event) {
+        if (!this.remifentanil) return null;
+        if (event.type === 'bolus' && !(event.amount > 0)) return null;
+        const doseEvent = { ...event, drug: 'remifentanil', timestamp: new Date() };
+        if (doseEvent.type === 'infusion') {
+            this.remifentanil.infusionDose = doseEvent.infusionDose;
+        }
+        this.remifentanil.doseEvents.push(doseEvent);
+        console.log('Remifentanil event:', doseEvent);
+        return doseEvent;
+    }
+
+    // 実行中のレミフェンタニル追加ボーラス（µg）
+    addRemifentanilBolus(amount) {
+        if (!this.isRunning) return null;
+        return this.addRemifentanilEvent({ time: this.getCurrentTimeMin(), type: 'bolus', amount });
+    }
+
+    // 実行中のレミフェンタニル持続投与量変更（µg/kg/min）
+    setRemifentanilInfusion(infusionDose) {
+        if (!this.isRunning || !this.remifentanil || infusionDose === this.remifentanil.infusionDose) return null;
+        return this.addRemifentanilEvent({
+            time: this.getCurrentTimeMin(),
+            type: 'infusion',
+            rate: infusionDose * this.patient.weight,
+            infusionDose
+        });
+    }
+
+    // 時刻t（分）におけるレミフェンタニル濃度 { cp, ce }（ng/mL）
+    getRemifentanilConcentrations(t = this.lastSolveTime) {
+        if (!this.remifentanil) return { cp: 0, ce: 0 };
+        const result = this.remifentanil.engine.calculateAt(t, this.remifentanil.doseEvents);
+        return { cp: Math.max(0, result.cp), ce: Math.max(0, result.ce) };
+    }
+
+    // 喉頭鏡操作に無反応の確率（%）: レミマゾラムとレミフェンタニルの反応曲面
+    getLaryngoscopyNoResponse() {
+        if (!this.responseSurface) return null;
+        return this.responseSurface.calculate(
+            this.getEffectSiteConcentration(),
+            this.getRemifentanilConcentrations().ce,
+            this.getCe50Shift(this.lastSolveTime)
+        );
+    }
+
+    setCalculationMode(mode) {
+        if (mode === 'analytical' && !this.analyticalEngine && this.pkParams) {
+            this.analyticalEngine = this.createAnalyticalEngine();
+        }
+        this.calculationMode = mode;
+        console.log('Calculation mode:', mode);
+    }
+
+    // mg/kg/hr → mg/min
+    toInfusionRate(continuousDose) {
+        return (continuousDose * this.patient.weight) / 60.0;
+    }
+
+    /**
+     * ポンプで設定できる流量に丸めた投与速度 { rate (mg/min), mlPerHour, limited }
+     * 薬液調製を使わない場合は丸めない
+     */
+    toPumpRate(rate) {
+        if (!this.drugPreparation) return { rate, mlPerHour: null, limited: false };
+        return this.drugPreparation.toPumpRate(rate);
+    }
+
+    // 薬液調製・ポンプ設定の変更（実行中は不可）
+    setDrugPreparation(settings) {
+        if (this.isRunning || !EngineDeps.DrugPreparation) return false;
+        this.drugPreparation = new EngineDeps.DrugPreparation(settings);
+        console.log('Drug preparation:', this.drugPreparation.toJSON());
+        return true;
+    }
+
+    getCurrentTimeMin() {
+        if (!this.startTime) return 0;
+        return this.clock ? this.clock.getElapsedSeconds() / 60 : (new Date() - this.startTime) / 60000;
+    }
+
+    // 実行前に時計を差し替える（スクリプト実行では ManualClock）
+    setClock(clock) {
+        if (this.isRunning) return false;
+        this.clock = clock;
+        return true;
+    }
+
+    pause() {
+        if (!this.isRunning || !this.clock) return;
+        this.updateSimulation();
+        this.clock.pause();
+        console.log('Simulation paused at', this.getElapsedTimeString());
+    }
+
+    resume() {
+        if (!this.isRunning || !this.clock) return;
+        this.clock.resume();
+        console.log('Simulation resumed');
+    }
+
+    isPaused() {
+        return !!(this.clock && this.clock.paused);
+    }
+
+    setSpeed(speed) {
+        if (!this.clock) return;
+        this.updateSimulation();
+        this.clock.setSpeed(speed);
+        console.log('Simulation speed: x' + speed);
+    }
+
+    getSpeed() {
+        return this.clock ? this.clock.speed : 1;
+    }
+
+    addDoseEvent(event) {
+        const doseEvent = { ...event, timestamp: new Date() };
+        if (doseEvent.type === 'bolus') {
+            doseEvent.applied = false;
+        }
+        this.doseEvents.push(doseEvent);
+        console.log('Dose event:', doseEvent);
+        return doseEvent;
+    }
+
+    // 実行中の追加ボーラス（mg）
+    addBolus(amount) {
+        if (!this.isRunning || !(amount > 0)) return null;
+        return this.addDoseEvent({ time: this.getCurrentTimeMin(), type: 'bolus', amount });
+    }
+
+    // 拮抗薬フルマゼニルの投与（mg）
+    addFlumazenil(amount) {
+        if (!this.isRunning || !this.flumazenil || !(amount > 0)) return null;
+        return this.addDoseEvent({ time: this.getCurrentTimeMin(), type: 'flumazenil', amount });
+    }
+
+    // 手動の持続投与（mg/kg/hr）。投与速度はポンプの流量刻み・最大流量に合わせる
+    addManualInfusion(time, continuousDose) {
+        const pump = this.toPumpRate(this.toInfusionRate(continuousDose));
+        return this.addDoseEvent({
+            time,
+            type: 'infusion',
+            rate: pump.rate,
+            continuousDose,
+            mlPerHour: pump.mlPerHour,
+            pumpLimited: pump.limited
+        });
+    }
+
+    // 実行中の持続投与量変更（mg/kg/hr）
+    setContinuousDose(continuousDose) {
+        if (!this.isRunning || continuousDose === this.continuousDose) return null;
+        this.continuousDose = continuousDose;
+        return this.addManualInfusion(this.getCurrentTimeMin(), continuousDose);
+    }
+
+    // TCI目標濃度の変更（実行中も可）
+    setTCITarget(target) {
+        if (!this.tciController) return;
+        this.tciController.setTarget(target);
+        this.resetTCIPerformance(this.lastSolveTime);
+        console.log('TCI target:', target);
+    }
+
+    // TCIで制御対象とする濃度（血漿TCIはCp、効果部位TCIはCe）
+    getTCIControlledConcentration() {
+        return this.dosingMode === 'tci-plasma' ? this.getPlasmaConcentration() : this.getEffectSiteConcentration();
+    }
+
+    // 目標変更時点からのオーバーシュート・アンダーシュートを記録し直す
+    resetTCIPerformance(time) {
+        this.tciPerformance = {
+            target: this.tciController.target,
+            since: time,
+            maxOvershoot: 0,
+            maxUndershoot: 0,
+            reachedAt: null,
+            limitedTime: 0
+        };
+    }
+
+    updateTCIPerformance(time) {
+        const performance = this.tciPerformance;
+        const deviation = this.getTCIControlledConcentration() - performance.target;
+        const tolerance = Math.max(0.02 * performance.target, 1e-3);
+
+        if (performance.reachedAt === null && Math.abs(deviation) <= tolerance) {
+            performance.reachedAt = time;
+        }
+        performance.maxOvershoot = Math.max(performance.maxOvershoot, deviation);
+        // 到達後に目標を下回った量をアンダーシュートとする
+        if (performance.reachedAt !== null) {
+            performance.maxUndershoot = Math.min(performance.maxUndershoot, deviation);
+        }
+        performance.current = deviation;
+    }
+
+    getTCITarget() {
+        return this.tciController ? this.tciController.target : null;
+    }
+
+    // 制御時刻における投与速度をTCIコントローラで決定し投与イベントとして記録
+    updateTCIRate(time) {
+        this.updateTCIPerformance(time);
+        // 最大流量はコントローラが制限し、ここではポンプの流量刻みに丸める
+        const pump = this.toPumpRate(this.tciController.computeRate(this.state));
+        this.commandedRate = pump.rate;
+        if (this.tciController.rateLimited) {
+            this.tciPerformance.limitedTime += this.tciController.options.controlInterval;
+        }
+        if (Math.abs(pump.rate - this.getInfusionRateAt(time)) > 1e-9) {
+            this.addDoseEvent({ time, type: 'infusion', rate: pump.rate, mlPerHour: pump.mlPerHour, source: 'tci' });
+        }
+    }
+
+    // 現在の投与速度（mg/min）
+    getCurrentInfusionRate() {
+        return this.getInfusionRateAt(this.lastSolveTime);
+    }
+
+    // 時刻t（分）における持続投与速度（mg/min）
+    getInfusionRateAt(t) {
+        let rate = 0;
+        for (const event of this.doseEvents) {
+            if (event.type === 'infusion' && event.time <= t) {
+                rate = event.rate;
+            }
+        }
+        return rate;
+    }
+
+    // 時刻t（分）までの未投与ボーラスを中心コンパートメントに加える
+    applyPendingBoluses(t) {
+        for (const event of this.doseEvents) {
+            if (event.type === 'bolus' && !event.applied && event.time <= t) {
+                this.state.a1 += event.amount;
+                event.applied = true;
+            }
+        }
+    }
+
+    /**
+     * 現在の状態から分岐する仮想シナリオの予測（実行中の状態は変更しない）
+     * @param {Object} options - ForecastCalculator のオプション { horizon, bolusAmount, thresholdCe }
+     */
+    getForecasts(options = {}) {
+        if (!this.isRunning || !this.analyticalEngine || !EngineDeps.ForecastCalculator) {
+            return [];
+        }
+        const calculator = new EngineDeps.ForecastCalculator(this.analyticalEngine, options);
+        return calculator.projectAll(this.getProjectionState(), this.getCurrentInfusionRate(), this.lastSolveTime);
+    }
+
+    /**
+     * 現在の投与速度を維持した場合の予測（グラフの投影用）
+     * @param {number} horizon - 予測区間（分）
+     */
+    getProjection(horizon = EngineDeps.FORECAST_DEFAULTS.horizon) {
+        if (!this.isRunning || !this.analyticalEngine || !EngineDeps.ForecastCalculator) {
+            return [];
+        }
+        const calculator = new EngineDeps.ForecastCalculator(this.analyticalEngine, { horizon });
+        const scenario = EngineDeps.FORECAST_SCENARIOS.find(item => item.id === 'continue');
+        return calculator.project(this.getProjectionState(), this.getCurrentInfusionRate(), scenario, this.lastSolveTime).points;
+    }
+
+    // 事前分布に用いる母集団パラメータ
+    getPopulationPkParams() {
+        return this.populationPkParams || this.pkParams;
+    }
+
+    /**
+     * ベイズ推定で得た個別パラメータに切り替えて計算を継続する
+     * 現在までの投与を新しいパラメータで再計算した状態から進める
+     */
+    applyIndividualParameters(pkParams) {
+        if (!this.pkParams) return;
+        this.populationPkParams = this.getPopulationPkParams();
+        // ke0 は血漿濃度の実測値からは推定できないため、個別化しても母集団の値と算出方法を引き継ぐ
+        const { ke0, ke0Method } = this.populationPkParams;
+        this.pkParams = { ...pkParams, ke0, ke0Method };
+        this.analyticalEngine = this.createAnalyticalEngine();
+
+        if (this.analyticalEngine) {
+            const result = this.analyticalEngine.calculateAt(this.lastSolveTime, this.doseEvents);
+            this.state = {
+                a1: Math.max(0, result.a1),
+                a2: Math.max(0, result.a2),
+                a3: Math.max(0, result.a3),
+                ce: Math.max(0, result.ce)
+            };
+        }
+        if (this.tciController && this.analyticalEngine) {
+            const ControllerClass = this.tciController.constructor;
+            this.tciController = new ControllerClass(
+                this.analyticalEngine, this.tciController.target, this.tciController.options
+            );
+        }
+        console.log('Individualized PK parameters:', this.pkParams);
+    }
+
+    // 母集団シミュレーション用のレミマゾラム投与イベント（ボーラス・持続投与）
+    getRegimenEvents() {
+        return this.doseEvents
+            .filter(event => event.type === 'bolus' || event.type === 'infusion')
+            .map(({ time, type, amount, rate }) => ({ time, type, amount, rate }));
+    }
+
+    /**
+     * 閾値到達の予測（時刻は開始からの分、到達しない場合は null）
+     * @param {Object} levels - { lossOfConsciousnessCe, awakeningCe }
+     */
+    getThresholdPredictions(levels) {
+        if (!this.isRunning || !this.analyticalEngine || !EngineDeps.ForecastCalculator) {
+            return null;
+        }
+        const calculator = new EngineDeps.ForecastCalculator(this.analyticalEngine);
+        const predictions = calculator.predictThresholds(
+            this.getProjectionState(), this.getCurrentInfusionRate(), levels
+        );
+        Object.values(predictions).forEach(prediction => {
+            prediction.computedAt = this.lastSolveTime;
+            prediction.at = prediction.time === null ? null : this.lastSolveTime + prediction.time;
+        });
+        return predictions;
+    }
+
+    // 予測の起点: 現在の状態の複製に、次の更新で加わる未投与ボーラスを含める
+    getProjectionState() {
+        const state = { ...this.state };
+        for (const event of this.doseEvents) {
+            if (event.type === 'bolus' && !event.applied) {
+                state.a1 += event.amount;
+            }
+        }
+        return state;
+    }
+
+    takeSnapshot() {
+        if (!this.isRunning) return;
+
+        const snapshot = {
+            timestamp: new Date(),
+            elapsedTime: this.elapsedTime,
+            time: this.lastSolveTime,
+            plasmaConcentration: this.getPlasmaConcentration(),
+            effectSiteConcentration: this.getEffectSiteConcentration()
+        };
+        this.snapshots.unshift(snapshot);
+        console.log('Snapshot taken:', snapshot);
+    }
+
+    /**
+     * 臨床イベントを現在の時刻・Cp・Ce とともに記録
+     * @param {string} typeId - CLINICAL_EVENT_TYPES の id
+     * @param {string} text - typeId が 'custom' の場合の内容
+     */
+    addClinicalEvent(typeId, text = '') {
+        if (!this.isRunning || !EngineDeps.ClinicalEvents) return null;
+        const event = EngineDeps.ClinicalEvents.create(typeId, text, {
+            time: this.lastSolveTime,
+            cp: this.getPlasmaConcentration(),
+            ce: this.getEffectSiteConcentration()
+        });
+        this.clinicalEvents.push(event);
+        console.log('Clinical event:', event);
+        return event;
+    }
+
+    // 誤って記録したイベントの取り消し
+    removeClinicalEvent(index) {
+        this.clinicalEvents.splice(index, 1);
+    }
+
+    updateSimulation() {
+        if (!this.isRunning || !this.startTime) return;
+
+        if (!this.clock) {
+            this.elapsedTime = (new Date() - this.startTime) / 1000;
+            this.advanceTo(this.elapsedTime / 60.0);
+            this.recordHistory();
+            return;
+        }
+
+        this.advanceElapsedTo(this.clock.getElapsedSeconds());
+    }
+
+    // 早送りで時計が大きく進んでも内部刻み（既定1秒）ごとに計算する
+    advanceElapsedTo(targetSeconds) {
+        const tick = this.clock ? this.clock.options.tickSeconds : 1;
+        while (this.elapsedTime < targetSeconds) {
+            this.elapsedTime = Math.min(targetSeconds, this.elapsedTime + tick);
+            this.advanceTo(this.elapsedTime / 60.0);
+            this.recordHistory();
+        }
+    }
+
+    // 現在の状態を濃度履歴に追加（時刻は分、投与速度は mg/min、method は Ce の計算法）
+    recordHistory() {
+        this.history.push({
+            time: this.lastSolveTime,
+            cp: this.getPlasmaConcentration(),
+            ce: this.getEffectSiteConcentration(),
+            a1: this.state.a1,
+            a2: this.state.a2,
+            a3: this.state.a3,
+            rate: this.getCurrentInfusionRate(),
+            method: this.getEffectSiteMethod()
+        });
+    }
+
+    /**
+     * 履歴をおよそ maxPoints 点まで間引く（グラフ描画用）
+     * 等間隔に区切った区間ごとに最初の点と Cp・Ce の最大・最小の点を残すため、
+     * ボーラス直後のピークは落ちない。最新点は必ず含める
+     */
+    static thinHistory(points, maxPoints) {
+        const keysPerBucket = 5;
+        const bucketCount = Math.max(1, Math.floor(maxPoints / keysPerBucket));
+        const size = Math.ceil(points.length / bucketCount);
+        if (points.length <= maxPoints || size <= 1) return points;
+
+        const thinned = [];
+        for (let start = 0; start < points.length; start += size) {
+            const bucket = points.slice(start, start + size);
+            const pick = (key, better) => bucket.reduce((best, point) => (better(point[key], best[key]) ? point : best));
+            const kept = new Set([
+                bucket[0],
+                pick('cp', (a, b) => a > b), pick('ce', (a, b) => a > b),
+                pick('cp', (a, b) => a < b), pick('ce', (a, b) => a < b)
+            ]);
+            thinned.push(...bucket.filter(point => kept.has(point)));
+        }
+        if (thinned[thinned.length - 1] !== points[points.length - 1]) {
+            thinned.push(points[points.length - 1]);
+        }
+        return thinned;
+    }
+
+    // 時刻targetTime（分）まで進める。TCIでは制御時刻ごとに投与速度を更新
+    advanceTo(targetTime) {
+        while (this.tciController && this.nextControlTime <= targetTime) {
+            this.integrateTo(this.nextControlTime);
+            this.updateTCIRate(this.nextControlTime);
+            this.nextControlTime += this.tciController.options.controlInterval;
+        }
+        this.integrateTo(targetTime);
+    }
+
+    integrateTo(currentTimeMin) {
+        if (this.calculationMode === 'analytical' && this.analyticalEngine) {
+            this.updateSimulationAnalytical(currentTimeMin);
+            return;
+        }
+
+        if (currentTimeMin <= this.lastSolveTime) return;
+
+        try {
+            // 前回の計算時刻に追加されたボーラスはその時刻から反映する
+            this.applyPendingBoluses(this.lastSolveTime);
+            // 投与イベントの時刻で区間を分割して積分する
+            const breakpoints = [...new Set(this.doseEvents
+                .map(event => event.time)
+                .filter(time => time > this.lastSolveTime && time < currentTimeMin))]
+                .sort((a, b) => a - b);
+
+            for (const segmentEnd of [...breakpoints, currentTimeMin]) {
+                this.solveSegment(this.lastSolveTime, segmentEnd);
+                this.applyPendingBoluses(segmentEnd);
+            }
+        } catch (error) {
+            console.error('ODE solver error:', error);
+            // Fallback to simple Euler method
+            this.updateSimulationEuler();
+        }
+    }
+
+    // 投与速度一定の区間[t0, t1]をODEで積分
+    solveSegment(t0, t1) {
+        // Define ODE system
+        const odeSystem = (t, y, params) => {
+            const [a1, a2, a3, ce] = y;
+            const { k10, k12, k21, k13, k31, ke0, v1 } = params.pkParams;
+            
+            // Continuous infusion rate (mg/min)
+            const continuousRate = params.infusionRate;
+            
+            // PK compartment equations
+            const da1_dt = continuousRate - k10 * a1 - k12 * a1 + k21 * a2 - k13 * a1 + k31 * a3;
+            const da2_dt = k12 * a1 - k21 * a2;
+            const da3_dt = k13 * a1 - k31 * a3;
+            
+            // Effect site equation
+            const plasmaConc = a1 / v1;
+            const dce_dt = ke0 * (plasmaConc - ce);
+            
+            return [da1_dt, da2_dt, da3_dt, dce_dt];
+        };
+
+        const y0 = [this.state.a1, this.state.a2, this.state.a3, this.state.ce];
+        const params = {
+            pkParams: this.pkParams,
+            patient: this.patient,
+            infusionRate: this.getInfusionRateAt(t0)
+        };
+        const cpPrev = this.getPlasmaConcentration();
+        const cePrev = this.state.ce;
+        let solution;
+        
+        if (useExternalDeSolve) {
+            // Use deSolve library
+            const times = [t0, t1];
+            solution = this.solver.ode(odeSystem, y0, times, this.solverMethod, params);
+        } else {
+            // Use fallback solver
+            const tspan = [t0, t1];
+            solution = this.solver.solve(odeSystem, y0, tspan, params);
+        }
+        
+        if (solution && solution.y && solution.y.length > 1) {
+            const finalY = solution.y[solution.y.length - 1];
+            this.state.a1 = Math.max(0, finalY[0]);
+            this.state.a2 = Math.max(0, finalY[1]);
+            this.state.a3 = Math.max(0, finalY[2]);
+            this.state.ce = this.useVHAC()
+                ? this.stepEffectSiteVHAC(cePrev, cpPrev, t1 - t0)
+                : Math.max(0, finalY[3]);
+            
+            this.lastSolveTime = t1;
+            this.solutionCache = solution;
+        }
+    }
+
+    updateSimulationAnalytical(currentTimeMin) {
+        // 投与履歴の重ね合わせによる厳密解（時間刻みに依存しない）
+        const result = this.analyticalEngine.calculateAt(currentTimeMin, this.doseEvents);
+        this.doseEvents.forEach(event => {
+            if (event.type === 'bolus' && event.time <= currentTimeMin) {
+                event.applied = true;
+            }
+        });
+        this.state.a1 = Math.max(0, result.a1);
+        this.state.a2 = Math.max(0, result.a2);
+        this.state.a3 = Math.max(0, result.a3);
+        this.state.ce = Math.max(0, result.ce);
+        this.lastSolveTime = currentTimeMin;
+    }
+
+    useVHAC() {
+        return this.effectSiteMethod === 'vhac' && this.vhac !== null;
+    }
+
+    // 区間[t-dt, t]の血漿濃度変化からVHAC法で効果部位濃度を求める
+    stepEffectSiteVHAC(cePrev, cpPrev, dt) {
+        const result = this.vhac.step(cePrev, cpPrev, this.getPlasmaConcentration(), dt);
+        return Math.max(0, result.ce);
+    }
+
+    getEffectSiteMethod() {
+        if (this.calculationMode === 'analytical' && this.analyticalEngine) {
+            return 'analytical';
+        }
+        return this.useVHAC() ? this.vhac.getLastMethod() : 'ode';
+    }
+
+    // ODE解と解析解の差（クロスチェック用）
+    getAnalyticalDeviation() {
+        if (!this.analyticalEngine || !this.pkParams) return null;
+
+        const exact = this.analyticalEngine.calculateAt(this.lastSolveTime, this.doseEvents);
+        return {
+            time: this.lastSolveTime,
+            plasma: this.getPlasmaConcentration() - exact.cp,
+            effectSite: this.getEffectSiteConcentration() - exact.ce
+        };
+    }
+
+    updateSimulationEuler() {
+        const dt = 1.0; // 1 second time step
+        const continuousRate = this.getInfusionRateAt(this.lastSolveTime);
+        const { k10, k12, k21, k13, k31, ke0 } = this.pkParams;
+        const cpPrev = this.getPlasmaConcentration();
+
+        const da1_dt = continuousRate - k10 * this.state.a1 - k12 * this.state.a1 + 
+                       k21 * this.state.a2 - k13 * this.state.a1 + k31 * this.state.a3;
+        const da2_dt = k12 * this.state.a1 - k21 * this.state.a2;
+        const da3_dt = k13 * this.state.a1 - k31 * this.state.a3;
+
+        this.state.a1 += (dt / 60.0) * da1_dt;
+        this.state.a2 += (dt / 60.0) * da2_dt;
+        this.state.a3 += (dt / 60.0) * da3_dt;
+
+        if (this.useVHAC()) {
+            this.state.ce = this.stepEffectSiteVHAC(this.state.ce, cpPrev, dt / 60.0);
+        } else {
+            const plasmaConc = this.getPlasmaConcentration();
+            const dce_dt = ke0 * (plasmaConc - this.state.ce);
+            this.state.ce += (dt / 60.0) * dce_dt;
+        }
+
+        this.state.a1 = Math.max(0, this.state.a1);
+        this.state.a2 = Math.max(0, this.state.a2);
+        this.state.a3 = Math.max(0, this.state.a3);
+        this.state.ce = Math.max(0, this.state.ce);
+        this.lastSolveTime = this.elapsedTime / 60.0;
+        this.applyPendingBoluses(this.lastSolveTime);
+    }
+
+    getPlasmaConcentration() {
+        return this.state.a1 / this.pkParams.v1;
+    }
+
+    // 現在のCeに対する臨床効果 { loc: %, moaas, bis }（フルマゼニルの拮抗を含む）
+    getPDEffects() {
+        if (!this.pdCalculator) return {};
+        return this.pdCalculator.evaluate(this.getEffectSiteConcentration(), this.getCe50Shift(this.lastSolveTime));
+    }
+
+    /**
+     * フルマゼニルのパラメータを変更する
+     * 実行中はモデルを作り直し、投与済みのフルマゼニルにも新しい値を適用する
+     */
+    setFlumazenilParameter(key, value) {
+        if (!this.flumazenilParams || !EngineDeps.FlumazenilModel.isValidParameter(key, value)) return false;
+        this.flumazenilParams = { ...this.flumazenilParams, [key]: value };
+        if (this.flumazenil) {
+            this.flumazenil = new EngineDeps.FlumazenilModel(this.patient.weight, this.flumazenilParams);
+        }
+        return true;
+    }
+
+    // 時刻t（分）におけるフルマゼニル濃度 { cp, ce }（ng/mL）
+    getFlumazenilConcentrations(t = this.lastSolveTime) {
+        if (!this.flumazenil) return { cp: 0, ce: 0 };
+        return this.flumazenil.calculateAt(t, this.doseEvents);
+    }
+
+    getCe50Shift(t) {
+        if (!this.flumazenil) return 1;
+        return this.flumazenil.getCe50Shift(this.getFlumazenilConcentrations(t).ce);
+    }
+
+    /**
+     * フルマゼニルの効果消失に伴う再鎮静リスク
+     * 現在の投与を続けた場合のレミマゾラムCeと、減衰するフルマゼニルCeから
+     * horizon 分以内の意識消失確率の推移を予測する
+     */
+    getResedationRisk(horizon = 60) {
+        if (!this.isRunning || !this.flumazenil || !this.flumazenil.hasDoses(this.doseEvents)
+            || !this.pdCalculator || !this.analyticalEngine || !EngineDeps.ForecastCalculator) {
+            return null;
+        }
+
+        const calculator = new EngineDeps.ForecastCalculator(this.analyticalEngine, { horizon, step: 0.5 });
+        const projection = calculator.project(
+            this.getProjectionState(), this.getCurrentInfusionRate(), { id: 'continue', rateMultiplier: 1 }, this.lastSolveTime
+        );
+        const probabilities = projection.points.map(point => ({
+            time: point.time,
+            probability: this.pdCalculator.evaluateModel('loc', point.ce, this.getCe50Shift(point.time))
+        }));
+
+        const current = probabilities[0];
+        const peak = probabilities.reduce((max, p) => (p.probability > max.probability ? p : max), current);
+        return {
+            flumazenilCe: this.getFlumazenilConcentrations().ce,
+            ce50Shift: this.getCe50Shift(this.lastSolveTime),
+            currentProbability: current.probability,
+            peakProbability: peak.probability,
+            timeToPeak: peak.time - current.time,
+            // 拮抗が切れて意識消失確率が50%以上に戻る場合
+            atRisk: peak.probability >= 50 && current.probability < 50
+        };
+    }
+
+    getEffectSiteConcentration() {
+        return this.state.ce;
+    }
+
+    getElapsedTimeString() {
+        const hours = Math.floor(this.elapsedTime / 3600);
+        const minutes = Math.floor((this.elapsedTime % 3600) / 60);
+        const seconds = Math.floor(this.elapsedTime % 60);
+        return `${hours.toString().padStart(2, '0')}:${minutes.toString().padStart(2, '0')}:${seconds.toString().padStart(2, '0')}`;
+    }
+
+    getIntegrationMethod() {
+        if (this.calculationMode === 'analytical' && this.analyticalEngine) {
+            return 'Analytical (tri-exponential)';
+        }
+        if (useExternalDeSolve) {
+            return `deSolve (${this.solverMethod.toUpperCase()})`;
+        } else {
+            return `deSolve-fallback (${this.solver.method.toUpperCase()})`;
+        }
+    }
+
+    getIntegrationStats() {
+        return this.solutionCache?.stats || { steps: 0, rejections: 0 };
+    }
+}
+
+// Export for use in other modules
+if (typeof window !== 'undefined') {
+    window.Patient = Patient;
+    window.PKCalculator = PKCalculator;
+    window.EnhancedSimulationEngine = EnhancedSimulationEngine;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { Patient, PKCalculator, SimpleDeSolveODE, EnhancedSimulationEngine };
+}
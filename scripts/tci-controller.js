@@ -0,0 +1,163 @@
+/**
+ * TCI Controller - 標的濃度調節持続静注
+ *
+ * 目標濃度に到達・維持するための投与速度を、制御間隔ごとに
+ * AnalyticalPKEngine の厳密な状態遷移で予測して決定する。
+ *
+ * 効果部位TCI（Shafer & Gregg 1992 の方式）:
+ * 1. 現在の状態から投与を止めた場合の Ce 推移（自由減衰）を予測
+ * 2. 制御間隔だけ単位速度で投与した場合の Ce 応答を予測
+ * 3. 両者の和の最大値が目標値と一致する投与速度を反復計算
+ *
+ * 血漿TCI:
+ * 制御間隔の終了時点で Cp（a1/V1）が目標値となる投与速度を求める。
+ *
+ * いずれもシリンジポンプの最大流量（DrugPreparation で mg/min に換算した maxRate）で投与速度を制限する。
+ * 初回の大きな投与速度がボーラスに相当する。時間の単位は分、投与速度は mg/min。
+ */
+
+const TCI_DEFAULTS = {
+    controlInterval: 10 / 60,   // 制御間隔（分）: 10秒
+    predictionHorizon: 15,      // 予測区間（分）
+    predictionStep: 5 / 60,     // 予測刻み（分）: 5秒
+    maxRate: Infinity,          // 最大投与速度（mg/min）
+    maxIterations: 20
+};
+
+class TCIController {
+    /**
+     * @param {AnalyticalPKEngine} engine - 患者個別パラメータの解析解エンジン
+     * @param {number} target - 目標濃度（µg/mL）
+     */
+    constructor(engine, target = 0, options = {}) {
+        this.engine = engine;
+        this.target = target;
+        this.options = { ...TCI_DEFAULTS, ...options };
+        this.rateLimited = false;
+    }
+
+    setTarget(target) {
+        this.target = Math.max(0, target);
+    }
+
+    setMaxRate(maxRate) {
+        this.options.maxRate = maxRate;
+    }
+
+    // 0〜最大投与速度に制限し、上限に達したかを記録
+    limitRate(rate) {
+        const positive = Math.max(0, rate);
+        this.rateLimited = positive > this.options.maxRate;
+        return Math.min(this.options.maxRate, positive);
+    }
+}
+
+class EffectSiteTCIController extends TCIController {
+    constructor(engine, target = 0, options = {}) {
+        super(engine, target, options);
+        this.unitResponse = this.predictUnitResponse();
+    }
+
+    /**
+     * 予測時刻列（分）
+     */
+    getPredictionTimes() {
+        const { predictionHorizon, predictionStep } = this.options;
+        const steps = Math.round(predictionHorizon / predictionStep);
+        return Array.from({ length: steps }, (_, i) => (i + 1) * predictionStep);
+    }
+
+    /**
+     * 状態 state から投与速度 rate で duration 分投与し、その後停止した場合の Ce 推移
+     */
+    predictEffectSite(state, rate, duration) {
+        const { predictionStep } = this.options;
+        const times = this.getPredictionTimes();
+        const values = [];
+        let current = state;
+
+        for (const t of times) {
+            const stepRate = t <= duration + 1e-9 ? rate : 0;
+            current = this.engine.advance(current, stepRate, predictionStep);
+            values.push(current.ce);
+        }
+        return values;
+    }
+
+    /**
+     * 空の状態から単位速度（1 mg/min）で制御間隔だけ投与した場合の Ce 応答
+     */
+    predictUnitResponse() {
+        const empty = { a1: 0, a2: 0, a3: 0, ce: 0 };
+        return this.predictEffectSite(empty, 1, this.options.controlInterval);
+    }
+
+    static argMax(values) {
+        let index = 0;
+        for (let i = 1; i < values.length; i++) {
+            if (values[i] > values[index]) index = i;
+        }
+        return index;
+    }
+
+    /**
+     * 現在の状態に対する次の制御間隔の投与速度（mg/min）
+     */
+    computeRate(state) {
+        this.rateLimited = false;
+        if (this.target <= 0) return 0;
+
+        const free = this.predictEffectSite(state, 0, 0);
+        const unit = this.unitResponse;
+
+        // 投与しなくても目標に達する場合は停止
+        if (Math.max(state.ce, ...free) >= this.target) return 0;
+
+        let peakIndex = EffectSiteTCIController.argMax(unit);
+        let rate = 0;
+
+        for (let i = 0; i < this.options.maxIterations; i++) {
+            rate = (this.target - free[peakIndex]) / unit[peakIndex];
+            const combined = free.map((value, k) => value + rate * unit[k]);
+            const nextPeakIndex = EffectSiteTCIController.argMax(combined);
+            if (nextPeakIndex === peakIndex) break;
+            peakIndex = nextPeakIndex;
+        }
+
+        return this.limitRate(rate);
+    }
+}
+
+class PlasmaTCIController extends TCIController {
+    constructor(engine, target = 0, options = {}) {
+        super(engine, target, options);
+        const empty = { a1: 0, a2: 0, a3: 0, ce: 0 };
+        this.unitAmount = engine.advance(empty, 1, this.options.controlInterval).a1;
+    }
+
+    /**
+     * 制御間隔の終了時点で Cp が目標値となる投与速度（mg/min）
+     */
+    computeRate(state) {
+        this.rateLimited = false;
+        if (this.target <= 0) return 0;
+
+        const free = this.engine.advance(state, 0, this.options.controlInterval);
+        const targetAmount = this.target * this.engine.pkParams.v1;
+        return this.limitRate((targetAmount - free.a1) / this.unitAmount);
+    }
+}
+
+// Export for use in other modules
+if (typeof window !== 'undefined') {
+    window.TCIController = TCIController;
+    window.EffectSiteTCIController = EffectSiteTCIController;
+    window.PlasmaTCIController = PlasmaTCIController;
+    window.TCI_DEFAULTS = TCI_DEFAULTS;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        TCIController, EffectSiteTCIController, PlasmaTCIController, TCI_DEFAULTS
+    };
+}
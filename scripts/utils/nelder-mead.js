@@ -0,0 +1,105 @@
+/**
+ * Nelder-Mead - 導関数を用いない多次元最小化（滑降シンプレックス法）
+ *
+ * 標準係数: 反射 1、拡大 2、収縮 0.5、縮小 0.5
+ * 収束判定: シンプレックス各頂点の関数値の幅が tolerance 未満
+ */
+
+const NELDER_MEAD_DEFAULTS = {
+    step: 0.1,              // 初期シンプレックスの各軸方向の幅
+    maxIterations: 2000,
+    tolerance: 1e-8
+};
+
+class NelderMead {
+    /**
+     * @param {Function} f - 目的関数 f(x: number[]) => number
+     * @param {number[]} x0 - 初期値
+     * @returns {Object} { x, fx, iterations, converged }
+     */
+    static minimize(f, x0, options = {}) {
+        const { step, maxIterations, tolerance } = { ...NELDER_MEAD_DEFAULTS, ...options };
+        const n = x0.length;
+        const evaluate = x => {
+            const value = f(x);
+            return Number.isFinite(value) ? value : Infinity;
+        };
+
+        let simplex = [x0.slice()];
+        for (let i = 0; i < n; i++) {
+            const vertex = x0.slice();
+            vertex[i] += step;
+            simplex.push(vertex);
+        }
+        let values = simplex.map(evaluate);
+
+        let iterations = 0;
+        let converged = false;
+        while (iterations < maxIterations) {
+            // 関数値の昇順に並べ替え
+            const order = values.map((value, i) => i).sort((a, b) => values[a] - values[b]);
+            simplex = order.map(i => simplex[i]);
+            values = order.map(i => values[i]);
+
+            if (Math.abs(values[n] - values[0]) < tolerance) {
+                converged = true;
+                break;
+            }
+            iterations++;
+
+            // 最悪点を除いた重心
+            const centroid = new Array(n).fill(0);
+            for (let i = 0; i < n; i++) {
+                for (let j = 0; j < n; j++) {
+                    centroid[j] += simplex[i][j] / n;
+                }
+            }
+            const towards = (point, coefficient) =>
+                centroid.map((c, j) => c + coefficient * (point[j] - c));
+
+            const reflected = towards(simplex[n], -1);
+            const reflectedValue = evaluate(reflected);
+
+            if (reflectedValue < values[0]) {
+                const expanded = towards(simplex[n], -2);
+                const expandedValue = evaluate(expanded);
+                if (expandedValue < reflectedValue) {
+                    simplex[n] = expanded;
+                    values[n] = expandedValue;
+                } else {
+                    simplex[n] = reflected;
+                    values[n] = reflectedValue;
+                }
+            } else if (reflectedValue < values[n - 1]) {
+                simplex[n] = reflected;
+                values[n] = reflectedValue;
+            } else {
+                const contracted = reflectedValue < values[n]
+                    ? towards(simplex[n], -0.5)
+                    : towards(simplex[n], 0.5);
+                const contractedValue = evaluate(contracted);
+                if (contractedValue < Math.min(reflectedValue, values[n])) {
+                    simplex[n] = contracted;
+                    values[n] = contractedValue;
+                } else {
+                    // 最良点に向けて縮小
+                    for (let i = 1; i <= n; i++) {
+                        simplex[i] = simplex[i].map((x, j) => simplex[0][j] + 0.5 * (x - simplex[0][j]));
+                        values[i] = evaluate(simplex[i]);
+                    }
+                }
+            }
+        }
+
+        const best = values.indexOf(Math.min(...values));
+        return { x: simplex[best], fx: values[best], iterations, converged };
+    }
+}
+
+if (typeof window !== 'undefined') {
+    window.NelderMead = NelderMead;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { NelderMead, NELDER_MEAD_DEFAULTS };
+}
@@ -0,0 +1,208 @@
+/**
+ * SVG Plot - 外部ライブラリを使わない簡易折れ線グラフ
+ *
+ * 使用例:
+ *   SVGPlot.render(container, {
+ *       series: [{ label: 'Ce', color: '#764ba2', points: [{ x: 0, y: 0 }, ...] }],
+ *       // 実測値などの点のみの系列は { markers: true, line: false }
+ *       xLabel: '時間 (分)', yLabel: '濃度 (µg/mL)',
+ *       horizontalLines: [{ y: 0.5, label: '判定濃度' }],
+ *       verticalLines: [{ x: 10, label: '現在', row: 0 }]
+ *   });
+ */
+
+const SVG_NS = 'http://www.w3.org/2000/svg';
+
+const SVG_PLOT_DEFAULTS = {
+    width: 600,
+    height: 300,
+    margin: { top: 20, right: 20, bottom: 40, left: 55 },
+    xTicks: 6,
+    yTicks: 5,
+    xLabel: '',
+    yLabel: '',
+    legend: true
+};
+
+class SVGPlot {
+    static createElement(tag, attributes = {}) {
+        const element = document.createElementNS(SVG_NS, tag);
+        Object.entries(attributes).forEach(([key, value]) => element.setAttribute(key, value));
+        return element;
+    }
+
+    /**
+     * 目盛りに適した間隔（1, 2, 5 × 10^n）
+     */
+    static niceStep(range, ticks) {
+        if (!(range > 0)) return 1;
+        const raw = range / ticks;
+        const magnitude = Math.pow(10, Math.floor(Math.log10(raw)));
+        const normalized = raw / magnitude;
+        const nice = normalized <= 1 ? 1 : normalized <= 2 ? 2 : normalized <= 5 ? 5 : 10;
+        return nice * magnitude;
+    }
+
+    static getExtent(series, key, fallback) {
+        const values = series.flatMap(s => s.points.map(p => p[key])).filter(Number.isFinite);
+        if (values.length === 0) return fallback;
+        return [Math.min(...values), Math.max(...values)];
+    }
+
+    /**
+     * container 内の SVG を描き直す
+     * @returns {SVGElement}
+     */
+    static render(container, options = {}) {
+        const settings = { ...SVG_PLOT_DEFAULTS, ...options };
+        const { width, height, margin } = settings;
+        const series = settings.series || [];
+        const plotWidth = width - margin.left - margin.right;
+        const plotHeight = height - margin.top - margin.bottom;
+
+        const [dataXMin, dataXMax] = SVGPlot.getExtent(series, 'x', [0, 1]);
+        const [, dataYMax] = SVGPlot.getExtent(series, 'y', [0, 1]);
+        const xMin = settings.xMin ?? dataXMin;
+        const xMax = Math.max(settings.xMax ?? dataXMax, xMin + 1e-9);
+        const yMin = settings.yMin ?? 0;
+        // 参照線も収まるよう上端を目盛り間隔に切り上げる
+        const upper = Math.max(dataYMax, ...(settings.horizontalLines || []).map(line => line.y));
+        const yStep = SVGPlot.niceStep((settings.yMax ?? upper) - yMin, settings.yTicks);
+        const yMax = settings.yMax ?? (upper > yMin ? yMin + Math.ceil((upper - yMin) / yStep) * yStep : yMin + 1);
+
+        const scaleX = x => margin.left + ((x - xMin) / (xMax - xMin)) * plotWidth;
+        const scaleY = y => margin.top + plotHeight - ((y - yMin) / (yMax - yMin)) * plotHeight;
+
+        const svg = SVGPlot.createElement('svg', {
+            viewBox: `0 0 ${width} ${height}`,
+            class: 'svg-plot',
+            role: 'img'
+        });
+
+        // 目盛りと格子
+        const xStep = SVGPlot.niceStep(xMax - xMin, settings.xTicks);
+        for (let x = Math.ceil(xMin / xStep) * xStep; x <= xMax + 1e-9; x += xStep) {
+            svg.appendChild(SVGPlot.createElement('line', {
+                x1: scaleX(x), x2: scaleX(x), y1: margin.top, y2: margin.top + plotHeight, class: 'svg-plot-grid'
+            }));
+            const label = SVGPlot.createElement('text', {
+                x: scaleX(x), y: margin.top + plotHeight + 16, 'text-anchor': 'middle', class: 'svg-plot-tick'
+            });
+            label.textContent = Number(x.toFixed(6)).toString();
+            svg.appendChild(label);
+        }
+        for (let y = yMin; y <= yMax + 1e-9; y += yStep) {
+            svg.appendChild(SVGPlot.createElement('line', {
+                x1: margin.left, x2: margin.left + plotWidth, y1: scaleY(y), y2: scaleY(y), class: 'svg-plot-grid'
+            }));
+            const label = SVGPlot.createElement('text', {
+                x: margin.left - 6, y: scaleY(y) + 4, 'text-anchor': 'end', class: 'svg-plot-tick'
+            });
+            label.textContent = Number(y.toFixed(6)).toString();
+            svg.appendChild(label);
+        }
+
+        svg.appendChild(SVGPlot.createElement('rect', {
+            x: margin.left, y: margin.top, width: plotWidth, height: plotHeight, class: 'svg-plot-frame'
+        }));
+
+        // 参照線
+        (settings.horizontalLines || []).forEach(line => {
+            if (line.y < yMin || line.y > yMax) return;
+            svg.appendChild(SVGPlot.createElement('line', {
+                x1: margin.left, x2: margin.left + plotWidth, y1: scaleY(line.y), y2: scaleY(line.y),
+                class: 'svg-plot-reference', stroke: line.color || '#999'
+            }));
+            if (line.label) {
+                const text = SVGPlot.createElement('text', {
+                    x: margin.left + plotWidth - 4, y: scaleY(line.y) - 4, 'text-anchor': 'end', class: 'svg-plot-reference-label'
+                });
+                text.textContent = line.label;
+                svg.appendChild(text);
+            }
+        });
+        (settings.verticalLines || []).forEach(line => {
+            if (line.x < xMin || line.x > xMax) return;
+            svg.appendChild(SVGPlot.createElement('line', {
+                x1: scaleX(line.x), x2: scaleX(line.x), y1: margin.top, y2: margin.top + plotHeight,
+                class: 'svg-plot-reference', stroke: line.color || '#999'
+            }));
+            if (line.label) {
+                // row: 近接する縦線のラベルが重ならないよう段をずらす
+                const text = SVGPlot.createElement('text', {
+                    x: scaleX(line.x) + 4, y: margin.top + 12 + (line.row || 0) * 12, class: 'svg-plot-reference-label'
+                });
+                text.textContent = line.label;
+                svg.appendChild(text);
+            }
+        });
+
+        // データ系列
+        series.forEach(s => {
+            const points = s.points.filter(p => Number.isFinite(p.x) && Number.isFinite(p.y));
+            if (points.length === 0) return;
+            if (s.line !== false) {
+                const path = points
+                    .map((p, i) => `${i === 0 ? 'M' : 'L'}${scaleX(p.x).toFixed(1)},${scaleY(Math.min(p.y, yMax)).toFixed(1)}`)
+                    .join(' ');
+                const attributes = { d: path, class: 'svg-plot-line', stroke: s.color || '#333', fill: 'none' };
+                if (s.dashed) attributes['stroke-dasharray'] = '6 4';
+                svg.appendChild(SVGPlot.createElement('path', attributes));
+            }
+            if (s.markers) {
+                points.forEach(p => {
+                    svg.appendChild(SVGPlot.createElement('circle', {
+                        cx: scaleX(p.x), cy: scaleY(Math.min(p.y, yMax)), r: 4, fill: s.color || '#333', class: 'svg-plot-marker'
+                    }));
+                });
+            }
+        });
+
+        // 軸ラベル
+        if (settings.xLabel) {
+            const text = SVGPlot.createElement('text', {
+                x: margin.left + plotWidth / 2, y: height - 6, 'text-anchor': 'middle', class: 'svg-plot-axis-label'
+            });
+            text.textContent = settings.xLabel;
+            svg.appendChild(text);
+        }
+        if (settings.yLabel) {
+            const text = SVGPlot.createElement('text', {
+                x: 14, y: margin.top + plotHeight / 2, 'text-anchor': 'middle', class: 'svg-plot-axis-label',
+                transform: `rotate(-90 14 ${margin.top + plotHeight / 2})`
+            });
+            text.textContent = settings.yLabel;
+            svg.appendChild(text);
+        }
+
+        // 凡例
+        if (settings.legend) {
+            series.filter(s => s.label).forEach((s, i) => {
+                const y = margin.top + 10 + i * 16;
+                const x = margin.left + 10;
+                if (s.line === false) {
+                    svg.appendChild(SVGPlot.createElement('circle', { cx: x + 9, cy: y, r: 4, fill: s.color || '#333' }));
+                } else {
+                    const attributes = { x1: x, x2: x + 18, y1: y, y2: y, stroke: s.color || '#333', class: 'svg-plot-line' };
+                    if (s.dashed) attributes['stroke-dasharray'] = '6 4';
+                    svg.appendChild(SVGPlot.createElement('line', attributes));
+                }
+                const text = SVGPlot.createElement('text', { x: x + 24, y: y + 4, class: 'svg-plot-legend' });
+                text.textContent = s.label;
+                svg.appendChild(text);
+            });
+        }
+
+        container.innerHTML = '';
+        container.appendChild(svg);
+        return svg;
+    }
+}
+
+if (typeof window !== 'undefined') {
+    window.SVGPlot = SVGPlot;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { SVGPlot, SVG_PLOT_DEFAULTS };
+}
@@ -0,0 +1,20 @@
+/**
+ * Time Format - 経過時間（分）の表示形式
+ *
+ * 画面・症例レポートで共通の mm:ss（60分以上は分をそのまま表示。例: 75.5 分 → "75:30"）
+ */
+
+function formatMinutes(timeMin) {
+    const totalSeconds = Math.round(timeMin * 60);
+    const minutes = Math.floor(totalSeconds / 60);
+    const seconds = totalSeconds % 60;
+    return `${minutes.toString().padStart(2, '0')}:${seconds.toString().padStart(2, '0')}`;
+}
+
+if (typeof window !== 'undefined') {
+    window.formatMinutes = formatMinutes;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { formatMinutes };
+}
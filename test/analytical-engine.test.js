@@ -0,0 +1,94 @@
+/**
+ * 解析解エンジン: ODE 数値積分との一致と、calculateAt・calculateSeries の整合性
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { AnalyticalPKEngine } = require('../scripts/analytical-engine.js');
+const { MasuiKe0Calculator } = require('../scripts/masui-ke0-exact.js');
+const { deSolve } = require('../scripts/utils/desolve.js');
+
+// 54歳 男性 170 cm 70 kg ASA I-II
+function pkParamsFor(age = 54, weight = 70, height = 170, sex = 0, asaPS = 0) {
+    const params = MasuiKe0Calculator.calculatePKParameters(age, weight, height, sex, asaPS);
+    const rateConstants = MasuiKe0Calculator.calculateRateConstants(params);
+    return { v1: params.V1, ...rateConstants, ke0: 0.2 };
+}
+
+const EVENTS = [
+    { time: 0, type: 'bolus', amount: 10 },
+    { time: 0, type: 'infusion', rate: 70 / 60 },
+    { time: 20, type: 'infusion', rate: 0 },
+    { time: 30, type: 'bolus', amount: 3 }
+];
+
+const relativeError = (actual, expected) => Math.abs(actual - expected) / Math.abs(expected);
+
+// 投与イベントの時刻で区間を分けて dA/dt と dCe/dt を数値積分する
+function integrateODE(pkParams, events, endTime) {
+    const { v1, k10, k12, k13, k21, k31, ke0 } = pkParams;
+    const derivatives = (t, [a1, a2, a3, ce], { rate }) => [
+        rate - (k10 + k12 + k13) * a1 + k21 * a2 + k31 * a3,
+        k12 * a1 - k21 * a2,
+        k13 * a1 - k31 * a3,
+        ke0 * (a1 / v1 - ce)
+    ];
+    const breakpoints = [...new Set(events.map(event => event.time)), endTime].sort((a, b) => a - b);
+    const points = [];
+    let y = [0, 0, 0, 0];
+    let rate = 0;
+
+    breakpoints.forEach((start, i) => {
+        events.filter(event => event.time === start).forEach(event => {
+            if (event.type === 'bolus') y[0] += event.amount;
+            else rate = event.rate;
+        });
+        const end = breakpoints[i + 1];
+        if (end === undefined) return;
+        // 1秒刻みの RK4（分単位の出力時刻は刻みに含まれる）
+        const steps = Math.round((end - start) * 60);
+        const times = Array.from({ length: steps + 1 }, (_, j) => start + j / 60);
+
+        const solution = deSolve.ode(derivatives, y, times, 'rk4', { rate });
+        solution.t.forEach((t, j) => {
+            // 区間の終点は次の投与の直前なので、投与後の値を返す calculateAt とは比べない
+            const minute = Math.round(t);
+            if (j > 0 && j % 60 === 0 && (j < steps || end === endTime)) {
+                points.push({ time: minute, cp: solution.y[j][0] / v1, ce: solution.y[j][3] });
+            }
+        });
+        y = solution.y[solution.y.length - 1];
+    });
+    return points;
+}
+
+test('解析解と ODE 数値積分の Cp/Ce が一致する', () => {
+    const pkParams = pkParamsFor();
+    const engine = new AnalyticalPKEngine(pkParams);
+
+    integrateODE(pkParams, EVENTS, 60).forEach(point => {
+        const exact = engine.calculateAt(point.time, EVENTS);
+        assert.ok(relativeError(exact.cp, point.cp) < 1e-4, `Cp at ${point.time} min`);
+        assert.ok(relativeError(exact.ce, point.ce) < 1e-4, `Ce at ${point.time} min`);
+    });
+});
+
+test('calculateSeries は各時刻の calculateAt と同じ値を返す', () => {
+    const engine = new AnalyticalPKEngine(pkParamsFor(80, 50, 155, 1, 1));
+    const times = [0, 0.5, 1, 10, 25, 45];
+
+    engine.calculateSeries(times, EVENTS).forEach((point, i) => {
+        assert.deepEqual(point, engine.calculateAt(times[i], EVENTS));
+    });
+});
+
+test('投与前は0、ボーラス直後の Cp は投与量 / V1', () => {
+    const pkParams = pkParamsFor();
+    const engine = new AnalyticalPKEngine(pkParams);
+    const events = [{ time: 5, type: 'bolus', amount: 10 }];
+
+    assert.equal(engine.calculateAt(4, events).cp, 0);
+    const atBolus = engine.calculateAt(5, events);
+    assert.ok(relativeError(atBolus.cp, 10 / pkParams.v1) < 1e-12);
+    assert.ok(Math.abs(atBolus.ce) < 1e-12);
+});
@@ -0,0 +1,74 @@
+/**
+ * ベイズ推定: 事前分布の既定値と検証、測定値の順序によらないこと、
+ * 実測値に近づく方向にパラメータを推定すること
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { BayesianEstimator, BAYESIAN_DEFAULTS } = require('../scripts/bayesian-estimator.js');
+const { POPULATION_DEFAULTS, PopulationSimulator } = require('../scripts/population-simulation.js');
+const { AnalyticalPKEngine } = require('../scripts/analytical-engine.js');
+const { Patient, PKCalculator } = require('../scripts/simulation-engine.js');
+
+const EVENTS = [
+    { time: 0, type: 'bolus', amount: 10 },
+    { time: 0, type: 'infusion', rate: 1 }
+];
+// 試験用の事前分布（推定の挙動を確認するための入力で、臨床的な推定値ではない）
+const PRIOR = {
+    cv: { v1: 0.3, v2: 0.3, v3: 0.3, cl: 0.3, q2: 0.3, q3: 0.3 },
+    residualSD: 0.1
+};
+
+function typicalParams(t) {
+    t.mock.method(console, 'log', () => {});
+    return PKCalculator.calculatePKParameters(new Patient(54, 70, 170, 'male', '1-2'));
+}
+
+test('事前分布を指定しなければ母集団シミュレーションと共通の既定値を使う', t => {
+    const estimator = new BayesianEstimator(typicalParams(t));
+    BAYESIAN_DEFAULTS.keys.forEach((key, i) => {
+        const cv = POPULATION_DEFAULTS.cv[key];
+        assert.ok(Math.abs(estimator.omegas[i] ** 2 - Math.log(1 + cv * cv)) < 1e-12, key);
+    });
+    assert.equal(estimator.options.residualSD, BAYESIAN_DEFAULTS.residualSD);
+    // 既定の ω・σ は仮定値で、Masui 2022 の推定値として出典を示さない
+    assert.equal(BAYESIAN_DEFAULTS.source.citation, null);
+    assert.equal(BAYESIAN_DEFAULTS.source.verified, false);
+
+    const edited = new BayesianEstimator(typicalParams(t), { cv: { cl: 0.5 } });
+    assert.equal(edited.options.cv.cl, 0.5);
+    assert.equal(edited.options.cv.v1, POPULATION_DEFAULTS.cv.v1);
+});
+
+test('正でない・数値でない CV と残差SDは例外', t => {
+    assert.throws(() => new BayesianEstimator(typicalParams(t), { cv: { q3: NaN } }), /Q3/);
+    assert.throws(() => new BayesianEstimator(typicalParams(t), { cv: { v1: 0 } }), /V1/);
+    assert.throws(() => new BayesianEstimator(typicalParams(t), { residualSD: -0.1 }), /残差/);
+});
+
+test('CL が典型値の半分の患者の実測値から、CL を小さく推定する', t => {
+    const typical = typicalParams(t);
+    const truth = PopulationSimulator.withRateConstants({ ...typical, cl: typical.cl / 2 });
+    const times = [5, 15, 30, 45];
+    const observations = new AnalyticalPKEngine(truth).calculateSeries(times, EVENTS)
+        .map(point => ({ time: point.time, concentration: point.cp }));
+
+    const estimate = new BayesianEstimator(typical, PRIOR).estimate(observations, EVENTS);
+    assert.ok(estimate.objective < estimate.priorObjective);
+    assert.ok(estimate.params.cl < typical.cl * 0.75, `CL ${estimate.params.cl}`);
+    assert.equal(estimate.params.ke0, typical.ke0);
+});
+
+test('測定値の入力順によらず同じ推定結果となる', t => {
+    const typical = typicalParams(t);
+    const observations = [
+        { time: 30, concentration: 1.6 },
+        { time: 5, concentration: 1.2 },
+        { time: 15, concentration: 1.4 }
+    ];
+    const estimator = new BayesianEstimator(typical, PRIOR);
+    const shuffled = estimator.estimate(observations, EVENTS);
+    const sorted = estimator.estimate([...observations].sort((a, b) => a.time - b.time), EVENTS);
+    assert.deepEqual(shuffled.etas, sorted.etas);
+});
@@ -0,0 +1,80 @@
+/**
+ * 症例レポート: TCI の速度調整の要約、臨床イベントを含む HTML のエスケープと、個別化後の ke0 の記載
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { CaseReport } = require('../scripts/case-report.js');
+const { PKModelRegistry } = require('../scripts/pk-model-registry.js');
+const { formatMinutes } = require('../scripts/utils/time-format.js');
+const { Patient, EnhancedSimulationEngine } = require('../scripts/simulation-engine.js');
+
+const PATIENT = { age: 54, weight: 60, height: 170, sex: 'male', asaPS: '1-2' };
+
+function createSimulator() {
+    return {
+        patient: PATIENT,
+        pkParams: PKModelRegistry.calculate('masui2022', PATIENT),
+        populationPkParams: null,
+        pkModelId: 'masui2022',
+        startTime: new Date('2024-01-01T09:00:00Z'),
+        calculationMode: 'analytical',
+        dosingMode: 'tci-effect',
+        getElapsedTimeString: () => '00:10:00',
+        doseEvents: [
+            { time: 0, type: 'bolus', amount: 0 },
+            { time: 0, type: 'infusion', rate: 2, source: 'tci' },
+            { time: 1 / 6, type: 'infusion', rate: 1.5, source: 'tci' },
+            { time: 2 / 6, type: 'infusion', rate: 1, source: 'tci' },
+            { time: 75.5, type: 'bolus', amount: 3 }
+        ],
+        clinicalEvents: [
+            { type: 'custom', label: '<b>体動</b>', time: 80, cp: 1.9, ce: 0.5 },
+            { type: 'loc', label: '意識消失 (LOC)', time: 1, cp: 2.1, ce: 0.4 }
+        ],
+        snapshots: []
+    };
+}
+
+test('連続する TCI の速度調整は期間と速度範囲の1行にまとめ、0 mg のボーラスは記載しない', () => {
+    const report = CaseReport.build(createSimulator(), { describeEvent: event => `${event.type} ${event.amount}` });
+    assert.deepEqual(report.timeline, [
+        { time: 0, description: 'TCI 投与速度の調整 3回（〜00:20、1.00〜2.00 mg/kg/hr）' },
+        { time: 75.5, description: 'bolus 3' }
+    ]);
+    assert.equal(report.model.verified, true);
+    assert.equal(report.individualized, false);
+    assert.equal(report.ke0.value, createSimulator().pkParams.ke0);
+    assert.equal(report.ke0.method, 'Tpeakからの数値解析');
+});
+
+test('HTML では入力されたテキストをエスケープし、時刻は画面と同じ mm:ss で表示する', () => {
+    const report = CaseReport.build(createSimulator(), { describeEvent: () => '<b>追加</b>' });
+    const html = CaseReport.renderHTML(report);
+    assert.ok(html.includes('&lt;b&gt;追加&lt;/b&gt;'));
+    assert.ok(html.includes('&lt;b&gt;体動&lt;/b&gt;'));
+    assert.ok(!html.includes('<b>'));
+    assert.deepEqual(report.clinicalEvents.map(event => event.type), ['loc', 'custom']);
+    assert.ok(html.includes('Masui 2022'));
+    assert.equal(formatMinutes(75.5), '75:30');
+    assert.ok(html.includes(`<td>${formatMinutes(75.5)}</td>`));
+});
+
+test('ベイズ推定で個別化した後も ke0 とその算出方法は母集団の値を記載する', t => {
+    t.mock.method(console, 'log', () => {});
+    t.mock.timers.enable({ apis: ['setInterval', 'Date'], now: 0 });
+    const engine = new EnhancedSimulationEngine();
+    engine.start(new Patient(54, 60, 170, 'male', '1-2'), 6, 1);
+    t.after(() => engine.stop());
+    const population = engine.pkParams;
+
+    const { ke0, ke0Method, ...individual } = population;
+    engine.applyIndividualParameters({ ...individual, v1: population.v1 * 1.2, k10: population.cl / (population.v1 * 1.2) });
+    const report = CaseReport.build(engine);
+    assert.equal(report.individualized, true);
+    assert.ok(CaseReport.renderHTML(report).includes('ベイズ推定で個別化（仮定した事前分布による例示）'));
+    assert.equal(report.parameters.find(row => row.key === 'v1').value, population.v1 * 1.2);
+    assert.equal(report.ke0.value, ke0);
+    assert.equal(report.ke0.method, 'Tpeakからの数値解析');
+    assert.equal(engine.pkParams.ke0Method, ke0Method);
+});
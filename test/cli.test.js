@@ -0,0 +1,75 @@
+/**
+ * CLI: examples/regimen.json の CSV 出力と、ke0 の算出方法・無効な ke0 の扱い
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawnSync } = require('child_process');
+const { main, buildTimes, calculateMasuiKe0 } = require('../scripts/cli.js');
+const { MasuiKe0Calculator } = require('../scripts/masui-ke0-exact.js');
+const { simulate } = require('../scripts/simulate.js');
+
+const ROOT = path.join(__dirname, '..');
+const EXAMPLE = path.join(ROOT, 'examples', 'regimen.json');
+const config = require(EXAMPLE);
+
+test('examples/regimen.json を CSV で出力し、値が simulate と一致する', () => {
+    const run = spawnSync(process.execPath, ['scripts/cli.js', EXAMPLE], { cwd: ROOT, encoding: 'utf8' });
+    assert.equal(run.status, 0, run.stderr);
+
+    const lines = run.stdout.trim().split('\n');
+    assert.equal(lines[0], 'patient,time,cp,ce,a1,a2,a3');
+    assert.equal(lines.length, 1 + config.patients.length * 61);
+
+    config.patients.forEach((patient, index) => {
+        const expected = simulate(patient, config.regimen, [30]).points[0];
+        const row = lines.find(line => line.startsWith(`${index + 1},30,`)).split(',').map(Number);
+        assert.ok(Math.abs(row[2] - expected.cp) < 1e-12);
+        assert.ok(Math.abs(row[3] - expected.ce) < 1e-12);
+    });
+
+    // ke0 は標準エラー出力（0 以下の重回帰の値は invalid）
+    const ke0Lines = run.stderr.trim().split('\n');
+    assert.equal(ke0Lines.length, config.patients.length);
+    ke0Lines.forEach(line => {
+        assert.match(line, /numerical=\d+\.\d{5}/);
+        assert.doesNotMatch(line, /=-/);
+    });
+});
+
+test('0 以下の ke0 は null として扱う', () => {
+    const ke0 = calculateMasuiKe0(config.patients[0]);
+    assert.ok(ke0.numerical > 0);
+    assert.ok(ke0.regression === null || ke0.regression > 0);
+});
+
+test('既定の探索区間で解けない患者は resolveKe0 の方法と値で計算し、終了コード 0', t => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'remimazolam-cli-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    const file = path.join(dir, 'regimen.json');
+    const patient = { age: 100, weight: 150, height: 220, sex: 'male', asaPS: '3-4' };
+    fs.writeFileSync(file, JSON.stringify({ patient, regimen: config.regimen, times: [0, 30] }));
+
+    const run = spawnSync(process.execPath, ['scripts/cli.js', file], { cwd: ROOT, encoding: 'utf8' });
+    assert.equal(run.status, 0, run.stderr);
+    const { ke0, method } = MasuiKe0Calculator.resolveKe0(patient);
+    assert.equal(method, 'numerical-wide');
+    assert.match(run.stderr, new RegExp(`ke0 used=${ke0.toFixed(5)} \\(numerical-wide\\)`));
+    assert.match(run.stderr, /numerical=invalid/);
+});
+
+test('いずれの方法でも ke0 を求められない患者はエラー', t => {
+    t.mock.method(MasuiKe0Calculator, 'resolveKe0', () => ({ ke0: null, method: null }));
+    t.mock.method(console, 'error', () => {});
+    t.mock.method(console, 'log', () => {});
+
+    assert.throws(() => main([EXAMPLE]), /ke0 を算出できません/);
+});
+
+test('出力時刻は 開始:終了:刻み で指定できる', () => {
+    assert.deepEqual(buildTimes('0:1:0.25'), [0, 0.25, 0.5, 0.75, 1]);
+    assert.throws(() => buildTimes('5:0:1'), /出力時刻/);
+});
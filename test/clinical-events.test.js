@@ -0,0 +1,41 @@
+/**
+ * 臨床イベント: 記録の作成と、保存した症例を横断した集計
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { ClinicalEvents } = require('../scripts/clinical-events.js');
+
+const event = (type, time, ce, label) => ({ type, label, time, cp: ce * 2, ce });
+const SESSIONS = [
+    { id: 'a', startedAt: '2024-01-01T09:00:00Z', clinicalEvents: [event('loc', 2, 0.6), event('loc', 3, 0.9)] },
+    { id: 'b', startedAt: '2024-01-03T09:00:00Z', clinicalEvents: [event('loc', 1.5, 0.4)] },
+    { id: 'c', startedAt: '2024-01-02T09:00:00Z', clinicalEvents: [event('intubation', 4, 1.0), event('custom', 5, 0.8, '体動')] },
+    { id: 'd', startedAt: '2024-01-04T09:00:00Z', clinicalEvents: [event('loc', 1, 0.5)] }
+];
+
+test('各症例で最初のイベントを新しい症例から集め、要約統計を求める', () => {
+    const result = ClinicalEvents.query(SESSIONS, 'loc');
+    assert.deepEqual(result.rows.map(row => row.sessionId), ['d', 'b', 'a']);
+    assert.deepEqual(result.rows.map(row => row.ce), [0.5, 0.4, 0.6]);
+    assert.equal(result.ce.count, 3);
+    assert.ok(Math.abs(result.ce.mean - 0.5) < 1e-12);
+    assert.ok(Math.abs(result.ce.sd - 0.1) < 1e-12);
+    assert.equal(result.ce.median, 0.5);
+    assert.deepEqual([result.ce.min, result.ce.max], [0.4, 0.6]);
+    assert.ok(Math.abs(result.cp.mean - 1.0) < 1e-12);
+});
+
+test('集計する症例数と、その他イベントの内容で絞り込める', () => {
+    assert.deepEqual(ClinicalEvents.query(SESSIONS, 'loc', { limit: 2 }).rows.map(row => row.sessionId), ['d', 'b']);
+    assert.equal(ClinicalEvents.query(SESSIONS, 'custom', { label: '体動' }).rows.length, 1);
+    assert.equal(ClinicalEvents.query(SESSIONS, 'custom', { label: '咳' }).ce, null);
+});
+
+test('その他イベントは内容が必須で、未登録の種類は例外', () => {
+    const custom = ClinicalEvents.create('custom', ' 体動 ', { time: 5, cp: 1, ce: 0.5 });
+    assert.equal(custom.label, '体動');
+    assert.equal(ClinicalEvents.create('loc', '', { time: 1, cp: 1, ce: 0.5 }).label, '意識消失 (LOC)');
+    assert.throws(() => ClinicalEvents.create('custom', '  ', { time: 5 }), /内容/);
+    assert.throws(() => ClinicalEvents.query(SESSIONS, 'unknown'), /未登録/);
+});
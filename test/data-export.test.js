@@ -0,0 +1,82 @@
+/**
+ * データ書き出し: ヘッダー付きの CSV/TSV と JSON
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { SimulationExporter, EXPORT_DATASETS } = require('../scripts/data-export.js');
+const { PKModelRegistry } = require('../scripts/pk-model-registry.js');
+const { DrugPreparation } = require('../scripts/drug-preparation.js');
+
+const PATIENT = { age: 54, weight: 70, height: 170, sex: 'male', asaPS: '1-2' };
+
+// 書き出しに必要な項目だけを持つエンジンの状態
+function createSimulator() {
+    return {
+        patient: PATIENT,
+        pkParams: PKModelRegistry.calculate('masui2022', PATIENT),
+        populationPkParams: null,
+        pkModelId: 'masui2022',
+        startTime: new Date('2024-01-01T09:00:00Z'),
+        calculationMode: 'ode',
+        dosingMode: 'manual',
+        drugPreparation: new DrugPreparation(),
+        history: [
+            { time: 0, cp: 3, ce: 0, a1: 10, a2: 0, a3: 0, rate: 1, method: null },
+            { time: 1 / 60, cp: 2.9, ce: 0.01, a1: 9.8, a2: 0.1, a3: 0.05, rate: 1, method: 'taylor' }
+        ],
+        snapshots: [
+            { timestamp: new Date('2024-01-01T09:05:00Z'), time: 5, plasmaConcentration: 1.5, effectSiteConcentration: 0.8 },
+            { timestamp: new Date('2024-01-01T09:01:00Z'), time: 1, plasmaConcentration: 2.5, effectSiteConcentration: 0.4 }
+        ],
+        clinicalEvents: [
+            { type: 'custom', label: '体動, 咳', time: 3, timestamp: new Date('2024-01-01T09:03:00Z'), cp: 2, ce: 0.6 },
+            { type: 'loc', label: '意識消失 (LOC)', time: 2, timestamp: new Date('2024-01-01T09:02:00Z'), cp: 2.2, ce: 0.5 }
+        ]
+    };
+}
+
+test('CSV は "# 項目,値" のヘッダー行・列名・時系列の行からなる', () => {
+    const lines = SimulationExporter.toCSV(createSimulator()).split('\n');
+    assert.ok(lines.includes('# patient.age,54'));
+    assert.ok(lines.includes('# ke0Method,numerical'));
+    assert.ok(lines.includes('# ke0MethodLabel,Tpeakからの数値解析'));
+    assert.ok(lines.includes('# drugPreparation.concentrationMgPerMl,1'));
+
+    const body = lines.filter(line => !line.startsWith('#'));
+    assert.equal(body[0], EXPORT_DATASETS.timeSeries.columns.map(column => column.label).join(','));
+    assert.equal(body[1], '0,3,0,10,0,0,1,60,');
+    assert.equal(body[2], `${1 / 60},2.9,0.01,9.8,0.1,0.05,1,60,taylor`);
+    assert.equal(body.length, 3);
+});
+
+test('記録は古い順に番号を付け、区切り文字を含む値はエスケープする', () => {
+    const simulator = createSimulator();
+    const snapshots = SimulationExporter.toCSV(simulator, 'snapshots').split('\n').filter(line => !line.startsWith('#'));
+    assert.equal(snapshots[1], '1,2024-01-01T09:01:00.000Z,1,2.5,0.4');
+    assert.equal(snapshots[2], '2,2024-01-01T09:05:00.000Z,5,1.5,0.8');
+
+    assert.equal(SimulationExporter.formatCell('体動, "咳"', ','), '"体動, ""咳"""');
+    assert.equal(SimulationExporter.formatCell('体動\t咳\n', '\t'), '体動 咳 ');
+    const tsv = SimulationExporter.toTSV(simulator, 'snapshots').split('\n');
+    assert.ok(tsv.includes('1\t2024-01-01T09:01:00.000Z\t1\t2.5\t0.4'));
+
+    const events = SimulationExporter.toCSV(simulator, 'events').split('\n').filter(line => !line.startsWith('#'));
+    assert.equal(events[1], '2,2024-01-01T09:02:00.000Z,loc,意識消失 (LOC),2.2,0.5');
+    assert.equal(events[2], '3,2024-01-01T09:03:00.000Z,custom,"体動, 咳",2,0.6');
+});
+
+test('JSON にヘッダー・記録・臨床イベント・時系列を含める', () => {
+    const json = JSON.parse(SimulationExporter.toJSON(createSimulator()));
+    assert.equal(json.header.pkModel, 'masui2022');
+    assert.equal(json.header.individualized, false);
+    assert.equal(json.header.startedAt, '2024-01-01T09:00:00.000Z');
+    assert.equal(json.snapshots.length, 2);
+    assert.deepEqual(json.events.map(event => event.type), ['loc', 'custom']);
+    assert.equal(json.timeSeries[1].method, 'taylor');
+});
+
+test('結果がなければ例外', () => {
+    assert.throws(() => SimulationExporter.toJSON({ patient: null, pkParams: null }), /書き出す/);
+    assert.throws(() => SimulationExporter.getRows(createSimulator(), 'doses'), /未対応のデータ/);
+});
@@ -0,0 +1,75 @@
+/**
+ * CSHT・効果部位減少時間: クランプ状態の閉形式が TCI の実行結果と一致し、
+ * 求めた時間で濃度が所定の割合まで低下すること
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { AnalyticalPKEngine } = require('../scripts/analytical-engine.js');
+const { DecrementTimeCalculator, DECREMENT_DEFAULTS } = require('../scripts/decrement-times.js');
+const { EffectSiteTCIController, PlasmaTCIController } = require('../scripts/tci-controller.js');
+const { Patient, PKCalculator } = require('../scripts/simulation-engine.js');
+
+const PATIENT = new Patient(54, 70, 170, 'male', '1-2');
+const STEP = 1 / 60;
+
+function createEngine(t) {
+    t.mock.method(console, 'log', () => {});
+    return new AnalyticalPKEngine(PKCalculator.calculatePKParameters(PATIENT));
+}
+
+// 濃度 1 µg/mL を目標とした TCI を duration 分実行した状態（1秒刻み）
+function runTCI(ControllerClass, engine, duration) {
+    const controller = new ControllerClass(engine, 1, { controlInterval: STEP, predictionStep: STEP, predictionHorizon: 5 });
+    let state = { a1: 0, a2: 0, a3: 0, ce: 0 };
+    for (let i = 0; i < Math.round(duration / STEP); i++) {
+        state = engine.advance(state, controller.computeRate(state), STEP);
+    }
+    return state;
+}
+
+const assertClose = (actual, expected, message) =>
+    assert.ok(Math.abs(actual - expected) / expected < 0.02, `${message}: ${actual} vs ${expected}`);
+
+test('Cp クランプ・Ce クランプの状態が、それぞれ血漿TCI・効果部位TCIを続けた状態と一致する', t => {
+    const engine = createEngine(t);
+    const calculator = new DecrementTimeCalculator(engine);
+    const duration = 60;
+
+    const plasma = runTCI(PlasmaTCIController, engine, duration);
+    const plasmaClamp = calculator.getPlasmaClampedState(duration);
+    const effect = runTCI(EffectSiteTCIController, engine, duration);
+    const effectClamp = calculator.getEffectClampedState(duration);
+    ['a1', 'a2', 'a3', 'ce'].forEach(key => {
+        assertClose(plasma[key], plasmaClamp[key], `Cp clamp ${key}`);
+        assertClose(effect[key], effectClamp[key], `Ce clamp ${key}`);
+    });
+});
+
+test('求めた CSHT・減少時間の時点で濃度が所定の割合となる', t => {
+    const engine = createEngine(t);
+    const calculator = new DecrementTimeCalculator(engine);
+    const duration = 120;
+    const result = calculator.calculateAt(duration);
+
+    const plasma = engine.advance(calculator.getPlasmaClampedState(duration), 0, result.csht);
+    assert.ok(Math.abs(plasma.a1 / engine.pkParams.v1 - 0.5) < 1e-4);
+    DECREMENT_DEFAULTS.decrements.forEach(percent => {
+        const effect = engine.advance(calculator.getEffectClampedState(duration), 0, result.effect[percent]);
+        assert.ok(Math.abs(effect.ce - (1 - percent / 100)) < 1e-4, `${percent}%`);
+    });
+    assert.ok(result.effect[50] < result.effect[70] && result.effect[70] < result.effect[80]);
+});
+
+test('投与時間が長いほど CSHT は延びる', t => {
+    const curve = new DecrementTimeCalculator(createEngine(t), { maxDuration: 240, durationStep: 60 }).calculateCurve();
+    assert.deepEqual(curve.map(point => point.duration), [0, 60, 120, 180, 240]);
+    for (let i = 1; i < curve.length; i++) {
+        assert.ok(curve[i].csht > curve[i - 1].csht);
+    }
+});
+
+test('表は tableDurations のうち最大投与時間以下の投与時間で作る', t => {
+    const table = new DecrementTimeCalculator(createEngine(t), { maxDuration: 180 }).calculateTable();
+    assert.deepEqual(table.map(row => row.duration), [30, 60, 90, 120, 180]);
+});
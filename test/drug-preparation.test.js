@@ -0,0 +1,44 @@
+/**
+ * 薬液調製: mg ⇔ mL、mg/min ⇔ mL/h の換算と、ポンプ流量の丸め・制限
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { DrugPreparation, DRUG_PREPARATION_DEFAULTS } = require('../scripts/drug-preparation.js');
+
+test('50 mg / 50 mL で 1 mg/mL、1 mg/min は 60 mL/h', () => {
+    const preparation = new DrugPreparation();
+    assert.equal(preparation.getConcentration(), 1);
+    assert.equal(preparation.toVolume(12), 12);
+    assert.equal(preparation.toMlPerHour(1), 60);
+    assert.equal(preparation.toRate(60), 1);
+    assert.equal(preparation.getMaxRate(), DRUG_PREPARATION_DEFAULTS.maxRateMlPerHour / 60);
+});
+
+test('投与速度をポンプの流量刻みに丸める', () => {
+    // 50 mg / 20 mL = 2.5 mg/mL
+    const preparation = new DrugPreparation({ diluentMl: 20, rateStepMlPerHour: 0.1 });
+    const pump = preparation.toPumpRate(1.1667);             // 28.0008 mL/h
+    assert.equal(pump.mlPerHour, 28);
+    assert.equal(pump.limited, false);
+    assert.ok(Math.abs(pump.rate - (28 * 2.5) / 60) < 1e-12);
+
+    const coarse = new DrugPreparation({ rateStepMlPerHour: 1 }).toPumpRate(0.2583);  // 15.498 mL/h
+    assert.equal(coarse.mlPerHour, 15);
+    assert.equal(new DrugPreparation({ rateStepMlPerHour: 0.01 }).toPumpRate(0.2583).mlPerHour, 15.5);
+});
+
+test('最大流量を超える投与速度は最大流量に制限し、負の値は 0', () => {
+    const preparation = new DrugPreparation({ maxRateMlPerHour: 100 });
+    const pump = preparation.toPumpRate(5);                 // 300 mL/h
+    assert.equal(pump.mlPerHour, 100);
+    assert.equal(pump.limited, true);
+    assert.ok(Math.abs(pump.rate - 100 / 60) < 1e-12);
+    assert.deepEqual(preparation.toPumpRate(-1), { rate: 0, mlPerHour: 0, limited: false });
+});
+
+test('0 以下・数値でない設定は例外', () => {
+    assert.throws(() => new DrugPreparation({ diluentMl: 0 }), /溶解液量/);
+    assert.throws(() => new DrugPreparation({ vialMg: 'abc' }), /バイアル量/);
+    assert.throws(() => new DrugPreparation({ rateStepMlPerHour: -0.1 }), /流量の刻み/);
+});
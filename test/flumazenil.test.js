@@ -0,0 +1,83 @@
+/**
+ * フルマゼニル: 解析解が ODE 数値積分と一致し、Ce50 の移動と編集したパラメータが拮抗に反映されること
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { FlumazenilModel, FLUMAZENIL_DEFAULTS } = require('../scripts/flumazenil.js');
+const { PDCalculator } = require('../scripts/pd-models.js');
+const { Patient, EnhancedSimulationEngine } = require('../scripts/simulation-engine.js');
+const { deSolve } = require('../scripts/utils/desolve.js');
+
+const WEIGHT = 70;
+
+test('ボーラスの解析解が2コンパートメント＋効果部位の ODE 数値積分と一致する', () => {
+    const model = new FlumazenilModel(WEIGHT);
+    const { v1, v2, cl, q, ke0 } = FLUMAZENIL_DEFAULTS;
+    const [k10, k12, k21] = [cl / v1, q / v1, q / v2];
+    const derivatives = (t, [a1, a2, ce]) => [
+        -(k10 + k12) * a1 + k21 * a2,
+        k12 * a1 - k21 * a2,
+        ke0 * (a1 / model.v1 - ce)
+    ];
+    // 1秒刻みで30分（0.5 mg を時刻0に投与）
+    const times = Array.from({ length: 30 * 60 + 1 }, (_, i) => i / 60);
+    const solution = deSolve.ode(derivatives, [0.5, 0, 0], times, 'rk4');
+    const events = [{ time: 0, type: 'flumazenil', amount: 0.5 }];
+
+    for (let i = 60; i < times.length; i += 60) {
+        const exact = model.calculateAt(times[i], events);
+        const [a1, , ce] = solution.y[i];
+        assert.ok(Math.abs(exact.cp - a1 / model.v1 * 1000) / exact.cp < 1e-6, `Cp at ${times[i]} min`);
+        assert.ok(Math.abs(exact.ce - ce * 1000) / exact.ce < 1e-6, `Ce at ${times[i]} min`);
+    }
+});
+
+test('フルマゼニル以外の投与と投与前の時刻は濃度に寄与しない', () => {
+    const model = new FlumazenilModel(WEIGHT);
+    const events = [{ time: 0, type: 'bolus', amount: 10 }, { time: 5, type: 'flumazenil', amount: 0.2 }];
+    assert.deepEqual(model.calculateAt(4, events), { cp: 0, ce: 0 });
+    assert.ok(model.hasDoses(events));
+    assert.ok(!model.hasDoses(events.slice(0, 1)));
+});
+
+test('Ce_flu = Ki で Ce50 は2倍となり、意識消失確率は Ce50 の2倍の濃度で50%', () => {
+    const model = new FlumazenilModel(WEIGHT);
+    const shift = model.getCe50Shift(FLUMAZENIL_DEFAULTS.ki);
+    assert.equal(shift, 2);
+    assert.equal(model.getCe50Shift(-1), 1);
+
+    const calculator = new PDCalculator();
+    const ce50 = calculator.models.loc.params.ce50;
+    assert.ok(Math.abs(calculator.evaluateModel('loc', 2 * ce50, shift) - 50) < 1e-9);
+});
+
+test('編集したパラメータは実行中のモデルと次の実行に反映され、不正な値は受け付けない', t => {
+    t.mock.method(console, 'log', () => {});
+    t.mock.timers.enable({ apis: ['setInterval', 'Date'], now: 0 });
+    const engine = new EnhancedSimulationEngine();
+    engine.start(new Patient(54, WEIGHT, 170, 'male', '1-2'), 0, 0);
+    t.after(() => engine.stop());
+
+    for (let i = 0; i < 60; i++) t.mock.timers.tick(1000);
+    assert.ok(engine.addFlumazenil(0.5));
+    for (let i = 0; i < 60; i++) t.mock.timers.tick(1000);
+    const flumazenilCe = engine.getFlumazenilConcentrations().ce;
+    const before = engine.getCe50Shift(engine.lastSolveTime);
+
+    assert.equal(engine.setFlumazenilParameter('ki', 2 * FLUMAZENIL_DEFAULTS.ki), true);
+    const after = engine.getCe50Shift(engine.lastSolveTime);
+    assert.ok(Math.abs((after - 1) - (before - 1) / 2) < 1e-12);
+    assert.equal(engine.getFlumazenilConcentrations().ce, flumazenilCe);
+
+    assert.equal(engine.setFlumazenilParameter('ki', 0), false);
+    assert.equal(engine.setFlumazenilParameter('ki', NaN), false);
+    assert.equal(engine.setFlumazenilParameter('source', 1), false);
+    assert.equal(engine.flumazenilParams.ki, 2 * FLUMAZENIL_DEFAULTS.ki);
+    // 既定値は変更しない
+    assert.equal(FLUMAZENIL_DEFAULTS.ki, 5.0);
+
+    engine.stop();
+    engine.start(new Patient(54, WEIGHT, 170, 'male', '1-2'), 0, 0);
+    assert.equal(engine.flumazenil.params.ki, 2 * FLUMAZENIL_DEFAULTS.ki);
+});
@@ -0,0 +1,97 @@
+/**
+ * What-if 予測: 現在の状態からの分岐予測が投与イベントからの解析解と一致し、元の状態を変更しないこと
+ * 閾値到達予測: 求めた時刻で Ce が閾値と一致すること
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { AnalyticalPKEngine } = require('../scripts/analytical-engine.js');
+const { ForecastCalculator } = require('../scripts/forecast.js');
+const { Patient, PKCalculator } = require('../scripts/simulation-engine.js');
+
+const PATIENT = new Patient(54, 70, 170, 'male', '1-2');
+const NOW = 10;
+const RATE = 1;
+const REGIMEN = [
+    { time: 0, type: 'bolus', amount: 8 },
+    { time: 0, type: 'infusion', rate: RATE }
+];
+
+// NOW 分時点の状態とエンジン
+function currentState(t) {
+    t.mock.method(console, 'log', () => {});
+    const engine = new AnalyticalPKEngine(PKCalculator.calculatePKParameters(PATIENT));
+    const { a1, a2, a3, ce } = engine.calculateAt(NOW, REGIMEN);
+    return { engine, state: { a1, a2, a3, ce } };
+}
+
+test('各シナリオの予測が、同じ投与を最初から計算した解析解と一致する', t => {
+    const { engine, state } = currentState(t);
+    const calculator = new ForecastCalculator(engine, { bolusAmount: 3 });
+    const forecasts = calculator.projectAll(state, RATE, NOW);
+    const expectedRegimen = {
+        continue: REGIMEN,
+        stop: [...REGIMEN, { time: NOW, type: 'infusion', rate: 0 }],
+        bolus: [...REGIMEN, { time: NOW, type: 'bolus', amount: 3 }],
+        double: [...REGIMEN, { time: NOW, type: 'infusion', rate: 2 * RATE }]
+    };
+
+    forecasts.forEach(forecast => {
+        const times = forecast.points.slice(1).map(point => point.time);
+        const expected = engine.calculateSeries(times, expectedRegimen[forecast.scenario.id]);
+        forecast.points.slice(1).forEach((point, i) => {
+            assert.ok(Math.abs(point.ce - expected[i].ce) < 1e-9, `${forecast.scenario.id} Ce at ${point.time}`);
+            assert.ok(Math.abs(point.cp - expected[i].cp) < 1e-9, `${forecast.scenario.id} Cp at ${point.time}`);
+        });
+    });
+});
+
+test('予測しても元の状態は変わらない', t => {
+    const { engine, state } = currentState(t);
+    const before = { ...state };
+    new ForecastCalculator(engine).projectAll(state, RATE, NOW);
+    assert.deepEqual(state, before);
+});
+
+test('投与停止では最大Ceが現状維持以下で、判定濃度を下回る時間が求まる', t => {
+    const { engine, state } = currentState(t);
+    const calculator = new ForecastCalculator(engine, { horizon: 60, thresholdCe: 0.5 });
+    const [continued, stopped] = calculator.projectAll(state, RATE, NOW);
+
+    assert.ok(stopped.peakCe <= continued.peakCe);
+    assert.ok(stopped.timeBelow > 0);
+    const below = stopped.points.find(point => point.time - NOW >= stopped.timeBelow);
+    assert.ok(below.ce < 0.5);
+});
+
+test('導入時の閾値到達時刻で Ce が意識消失レベルとなる', t => {
+    const { engine } = currentState(t);
+    const calculator = new ForecastCalculator(engine);
+    const empty = { a1: 0, a2: 0, a3: 0, ce: 0 };
+
+    const { onset } = calculator.predictThresholds(empty, 2, { lossOfConsciousnessCe: 0.8, awakeningCe: 0.4 });
+    assert.ok(onset.time > 0);
+    const point = engine.calculateAt(onset.time, [{ time: 0, type: 'infusion', rate: 2 }]);
+    assert.ok(Math.abs(point.ce - 0.8) < 1e-3, `Ce ${point.ce} at ${onset.time} min`);
+});
+
+test('投与停止後に覚醒レベル未満となる時刻で Ce が覚醒レベルとなる', t => {
+    const { engine, state } = currentState(t);
+    const calculator = new ForecastCalculator(engine);
+
+    const { offset } = calculator.predictThresholds(state, RATE, { lossOfConsciousnessCe: 0.8, awakeningCe: 0.4 });
+    assert.ok(offset.time > 0);
+    const stopped = [...REGIMEN, { time: NOW, type: 'infusion', rate: 0 }];
+    const point = engine.calculateAt(NOW + offset.time, stopped);
+    assert.ok(Math.abs(point.ce - 0.4) < 1e-3, `Ce ${point.ce} at ${offset.time} min after stop`);
+});
+
+test('到達しない閾値は null、既に下回っていれば 0', t => {
+    const { engine } = currentState(t);
+    const calculator = new ForecastCalculator(engine, { searchLimit: 10 });
+    const empty = { a1: 0, a2: 0, a3: 0, ce: 0 };
+
+    const { onset, offset } = calculator.predictThresholds(empty, 0.01, { lossOfConsciousnessCe: 0.8, awakeningCe: 0.4 });
+    assert.equal(onset.time, null);
+    assert.equal(offset.time, 0);
+});
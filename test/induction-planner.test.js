@@ -0,0 +1,76 @@
+/**
+ * 導入量の計算: 到達時間で Ce = Cp = 目標Ce となる投与量と、
+ * スライダーの刻み・上限への丸め、オーバーシュートの判定
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { InductionPlanner } = require('../scripts/induction-planner.js');
+const { DrugPreparation } = require('../scripts/drug-preparation.js');
+const { simulate } = require('../scripts/simulate.js');
+
+const PATIENT = { age: 54, weight: 70, height: 170, sex: 'male', asaPS: '1-2' };
+// index.html のスライダー（bolus-dose・continuous-dose）の step・max
+const SLIDER_LIMITS = { bolusStep: 0.5, maxBolus: 50, infusionStep: 0.1, maxInfusion: 5 };
+const TARGET = 1.0;
+
+const ceAt = (dose, time) => simulate(PATIENT, [
+    { time: 0, type: 'bolus', amount: dose.bolus },
+    { time: 0, type: 'infusion', continuousDose: dose.continuousDose }
+], [time]).points[0];
+
+test('丸める前の投与量で、到達時間の Ce と Cp が目標Ceとなる', () => {
+    [3, 5, 10].forEach(targetTime => {
+        const plan = InductionPlanner.plan(PATIENT, TARGET, targetTime, SLIDER_LIMITS);
+        assert.equal(plan.bolusOnly, false);
+        const point = ceAt(plan.exact, targetTime);
+        assert.ok(Math.abs(point.ce - TARGET) < 1e-9, `Ce ${point.ce} at ${targetTime} min`);
+        assert.ok(Math.abs(point.cp - TARGET) < 1e-9, `Cp ${point.cp} at ${targetTime} min`);
+    });
+});
+
+test('スライダーの刻みに丸めた投与量でも、到達時間の Ce は目標に近い', () => {
+    const plan = InductionPlanner.plan(PATIENT, TARGET, 3, SLIDER_LIMITS);
+    assert.equal(plan.bolus % SLIDER_LIMITS.bolusStep, 0);
+    assert.ok(Math.abs(plan.continuousDose / SLIDER_LIMITS.infusionStep - Math.round(plan.continuousDose / SLIDER_LIMITS.infusionStep)) < 1e-9);
+    assert.ok(Math.abs(plan.profile.ceAtTargetTime - TARGET) / TARGET < 0.05);
+    assert.ok(Math.abs(plan.profile.ceAtTargetTime - ceAt(plan, 3).ce) < 1e-9);
+    assert.equal(plan.overshootExceeded, false);
+});
+
+test('到達時間がボーラス単独の Ce ピークより短ければボーラスのみで、最大Ceを警告に示す', () => {
+    const plan = InductionPlanner.plan(PATIENT, TARGET, 2, SLIDER_LIMITS);
+    assert.equal(plan.bolusOnly, true);
+    assert.equal(plan.continuousDose, 0);
+    assert.ok(plan.profile.ceOvershoot > 0);
+    assert.ok(plan.warnings.some(warning => warning.includes(`+${plan.profile.ceOvershoot.toFixed(0)}%`)));
+});
+
+test('スライダーの上限を超える投与量は上限に制限する', () => {
+    const plan = InductionPlanner.plan(PATIENT, TARGET, 1, { ...SLIDER_LIMITS, maxBolus: 20 });
+    assert.equal(plan.bolus, 20);
+    assert.ok(plan.exact.bolus > 20);
+    assert.ok(plan.warnings.some(warning => warning.includes('上限')));
+});
+
+test('Ce のオーバーシュートが maxCeOvershoot を超えれば overshootExceeded', () => {
+    const plan = InductionPlanner.plan(PATIENT, TARGET, 5, { ...SLIDER_LIMITS, maxCeOvershoot: 5 });
+    assert.ok(plan.profile.ceOvershoot > 5);
+    assert.equal(plan.overshootExceeded, true);
+    assert.ok(plan.warnings.some(warning => warning.includes('5%')));
+});
+
+test('drugPreparation を指定すると、持続投与はポンプの流量に丸めて予測する', () => {
+    const drugPreparation = new DrugPreparation({ rateStepMlPerHour: 1 });
+    const plan = InductionPlanner.plan(PATIENT, TARGET, 3, { ...SLIDER_LIMITS, drugPreparation });
+    assert.equal(plan.pump.mlPerHour, Math.round((plan.continuousDose * PATIENT.weight) / 60 * 60));
+    assert.equal(plan.pump.bolusMl, plan.bolus);
+    assert.equal(plan.pump.rate, plan.pump.mlPerHour / 60);
+});
+
+test('刻み・上限と目標値・到達時間を検証する', () => {
+    assert.throws(() => InductionPlanner.plan(PATIENT, TARGET, 3, {}), /ボーラス量の刻み/);
+    assert.throws(() => InductionPlanner.plan(PATIENT, TARGET, 3, { ...SLIDER_LIMITS, maxInfusion: undefined }), /持続投与量の上限/);
+    assert.throws(() => InductionPlanner.plan(PATIENT, 0, 3, SLIDER_LIMITS), /目標Ce/);
+    assert.throws(() => InductionPlanner.plan(PATIENT, TARGET, 60, SLIDER_LIMITS), /到達時間/);
+});
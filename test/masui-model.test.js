@@ -0,0 +1,75 @@
+/**
+ * Masui 共変量モデル: 標準体格の参照パラメータセット（論文の典型値と θ）と、
+ * 標準以外の体格・年齢・性別の参照症例（共通化前の実装の出力）に一致し、
+ * シミュレーションと ke0 導出が同じパラメータを使うこと
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { MasuiModel, MASUI_REFERENCE_SETS } = require('../scripts/masui-model.js');
+const { MasuiKe0Calculator } = require('../scripts/masui-ke0-exact.js');
+const { PKModelRegistry } = require('../scripts/pk-model-registry.js');
+
+const PATIENTS = [
+    { age: 54, weight: 70, height: 170, sex: 'male', asaPS: '1-2' },
+    { age: 54, weight: 55, height: 160, sex: 'female', asaPS: '1-2' },
+    { age: 70, weight: 60, height: 165, sex: 'male', asaPS: '3-4' },
+    { age: 80, weight: 50, height: 155, sex: 'female', asaPS: '3-4' },
+    { age: 35, weight: 100, height: 180, sex: 'male', asaPS: '1-2' }
+];
+const PARAMETER_KEYS = ['v1', 'v2', 'v3', 'cl', 'q2', 'q3'];
+
+const isStandardSize = reference => Math.abs(MasuiModel.calculateParameters(reference.patient).abw - 67.3) < 1e-3;
+
+test('参照パラメータセットの全症例が許容誤差内で一致する', () => {
+    assert.equal(MASUI_REFERENCE_SETS[0].label, '典型値（54歳 男性 ASA I-II, ABW 67.3 kg）');
+    const results = MasuiModel.compareWithReference(1e-3);
+    assert.equal(results.length, MASUI_REFERENCE_SETS.length);
+    results.forEach(result => {
+        result.rows.forEach(row => {
+            assert.ok(row.passed, `${result.label} ${row.key}: ${row.actual} vs ${row.expected}`);
+        });
+    });
+});
+
+test('標準体格の症例は ABW 67.3 kg、それ以外の症例で体格のスケーリングを検証する', () => {
+    const standard = MASUI_REFERENCE_SETS.filter(isStandardSize);
+    const scaled = MASUI_REFERENCE_SETS.filter(reference => !isStandardSize(reference));
+    assert.equal(standard.length, 4);
+    assert.ok(scaled.length >= 4);
+
+    // ABW/67.3 が 1 から十分離れ、0.75 乗と1乗の差が参照値の許容誤差を大きく超える
+    scaled.forEach(reference => {
+        const sizeRatio = MasuiModel.calculateParameters(reference.patient).abw / 67.3;
+        assert.ok(Math.abs(Math.pow(sizeRatio, 0.75) - sizeRatio) / sizeRatio > 0.02, reference.label);
+        ['ibw', 'abw'].forEach(key => assert.ok(key in reference.expected, `${reference.label} ${key}`));
+    });
+    ['male', 'female'].forEach(sex => assert.ok(scaled.some(reference => reference.patient.sex === sex)));
+    ['1-2', '3-4'].forEach(asaPS => assert.ok(scaled.some(reference => reference.patient.asaPS === asaPS)));
+    assert.ok(scaled.some(reference => reference.patient.weight < reference.expected.ibw), 'TBW < IBW');
+});
+
+test('compareWithReference は参照値から外れた項目を不合格とする', () => {
+    const typical = MASUI_REFERENCE_SETS[0];
+    const [result] = MasuiModel.compareWithReference(1e-3, [
+        { ...typical, expected: { ...typical.expected, cl: typical.expected.cl * 1.01 } }
+    ]);
+    assert.equal(result.passed, false);
+    assert.deepEqual(result.rows.filter(row => !row.passed).map(row => row.key), ['cl']);
+});
+
+PATIENTS.forEach(patient => {
+    const label = `${patient.age}歳 ${patient.sex} ASA ${patient.asaPS} ${patient.height} cm ${patient.weight} kg`;
+
+    test(`${label}: シミュレーションと ke0 導出のパラメータが一致する`, t => {
+        t.mock.method(console, 'log', () => {});
+        const simulation = PKModelRegistry.calculate('masui2022', patient);
+        const covariates = MasuiModel.getCovariates(patient);
+        const derivation = MasuiKe0Calculator.calculatePKParameters(
+            covariates.age, covariates.weight, covariates.height, covariates.sex, covariates.asaPS
+        );
+        PARAMETER_KEYS.forEach(key => {
+            assert.ok(Math.abs(simulation[key] - derivation[key.toUpperCase()]) < 1e-12, key);
+        });
+    });
+});
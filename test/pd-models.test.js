@@ -0,0 +1,75 @@
+/**
+ * PD モデル: Ce50 で効果が半分となり、パラメータの変更が既定値に影響しないこと
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { PDCalculator, PD_MODELS, registerPDModel } = require('../scripts/pd-models.js');
+
+test('Ce50 で意識消失確率は50%、MOAA/S は E0 - Emax/2 となる', () => {
+    const calculator = new PDCalculator();
+    const { loc, moaas } = PD_MODELS;
+
+    assert.ok(Math.abs(calculator.evaluateModel('loc', loc.params.ce50) - 50) < 1e-9);
+    const halfMoaas = moaas.params.e0 - moaas.params.emax / 2;
+    assert.ok(Math.abs(calculator.evaluateModel('moaas', moaas.params.ce50) - halfMoaas) < 1e-9);
+    assert.equal(calculator.evaluateModel('loc', 0), 0);
+});
+
+test('濃度が上がるほど確率は増え、MOAA/S は減り、範囲内に収まる', () => {
+    const calculator = new PDCalculator();
+    let previous = calculator.evaluate(0);
+    for (let ce = 0.1; ce <= 5; ce += 0.1) {
+        const effects = calculator.evaluate(ce);
+        assert.ok(effects.loc > previous.loc);
+        assert.ok(effects.moaas < previous.moaas);
+        assert.ok(effects.moaas >= 0 && effects.moaas <= 5);
+        previous = effects;
+    }
+});
+
+test('有効なモデルだけを評価し、BIS様指標は既定で無効', () => {
+    const calculator = new PDCalculator();
+    assert.deepEqual(Object.keys(calculator.evaluate(1)).sort(), ['loc', 'moaas']);
+
+    calculator.setEnabled('bis', true);
+    assert.ok('bis' in calculator.evaluate(1));
+});
+
+test('パラメータの変更は計算機ごとで、既定値は変わらず reset で戻る', () => {
+    const calculator = new PDCalculator();
+    const defaultCe50 = PD_MODELS.loc.params.ce50;
+
+    assert.equal(calculator.setParameter('loc', 'ce50', 1.5), true);
+    assert.ok(Math.abs(calculator.evaluateModel('loc', 1.5) - 50) < 1e-9);
+    assert.equal(PD_MODELS.loc.params.ce50, defaultCe50);
+    assert.equal(new PDCalculator().models.loc.params.ce50, defaultCe50);
+
+    // 未知のパラメータや数値でない値は受け付けない
+    assert.equal(calculator.setParameter('loc', 'emax', 1), false);
+    assert.equal(calculator.setParameter('loc', 'ce50', NaN), false);
+
+    // Ce50・γ・Emax は 0 以下を受け付けず、直前の値のまま（E0 は 0 も可）
+    [['loc', 'ce50', 0], ['loc', 'gamma', -1], ['moaas', 'emax', 0], ['bis', 'ce50', -0.5]].forEach(([id, key, value]) => {
+        const previous = calculator.models[id].params[key];
+        assert.equal(calculator.setParameter(id, key, value), false, `${id}.${key} = ${value}`);
+        assert.equal(calculator.models[id].params[key], previous);
+    });
+    assert.ok(Number.isFinite(calculator.evaluateModel('loc', 1.0)));
+    assert.equal(calculator.setParameter('moaas', 'e0', 0), true);
+
+    calculator.reset();
+    assert.equal(calculator.models.loc.params.ce50, defaultCe50);
+});
+
+test('既定モデルはすべて出典を持ち、未確認の値はその旨を示す', () => {
+    Object.values(PD_MODELS).forEach(model => {
+        assert.ok(model.source.citation, model.id);
+        assert.equal(typeof model.source.verified, 'boolean');
+    });
+});
+
+test('registerPDModel は式の種類が不明なモデルを拒否する', () => {
+    assert.throws(() => registerPDModel({ id: 'unknown', type: 'linear', params: {} }), /Invalid PD model/);
+    assert.ok(!('unknown' in PD_MODELS));
+});
@@ -0,0 +1,138 @@
+/**
+ * PKモデルレジストリ: 既定で登録するのは原著で確認した Masui 2022 のみで、追加したモデルと
+ * 同じ投与で比較でき、対象範囲外の警告と追加したモデルの出典未確認の扱いが正しいこと
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { PKModelRegistry, PK_MODELS, DEFAULT_PK_MODEL, registerPKModel } = require('../scripts/pk-model-registry.js');
+const { AnalyticalPKEngine } = require('../scripts/analytical-engine.js');
+const { Patient, PKCalculator, EnhancedSimulationEngine } = require('../scripts/simulation-engine.js');
+
+const PATIENT = new Patient(54, 70, 170, 'male', '1-2');
+const TIMES = [1, 5, 10, 30];
+const EVENTS = [
+    { time: 0, type: 'bolus', amount: 10 },
+    { time: 0, type: 'infusion', rate: 1 }
+];
+
+const quiet = t => t.mock.method(console, 'log', () => {});
+
+// 共変量なし・ke0 固定の試験用モデル（成人男性のみを対象とする）
+function registerFixedModel(t) {
+    t.after(() => {
+        delete PK_MODELS.fixedTest;
+    });
+    return registerPKModel({
+        id: 'fixedTest',
+        label: '固定パラメータ（試験用）',
+        source: { citation: '試験用' },
+        validRanges: {
+            age: { min: 18, max: 60, unit: '歳' },
+            sex: ['male']
+        },
+        calculate: () => {
+            const v1 = 4.7;
+            const v2 = 14.5;
+            const v3 = 15.5;
+            const cl = 1.15;
+            const q2 = 1.45;
+            const q3 = 0.27;
+            return {
+                v1, v2, v3, cl, q2, q3, ke0: 0.135, ke0Method: 'fixed',
+                k10: cl / v1, k12: q2 / v1, k21: q2 / v2, k13: q3 / v1, k31: q3 / v3
+            };
+        }
+    });
+}
+
+test('既定で登録されているのは原著で確認した Masui 2022 のみ', t => {
+    quiet(t);
+    assert.deepEqual(PKModelRegistry.list().map(model => model.id), [DEFAULT_PK_MODEL]);
+    assert.equal(PKModelRegistry.get(DEFAULT_PK_MODEL).source.verified, true);
+    assert.throws(() => PKModelRegistry.get('schuttler2020'), /未登録/);
+
+    const { modelId, ke0Method, ...params } = PKModelRegistry.calculate(DEFAULT_PK_MODEL, PATIENT);
+    assert.equal(modelId, DEFAULT_PK_MODEL);
+    assert.equal(ke0Method, 'numerical');
+    assert.deepEqual(params, PKCalculator.calculatePKParameters(PATIENT));
+});
+
+test('同じ投与で追加したモデルと Cp/Ce を比較し、各モデルの解析解と一致する', t => {
+    quiet(t);
+    registerFixedModel(t);
+    const results = PKModelRegistry.compare(PATIENT, EVENTS, TIMES);
+    assert.deepEqual(results.map(result => result.model.id), [DEFAULT_PK_MODEL, 'fixedTest']);
+
+    results.forEach(result => {
+        assert.equal(result.error, undefined);
+        assert.deepEqual(result.points.map(point => point.time), TIMES);
+        const expected = new AnalyticalPKEngine(result.pkParams).calculateSeries(TIMES, EVENTS);
+        result.points.forEach((point, i) => {
+            assert.ok(Math.abs(point.cp - expected[i].cp) < 1e-9, `${result.model.id} Cp at ${point.time}`);
+            assert.ok(Math.abs(point.ce - expected[i].ce) < 1e-9, `${result.model.id} Ce at ${point.time}`);
+        });
+    });
+
+    // 中心コンパートメント容積と ke0 が異なるため、同じ投与でも濃度は一致しない
+    const [masui, fixed] = results;
+    assert.equal(fixed.pkParams.ke0Method, 'fixed');
+    assert.notEqual(masui.pkParams.ke0, fixed.pkParams.ke0);
+    assert.ok(Math.abs(masui.points[0].cp - fixed.points[0].cp) > 0.01);
+});
+
+test('対象範囲外の共変量を警告する', t => {
+    quiet(t);
+    assert.deepEqual(PKModelRegistry.checkValidRanges(DEFAULT_PK_MODEL, PATIENT), []);
+    const warnings = PKModelRegistry.checkValidRanges(DEFAULT_PK_MODEL, { ...PATIENT, age: 10, weight: 200 });
+    assert.equal(warnings.length, 2);
+
+    registerFixedModel(t);
+    const female = new Patient(70, 60, 160, 'female', '1-2');
+    assert.equal(PKModelRegistry.checkValidRanges('fixedTest', female).length, 2);
+});
+
+test('登録されていないモデルで保存した症例は既定のモデルで再開する', t => {
+    quiet(t);
+    t.mock.method(console, 'warn', () => {});
+    const engine = new EnhancedSimulationEngine();
+    engine.start(PATIENT, 5, 1);
+    engine.stop();
+    const session = { ...engine.getSessionState(), pkModelId: 'schuttler2020' };
+
+    const reopened = new EnhancedSimulationEngine();
+    reopened.restore(session);
+    t.after(() => reopened.stop());
+    assert.equal(reopened.pkModelId, DEFAULT_PK_MODEL);
+    assert.deepEqual(reopened.pkParams, PKModelRegistry.calculate(DEFAULT_PK_MODEL, PATIENT));
+    assert.equal(console.warn.mock.callCount(), 1);
+});
+
+test('registerPKModel で追加したモデルは source.verified を指定しなければ未確認', t => {
+    quiet(t);
+    t.after(() => {
+        delete PK_MODELS.doubleVolume;
+    });
+    const masui = PKModelRegistry.calculate(DEFAULT_PK_MODEL, PATIENT);
+    const model = registerPKModel({
+        id: 'doubleVolume',
+        label: 'V1 2倍',
+        source: { citation: '試験用' },
+        calculate: () => ({ ...masui, v1: masui.v1 * 2 })
+    });
+    assert.equal(model.source.verified, false);
+
+    const [reference, doubled] = PKModelRegistry.compare(PATIENT, EVENTS, TIMES, [DEFAULT_PK_MODEL, 'doubleVolume']);
+    assert.equal(doubled.model.id, 'doubleVolume');
+    assert.ok(Math.abs(doubled.points[0].cp - reference.points[0].cp) > 0);
+});
+
+test('計算できないモデルは比較結果に error を返し、未登録の id は例外', t => {
+    t.after(() => {
+        delete PK_MODELS.broken;
+    });
+    registerPKModel({ id: 'broken', calculate: () => { throw new Error('計算できません'); } });
+    const result = PKModelRegistry.compare(PATIENT, EVENTS, TIMES, ['broken']);
+    assert.equal(result[0].error, '計算できません');
+    assert.throws(() => PKModelRegistry.get('unknown'), /未登録/);
+});
@@ -0,0 +1,77 @@
+/**
+ * 母集団シミュレーション: 変動なしで典型値の解析解と一致し、シード付き乱数で再現できること
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+    PopulationSimulator, POPULATION_DEFAULTS, createRandom, createNormalRandom, cvToOmega
+} = require('../scripts/population-simulation.js');
+const { AnalyticalPKEngine } = require('../scripts/analytical-engine.js');
+const { Patient, PKCalculator } = require('../scripts/simulation-engine.js');
+
+const EVENTS = [
+    { time: 0, type: 'bolus', amount: 12 },
+    { time: 0, type: 'infusion', rate: 1 },
+    { time: 30, type: 'infusion', rate: 0 }
+];
+const TIMES = [0, 1, 5, 15, 30, 45, 60];
+
+function typicalParams(t) {
+    t.mock.method(console, 'log', () => {});
+    return PKCalculator.calculatePKParameters(new Patient(54, 70, 170, 'male', '1-2'));
+}
+
+test('変動係数が0なら全パーセンタイルが典型値の解析解と一致する', t => {
+    const params = typicalParams(t);
+    const cv = Object.fromEntries(Object.keys(POPULATION_DEFAULTS.cv).map(key => [key, 0]));
+    const result = new PopulationSimulator(params, { subjects: 10, cv }).run(EVENTS, TIMES);
+    const expected = new AnalyticalPKEngine(params).calculateSeries(TIMES, EVENTS);
+
+    assert.equal(result.subjects, 10);
+    TIMES.forEach((time, i) => {
+        [5, 50, 95].forEach(p => {
+            assert.ok(Math.abs(result.cp[p][i] - expected[i].cp) < 1e-9, `Cp P${p} at ${time} min`);
+            assert.ok(Math.abs(result.ce[p][i] - expected[i].ce) < 1e-9, `Ce P${p} at ${time} min`);
+        });
+    });
+});
+
+test('同じシードでは同じ結果、パーセンタイルは 5 ≤ 50 ≤ 95 の順', t => {
+    const params = typicalParams(t);
+    const first = new PopulationSimulator(params, { subjects: 200 }).run(EVENTS, TIMES);
+    const second = new PopulationSimulator(params, { subjects: 200 }).run(EVENTS, TIMES);
+    const other = new PopulationSimulator(params, { subjects: 200, seed: 1 }).run(EVENTS, TIMES);
+
+    assert.deepEqual(first, second);
+    assert.notDeepEqual(first.ce[50], other.ce[50]);
+    TIMES.slice(1).forEach((_, j) => {
+        const i = j + 1;
+        assert.ok(first.ce[5][i] < first.ce[50][i] && first.ce[50][i] < first.ce[95][i]);
+    });
+});
+
+test('編集した変動係数だけが置き換わり、既定値は変わらない', t => {
+    const simulator = new PopulationSimulator(typicalParams(t), { cv: { ke0: 0.1 } });
+    assert.equal(simulator.options.cv.ke0, 0.1);
+    assert.equal(simulator.options.cv.v1, POPULATION_DEFAULTS.cv.v1);
+    assert.equal(POPULATION_DEFAULTS.cv.ke0, 0.4);
+});
+
+test('既定の変動係数は仮定値で、Masui 2022 の個体間変動として出典を示さない', () => {
+    assert.equal(POPULATION_DEFAULTS.source.citation, null);
+    assert.equal(POPULATION_DEFAULTS.source.verified, false);
+    assert.match(POPULATION_DEFAULTS.source.description, /仮定値/);
+});
+
+test('標準正規乱数の平均0・分散1、CV から ω² = ln(1 + CV²)', () => {
+    const normal = createNormalRandom(createRandom(42));
+    const samples = Array.from({ length: 20000 }, normal);
+    const mean = samples.reduce((sum, x) => sum + x, 0) / samples.length;
+    const variance = samples.reduce((sum, x) => sum + (x - mean) ** 2, 0) / samples.length;
+    assert.ok(Math.abs(mean) < 0.03, `mean ${mean}`);
+    assert.ok(Math.abs(variance - 1) < 0.05, `variance ${variance}`);
+
+    assert.ok(Math.abs(cvToOmega(0.3) ** 2 - Math.log(1.09)) < 1e-12);
+    assert.equal(PopulationSimulator.percentile([1, 2, 3, 4], 50), 2.5);
+});
@@ -0,0 +1,91 @@
+/**
+ * レミフェンタニル（Minto）: 40歳・LBM 55 kg で原著の典型値となり、濃度は解析解エンジンで計算できること
+ * 反応曲面（Greco）: 単独の C50 と相加の等効果線で無反応確率が50%となり、編集したパラメータが反映されること
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { MintoRemifentanil, ResponseSurfaceModel, RESPONSE_SURFACE_DEFAULTS } = require('../scripts/remifentanil.js');
+const { AnalyticalPKEngine } = require('../scripts/analytical-engine.js');
+const { Patient, EnhancedSimulationEngine } = require('../scripts/simulation-engine.js');
+
+// James式で LBM = 55 kg となる 70 kg 男性の身長: 1.1 × 70 - 128 × (70/H)² = 55
+const HEIGHT_FOR_LBM_55 = 70 / Math.sqrt((1.1 * 70 - 55) / 128);
+const TYPICAL = { age: 40, weight: 70, height: HEIGHT_FOR_LBM_55, sex: 'male' };
+
+test('40歳・LBM 55 kg で Minto 1997 の典型値となる', () => {
+    assert.ok(Math.abs(MintoRemifentanil.calculateLBM(TYPICAL) - 55) < 1e-9);
+    const params = MintoRemifentanil.calculatePKParameters(TYPICAL);
+    const expected = { v1: 5.1, v2: 9.82, v3: 5.42, cl: 2.6, q2: 2.05, q3: 0.076, ke0: 0.595 };
+    Object.entries(expected).forEach(([key, value]) => {
+        assert.ok(Math.abs(params[key] - value) < 1e-9, key);
+    });
+});
+
+test('James式の LBM は女性で小さい', () => {
+    const male = MintoRemifentanil.calculateLBM({ weight: 60, height: 165, sex: 'male' });
+    const female = MintoRemifentanil.calculateLBM({ weight: 60, height: 165, sex: 'female' });
+    assert.ok(female < male);
+});
+
+test('1 µg/kg ボーラス後の Ce はピークを過ぎて低下する', () => {
+    const engine = new AnalyticalPKEngine(MintoRemifentanil.calculatePKParameters(TYPICAL));
+    const events = [{ time: 0, type: 'bolus', amount: 70 }];
+    const ce = [0.5, 1.5, 5].map(time => engine.calculateAt(time, events).ce);
+    assert.ok(ce[1] > ce[0] && ce[1] > ce[2]);
+});
+
+test('単独の C50、および α = 0 では相加の等効果線上で無反応確率が50%', () => {
+    const { c50Remimazolam, c50Remifentanil } = RESPONSE_SURFACE_DEFAULTS;
+    const surface = new ResponseSurfaceModel();
+    assert.ok(Math.abs(surface.calculate(c50Remimazolam, 0) - 50) < 1e-9);
+    assert.ok(Math.abs(surface.calculate(0, c50Remifentanil) - 50) < 1e-9);
+    assert.equal(surface.calculate(0, 0), 0);
+
+    const additive = new ResponseSurfaceModel({ alpha: 0 });
+    assert.ok(Math.abs(additive.calculate(c50Remimazolam / 2, c50Remifentanil / 2) - 50) < 1e-9);
+    // α > 0（相乗）では同じ濃度で確率が高い
+    assert.ok(surface.calculate(c50Remimazolam / 2, c50Remifentanil / 2) > 50);
+});
+
+test('拮抗薬による C50 の移動はレミマゾラムの寄与だけを減らす', () => {
+    const surface = new ResponseSurfaceModel();
+    const { c50Remimazolam, c50Remifentanil } = surface.params;
+    assert.ok(Math.abs(surface.calculate(2 * c50Remimazolam, 0, 2) - 50) < 1e-9);
+    assert.ok(Math.abs(surface.calculate(0, c50Remifentanil, 2) - 50) < 1e-9);
+});
+
+test('パラメータの編集は検証され、既定値は変わらず reset で戻る', () => {
+    const surface = new ResponseSurfaceModel();
+    assert.equal(surface.setParameter('c50Remifentanil', 4), true);
+    assert.ok(Math.abs(surface.calculate(0, 4) - 50) < 1e-9);
+    assert.equal(surface.setParameter('alpha', -0.5), true);
+
+    assert.equal(surface.setParameter('gamma', 0), false);
+    assert.equal(surface.setParameter('c50Remimazolam', NaN), false);
+    assert.equal(surface.setParameter('source', 1), false);
+    assert.equal(RESPONSE_SURFACE_DEFAULTS.c50Remifentanil, 8.0);
+
+    surface.reset();
+    assert.deepEqual(surface.params, RESPONSE_SURFACE_DEFAULTS);
+});
+
+test('エンジンの喉頭鏡無反応確率は現在の両薬の Ce から反応曲面で求める', t => {
+    t.mock.method(console, 'log', () => {});
+    t.mock.timers.enable({ apis: ['setInterval', 'Date'], now: 0 });
+    const engine = new EnhancedSimulationEngine();
+    engine.start(new Patient(54, 70, 170, 'male', '1-2'), 10, 1, null, { bolus: 50, infusion: 0.2 });
+    t.after(() => engine.stop());
+    for (let i = 0; i < 180; i++) t.mock.timers.tick(1000);
+
+    const remifentanilCe = engine.getRemifentanilConcentrations().ce;
+    assert.ok(remifentanilCe > 0);
+    const expected = engine.responseSurface.calculate(engine.getEffectSiteConcentration(), remifentanilCe);
+    assert.ok(Math.abs(engine.getLaryngoscopyNoResponse() - expected) < 1e-12);
+
+    // 編集したパラメータは実行中の計算にそのまま反映される
+    engine.responseSurface.setParameter('alpha', 0);
+    const additive = new ResponseSurfaceModel({ alpha: 0 });
+    assert.ok(Math.abs(engine.getLaryngoscopyNoResponse()
+        - additive.calculate(engine.getEffectSiteConcentration(), remifentanilCe)) < 1e-12);
+});
@@ -0,0 +1,101 @@
+/**
+ * 症例の保存: 保存した症例を開き直すと同じ投与履歴・時計の状態が得られ、
+ * 投与履歴から再計算した濃度が保存前と一致すること。再開されなかった症例の終了と削除
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { SessionStore, SESSION_STORE_DEFAULTS } = require('../scripts/session-store.js');
+const { simulate } = require('../scripts/simulate.js');
+
+const PATIENT = { age: 54, weight: 70, height: 170, sex: 'male', asaPS: '1-2' };
+const REGIMEN = [
+    { time: 0, type: 'bolus', amount: 10 },
+    { time: 0, type: 'infusion', rate: 1 },
+    { time: 20, type: 'infusion', rate: 0.5 }
+];
+
+// Node.js には IndexedDB・localStorage がないためメモリに保存する
+function createStore(t, options) {
+    t.mock.method(console, 'warn', () => {});
+    return new SessionStore(options);
+}
+
+function createSession(overrides = {}) {
+    return {
+        id: SessionStore.createId(),
+        createdAt: new Date().toISOString(),
+        status: 'running',
+        savedAt: Date.now(),
+        patient: PATIENT,
+        doseEvents: REGIMEN,
+        samples: [{ time: 5, concentration: 1.2 }],
+        clock: { elapsedSeconds: 30 * 60, speed: 1, paused: false },
+        ...overrides
+    };
+}
+
+test('保存した症例を開き直すと、投与履歴から同じ濃度を再計算できる', async t => {
+    const store = createStore(t);
+    const session = createSession();
+    await store.save(JSON.parse(JSON.stringify(session)));
+    assert.equal(store.backend, 'memory');
+
+    const restored = await store.get(session.id);
+    assert.deepEqual(restored.doseEvents, session.doseEvents);
+    assert.deepEqual(restored.samples, session.samples);
+    assert.ok(restored.updatedAt);
+
+    const now = SessionStore.getElapsedSeconds(restored, session.savedAt) / 60;
+    const before = simulate(PATIENT, session.doseEvents, [now]).points[0];
+    const after = simulate(restored.patient, restored.doseEvents, [now]).points[0];
+    assert.deepEqual(after, before);
+});
+
+test('実行中の症例は保存からの実時間×倍速を加え、一時停止・終了済みは加えない', () => {
+    const savedAt = Date.parse('2024-01-01T00:00:00Z');
+    const now = savedAt + 10 * 60 * 1000;
+    const running = createSession({ savedAt, clock: { elapsedSeconds: 100, speed: 60, paused: false } });
+    assert.equal(SessionStore.getElapsedSeconds(running, now), 100 + 600 * 60);
+    assert.equal(SessionStore.getElapsedSeconds({ ...running, clock: { ...running.clock, paused: true } }, now), 100);
+    assert.equal(SessionStore.getElapsedSeconds({ ...running, status: 'stopped' }, now), 100);
+});
+
+test('上限を超えると終了済みの古い症例から削除し、実行中の症例は残す', async t => {
+    const store = createStore(t, { maxSessions: 2 });
+    const running = createSession({ id: 'running' });
+    await store.save(running);
+    await new Promise(resolve => setTimeout(resolve, 2));
+    await store.save(createSession({ id: 'old', status: 'stopped' }));
+    await new Promise(resolve => setTimeout(resolve, 2));
+    await store.save(createSession({ id: 'new', status: 'stopped' }));
+
+    const ids = (await store.list()).map(session => session.id);
+    assert.deepEqual(ids.sort(), ['new', 'running']);
+    await assert.rejects(store.save({}), /id/);
+});
+
+test('再開されなかった「実行中」の症例は終了済みにして、上限を超えれば削除する', async t => {
+    const store = createStore(t, { maxSessions: 2 });
+    await store.save(createSession({ id: 'abandoned' }));
+    await new Promise(resolve => setTimeout(resolve, 2));
+    await store.save(createSession({ id: 'current' }));
+
+    // 新しい症例を開始したときは、それ以外の実行中の症例を終了済みにする
+    await store.stopRunning(session => session.id !== 'current');
+    const abandoned = await store.get('abandoned');
+    assert.equal(abandoned.status, 'stopped');
+    assert.equal(SessionStore.getElapsedSeconds(abandoned, Date.now() + 60 * 60 * 1000), 30 * 60);
+    await store.save(createSession({ id: 'next', status: 'stopped' }));
+    assert.deepEqual((await store.list()).map(session => session.id).sort(), ['current', 'next']);
+
+    // 長時間保存されていない実行中の症例も終了済みとなり、削除の対象になる
+    await new Promise(resolve => setTimeout(resolve, 2));
+    const staleSavedAt = Date.now() - (SESSION_STORE_DEFAULTS.staleRunningHours + 1) * 60 * 60 * 1000;
+    await store.save(createSession({ id: 'stale', savedAt: staleSavedAt }));
+    assert.equal((await store.get('stale')).status, 'stopped');
+    assert.equal((await store.get('current')).status, 'running');
+    await new Promise(resolve => setTimeout(resolve, 2));
+    await store.save(createSession({ id: 'latest', status: 'stopped' }));
+    assert.deepEqual((await store.list()).map(session => session.id).sort(), ['current', 'latest']);
+});
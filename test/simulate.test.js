@@ -0,0 +1,65 @@
+/**
+ * ヘッドレス一括計算API: レジメンの正規化・検証、出力時刻の扱いと計算法どうしの一致
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { simulate, normalizeRegimen } = require('../scripts/simulate.js');
+
+const PATIENT = { age: 54, weight: 70, height: 170, sex: 'male', asaPS: '1-2' };
+
+test('continuousDose（mg/kg/hr）を mg/min に換算し、時刻順に並べる', () => {
+    const events = normalizeRegimen({
+        events: [
+            { time: 10, type: 'infusion', continuousDose: 1.2 },
+            { time: 0, type: 'bolus', amount: 6 }
+        ]
+    }, PATIENT);
+    assert.deepEqual(events, [
+        { time: 0, type: 'bolus', amount: 6 },
+        { time: 10, type: 'infusion', rate: 1.4 }
+    ]);
+});
+
+test('不正な投与イベント・出力時刻は例外', () => {
+    assert.throws(() => normalizeRegimen([{ time: -1, type: 'bolus', amount: 1 }], PATIENT), /時刻が不正/);
+    assert.throws(() => normalizeRegimen([{ time: 0, type: 'bolus', amount: 'x' }], PATIENT), /ボーラス量が不正/);
+    assert.throws(() => normalizeRegimen([{ time: 0, type: 'infusion' }], PATIENT), /投与速度が不正/);
+    assert.throws(() => normalizeRegimen([{ time: 0, type: 'oral' }], PATIENT), /未対応の種類/);
+    assert.throws(() => simulate(PATIENT, [], [1, -1]), /出力時刻/);
+    assert.throws(() => simulate(PATIENT, [], [1], { method: 'euler' }), /未対応の計算法/);
+});
+
+test('出力時刻は指定した順序のまま返す', () => {
+    const regimen = [{ time: 0, type: 'bolus', amount: 10 }];
+    const sorted = simulate(PATIENT, regimen, [1, 5, 10]).points;
+    const shuffled = simulate(PATIENT, regimen, [10, 1, 5]).points;
+    assert.deepEqual(shuffled.map(point => point.time), [10, 1, 5]);
+    assert.deepEqual(shuffled[0], sorted[2]);
+    assert.deepEqual(shuffled[1], sorted[0]);
+});
+
+test('ボーラス直後の Cp は投与量 / V1 で、量の総和は投与量を超えない', () => {
+    const { pkParams, points } = simulate(PATIENT, [{ time: 0, type: 'bolus', amount: 10 }], [0, 30]);
+    assert.ok(Math.abs(points[0].cp - 10 / pkParams.v1) < 1e-12);
+    assert.equal(points[0].ce, 0);
+    const total = points[1].a1 + points[1].a2 + points[1].a3;
+    assert.ok(total > 0 && total < 10);
+});
+
+test('解析解と ODE 数値積分の結果が一致する', () => {
+    const regimen = [
+        { time: 0, type: 'bolus', amount: 12 },
+        { time: 0, type: 'infusion', continuousDose: 1 },
+        { time: 20, type: 'infusion', rate: 0 },
+        { time: 35, type: 'bolus', amount: 3 }
+    ];
+    const times = [0.5, 5, 19.5, 20, 34, 35, 60];
+    const analytical = simulate(PATIENT, regimen, times).points;
+    const ode = simulate(PATIENT, regimen, times, { method: 'ode' }).points;
+    analytical.forEach((point, i) => {
+        ['cp', 'ce'].forEach(key => {
+            assert.ok(Math.abs(ode[i][key] - point[key]) / point[key] < 1e-4, `${key} at ${point.time} min`);
+        });
+    });
+});
@@ -0,0 +1,69 @@
+/**
+ * シミュレーション時計: 一時停止・倍速変更で時間が飛ばないこと、
+ * 早送りしてもエンジンが1秒刻みで計算すること
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { ManualClock } = require('../scripts/simulation-clock.js');
+const { Patient, EnhancedSimulationEngine } = require('../scripts/simulation-engine.js');
+
+test('倍速を掛けて積算し、一時停止中は進まない', () => {
+    const clock = new ManualClock();
+    assert.equal(clock.getElapsedSeconds(), 0);
+
+    clock.start();
+    clock.advance(10);
+    assert.equal(clock.getElapsedSeconds(), 10);
+
+    clock.setSpeed(60);
+    clock.advance(10);
+    assert.equal(clock.getElapsedSeconds(), 610);
+
+    clock.pause();
+    clock.advance(100);
+    assert.equal(clock.getElapsedSeconds(), 610);
+
+    clock.setSpeed(2);
+    clock.resume();
+    clock.advance(5);
+    assert.equal(clock.getElapsedSeconds(), 620);
+});
+
+test('startAt は指定した経過時間から計測する', () => {
+    const clock = new ManualClock();
+    clock.startAt(300);
+    clock.advance(1);
+    assert.equal(clock.getElapsedSeconds(), 301);
+});
+
+test('倍速は正の値のみ', () => {
+    assert.throws(() => new ManualClock().setSpeed(0), /倍速/);
+});
+
+test('60倍速の ManualClock で進めたエンジンは1秒刻みで計算し、一時停止中は進まない', t => {
+    t.mock.method(console, 'log', () => {});
+    const engine = new EnhancedSimulationEngine();
+    const clock = new ManualClock();
+    assert.equal(engine.setClock(clock), true);
+    engine.start(new Patient(54, 70, 170, 'male', '1-2'), 10, 1);
+    t.after(() => engine.stop());
+    assert.equal(engine.setClock(new ManualClock()), false);
+
+    engine.setSpeed(60);
+    const advanceTo = t.mock.method(engine, 'advanceTo');
+    clock.advance(10);
+    engine.updateSimulation();
+    assert.equal(engine.lastSolveTime, 10);
+    assert.equal(advanceTo.mock.callCount(), 600);
+
+    const exact = engine.analyticalEngine.calculateAt(10, engine.doseEvents);
+    assert.ok(Math.abs(engine.getPlasmaConcentration() - exact.cp) / exact.cp < 1e-4);
+    assert.ok(Math.abs(engine.getEffectSiteConcentration() - exact.ce) / exact.ce < 1e-3);
+
+    engine.pause();
+    assert.ok(engine.isPaused());
+    clock.advance(10);
+    engine.updateSimulation();
+    assert.equal(engine.lastSolveTime, 10);
+});
@@ -0,0 +1,195 @@
+/**
+ * シミュレーションエンジン: Node.js から読み込めて依存モジュール（Masui ke0 など）を使うこと、
+ * 実行中の追加ボーラス・持続投与量変更がその時刻から反映され、ODE の積分が
+ * 投与イベントの時刻で区間を分割して解析解と一致すること。濃度履歴の記録・予測・間引き
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { Patient, PKCalculator, EnhancedSimulationEngine } = require('../scripts/simulation-engine.js');
+const { MasuiKe0Calculator } = require('../scripts/masui-ke0-exact.js');
+
+test('PKCalculator は Masui の数値解析 ke0 と整合した速度定数を返す', t => {
+    t.mock.method(console, 'log', () => {});
+    const patient = new Patient(54, 70, 170, 'male', '1-2');
+    const params = PKCalculator.calculatePKParameters(patient);
+
+    const exact = MasuiKe0Calculator.calculateKe0Complete(54, 70, 170, 0, 0);
+    assert.equal(params.ke0, exact.ke0_numerical);
+    ['v1', 'v2', 'v3', 'cl', 'q2', 'q3'].forEach(key => {
+        assert.ok(Number.isFinite(params[key]) && params[key] > 0, key);
+    });
+    assert.equal(params.k10, params.cl / params.v1);
+    assert.equal(params.k12, params.q2 / params.v1);
+    assert.equal(params.k21, params.q2 / params.v2);
+    assert.equal(params.k13, params.q3 / params.v1);
+    assert.equal(params.k31, params.q3 / params.v3);
+});
+
+const PATIENT = new Patient(54, 70, 170, 'male', '1-2');
+
+// 時計を模擬して1秒ごとに更新される実行中のエンジン（ログは抑制し、テスト終了時に停止する）
+function startEngine(t, bolusDose = 10, continuousDose = 1) {
+    t.mock.method(console, 'log', () => {});
+    t.mock.timers.enable({ apis: ['setInterval', 'Date'], now: 0 });
+    const engine = new EnhancedSimulationEngine();
+    engine.start(PATIENT, bolusDose, continuousDose);
+    t.after(() => engine.stop());
+    return engine;
+}
+
+// 1秒ずつ進める（1回の tick でまとめて進めると、更新時の時刻が進めた後の時刻になる）
+function advance(t, seconds) {
+    for (let i = 0; i < seconds; i++) {
+        t.mock.timers.tick(1000);
+    }
+}
+
+function assertClose(actual, expected, tolerance, message) {
+    assert.ok(Math.abs(actual - expected) <= tolerance, `${message}: ${actual} vs ${expected}`);
+}
+
+// 記録された投与イベントの解析解と比べる（Cp は ODE、Ce は VHAC の計算値）
+function assertMatchesAnalytical(engine, time = engine.lastSolveTime) {
+    const exact = engine.analyticalEngine.calculateAt(time, engine.doseEvents);
+    assertClose(engine.getPlasmaConcentration(), exact.cp, 1e-4 * exact.cp, `Cp（${time} 分）`);
+    assertClose(engine.getEffectSiteConcentration(), exact.ce, 1e-3 * exact.ce, `Ce（${time} 分）`);
+}
+
+test('追加ボーラスは追加した時刻から反映される', t => {
+    const engine = startEngine(t);
+    advance(t, 60);
+    const cpBefore = engine.getPlasmaConcentration();
+
+    const event = engine.addBolus(5);
+    assert.equal(event.time, 1);
+    assert.equal(event.applied, false);
+    // 次の更新までは状態に加えない
+    assert.equal(engine.getPlasmaConcentration(), cpBefore);
+
+    advance(t, 1);
+    assert.equal(event.applied, true);
+    assert.ok(engine.getPlasmaConcentration() > cpBefore + 5 / engine.pkParams.v1 * 0.9);
+    assertMatchesAnalytical(engine);
+
+    advance(t, 240);
+    assertMatchesAnalytical(engine);
+});
+
+test('持続投与量の変更は変更した時刻からの投与速度になる', t => {
+    const engine = startEngine(t);
+    advance(t, 120);
+
+    const event = engine.setContinuousDose(3);
+    assert.equal(event.time, 2);
+    assert.equal(event.continuousDose, 3);
+    assert.equal(engine.setContinuousDose(3), null, '同じ投与量への変更はイベントにしない');
+    assert.equal(engine.getInfusionRateAt(2 - 1e-9), engine.doseEvents[1].rate);
+    assert.equal(engine.getInfusionRateAt(2), event.rate);
+    assert.equal(event.rate, 3 * PATIENT.weight / 60);
+
+    advance(t, 600);
+    assertMatchesAnalytical(engine);
+});
+
+test('実行していないときは追加ボーラス・投与量変更を受け付けない', t => {
+    const engine = startEngine(t);
+    engine.stop();
+    assert.equal(engine.addBolus(5), null);
+    assert.equal(engine.setContinuousDose(3), null);
+    assert.equal(engine.doseEvents.length, 2);
+});
+
+test('更新区間内の投与イベントの時刻で分割して積分する', t => {
+    const engine = startEngine(t, 10, 0);
+    engine.stop();
+    // 数分の区間では VHAC の近似誤差が大きいため、効果部位も ODE で解く
+    engine.effectSiteMethod = 'ode';
+    engine.isRunning = true;
+    // 1回の更新（0〜5分）の途中にボーラスと投与速度の変更を置く
+    engine.doseEvents.push(
+        { time: 1.5, type: 'bolus', amount: 4, applied: false },
+        { time: 2.5, type: 'infusion', rate: 2 },
+        { time: 4, type: 'infusion', rate: 0 }
+    );
+    const segments = [];
+    const solveSegment = engine.solveSegment.bind(engine);
+    t.mock.method(engine, 'solveSegment', (t0, t1) => {
+        segments.push([t0, t1]);
+        solveSegment(t0, t1);
+    });
+
+    engine.advanceTo(5);
+    assert.deepEqual(segments, [[0, 1.5], [1.5, 2.5], [2.5, 4], [4, 5]]);
+    assert.equal(engine.lastSolveTime, 5);
+    assert.ok(engine.doseEvents.every(event => event.type !== 'bolus' || event.applied));
+    assertMatchesAnalytical(engine, 5);
+});
+
+test('解析解モードでも追加ボーラス・投与量変更が同じ濃度になる', t => {
+    const engine = startEngine(t);
+    engine.setCalculationMode('analytical');
+    advance(t, 90);
+    engine.addBolus(3);
+    advance(t, 30);
+    engine.setContinuousDose(2);
+    advance(t, 300);
+
+    const exact = engine.analyticalEngine.calculateAt(engine.lastSolveTime, engine.doseEvents);
+    assert.equal(engine.getPlasmaConcentration(), exact.cp);
+    assert.equal(engine.getEffectSiteConcentration(), exact.ce);
+});
+
+test('更新ごとに濃度履歴を記録し、Ce の計算法も残す', t => {
+    const engine = startEngine(t);
+    advance(t, 120);
+
+    assert.equal(engine.history.length, 121);
+    assert.deepEqual(engine.history.slice(0, 3).map(point => point.time), [0, 1 / 60, 2 / 60]);
+    const last = engine.history[engine.history.length - 1];
+    assert.equal(last.time, engine.lastSolveTime);
+    assert.equal(last.cp, engine.getPlasmaConcentration());
+    assert.equal(last.ce, engine.getEffectSiteConcentration());
+    assert.equal(last.rate, engine.getCurrentInfusionRate());
+    engine.history.slice(1).forEach(point => {
+        assert.ok(['steady', 'taylor', 'linear'].includes(point.method), `${point.method} at ${point.time}`);
+    });
+
+    engine.setCalculationMode('analytical');
+    advance(t, 1);
+    assert.equal(engine.history[engine.history.length - 1].method, 'analytical');
+});
+
+test('getProjection は現在の投与速度を維持した場合の解析解と一致する', t => {
+    const engine = startEngine(t);
+    advance(t, 300);
+
+    const now = engine.lastSolveTime;
+    const projection = engine.getProjection(10);
+    assert.equal(projection[0].time, now);
+    assertClose(projection[projection.length - 1].time, now + 10, 1e-9, '予測の終了時刻');
+    projection.forEach(point => {
+        const exact = engine.analyticalEngine.calculateAt(point.time, engine.doseEvents);
+        assertClose(point.cp, exact.cp, 1e-3 * exact.cp, `Cp（${point.time} 分）`);
+        assertClose(point.ce, exact.ce, 1e-3 * exact.ce, `Ce（${point.time} 分）`);
+    });
+
+    engine.stop();
+    assert.deepEqual(engine.getProjection(10), []);
+});
+
+test('履歴の間引きは点数を抑えつつボーラス直後のピークと最新点を残す', () => {
+    // 1秒刻みで60分。等間隔の抜き出し（6点ごと）では落ちる位置にピークを置く
+    const history = Array.from({ length: 3601 }, (_, i) => ({ time: i / 60, cp: 1, ce: 0.5 }));
+    history[1003] = { time: 1003 / 60, cp: 5, ce: 0.6 };
+    const thinned = EnhancedSimulationEngine.thinHistory(history, 600);
+
+    assert.ok(thinned.length <= 601, `${thinned.length} points`);
+    assert.ok(thinned.includes(history[1003]));
+    assert.equal(thinned[0], history[0]);
+    assert.equal(thinned[thinned.length - 1], history[3600]);
+    thinned.slice(1).forEach((point, i) => assert.ok(point.time > thinned[i].time));
+
+    const short = history.slice(0, 100);
+    assert.equal(EnhancedSimulationEngine.thinHistory(short, 600), short);
+});
@@ -0,0 +1,126 @@
+/**
+ * TCI: 制御間隔ごとに投与速度を決めて状態を進め、目標濃度に到達・維持すること
+ * （ポンプの最大流量で制限した場合を含む）
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { AnalyticalPKEngine } = require('../scripts/analytical-engine.js');
+const { EffectSiteTCIController, PlasmaTCIController } = require('../scripts/tci-controller.js');
+const { DrugPreparation } = require('../scripts/drug-preparation.js');
+const { Patient, PKCalculator, EnhancedSimulationEngine } = require('../scripts/simulation-engine.js');
+
+const PATIENT = new Patient(54, 70, 170, 'male', '1-2');
+const TARGET = 1.0;
+
+function createEngine(t) {
+    t.mock.method(console, 'log', () => {});
+    return new AnalyticalPKEngine(PKCalculator.calculatePKParameters(PATIENT));
+}
+
+// duration 分間 TCI を実行した Cp/Ce と投与速度の推移
+function runTCI(controller, engine, duration) {
+    const interval = controller.options.controlInterval;
+    let state = { a1: 0, a2: 0, a3: 0, ce: 0 };
+    const history = [];
+    for (let time = 0; time < duration - 1e-9; time += interval) {
+        const rate = controller.computeRate(state);
+        state = engine.advance(state, rate, interval);
+        history.push({
+            time: time + interval, rate, limited: controller.rateLimited,
+            cp: state.a1 / engine.pkParams.v1, ce: state.ce
+        });
+    }
+    return history;
+}
+
+test('advance を刻んで進めても1回で進めた結果と同じ', t => {
+    const engine = createEngine(t);
+    const start = { a1: 5, a2: 1, a3: 0.5, ce: 0.8 };
+
+    let stepped = start;
+    for (let i = 0; i < 600; i++) {
+        stepped = engine.advance(stepped, 2, 1 / 60);
+    }
+    const direct = engine.advance(start, 2, 10);
+    const exact = engine.calculateAt(10, [{ time: 0, type: 'infusion', rate: 2 }]);
+    ['a1', 'a2', 'a3', 'ce'].forEach(key => {
+        assert.ok(Math.abs(stepped[key] - direct[key]) / direct[key] < 1e-9, key);
+        // 初期状態なしの投与は重ね合わせの解と一致する
+        const fromZero = engine.advance({ a1: 0, a2: 0, a3: 0, ce: 0 }, 2, 10);
+        assert.ok(Math.abs(fromZero[key] - exact[key]) / exact[key] < 1e-9, key);
+    });
+});
+
+test('効果部位TCIは目標Ceに到達し、その後は目標を保つ', t => {
+    const engine = createEngine(t);
+    const history = runTCI(new EffectSiteTCIController(engine, TARGET), engine, 30);
+
+    const peakCe = Math.max(...history.map(point => point.ce));
+    assert.ok(peakCe <= TARGET * 1.01, `peak Ce ${peakCe}`);
+    const reached = history.find(point => point.ce >= TARGET * 0.99);
+    assert.ok(reached && reached.time < 5, 'reaches target within 5 min');
+    history.filter(point => point.time >= 10).forEach(point => {
+        assert.ok(Math.abs(point.ce - TARGET) / TARGET < 0.02, `Ce ${point.ce} at ${point.time} min`);
+    });
+});
+
+test('目標を下げると投与を止め、Ce が新しい目標まで下がるのを待つ', t => {
+    const engine = createEngine(t);
+    const controller = new EffectSiteTCIController(engine, TARGET);
+    let state = { a1: 0, a2: 0, a3: 0, ce: 0 };
+    for (let i = 0; i < 60; i++) {
+        state = engine.advance(state, controller.computeRate(state), controller.options.controlInterval);
+    }
+    controller.setTarget(TARGET / 2);
+    assert.equal(controller.computeRate(state), 0);
+});
+
+test('血漿TCIは最初の制御間隔の終了時に目標Cpとなり、以降も保つ', t => {
+    const engine = createEngine(t);
+    const history = runTCI(new PlasmaTCIController(engine, TARGET), engine, 30);
+
+    history.forEach(point => {
+        assert.ok(Math.abs(point.cp - TARGET) < 1e-9, `Cp ${point.cp} at ${point.time} min`);
+    });
+});
+
+test('ポンプの最大流量を超えず、制限されても目標に到達する', t => {
+    // 1 mg/mL・最大 240 mL/h = 4 mg/min
+    const maxRate = new DrugPreparation({ vialMg: 50, diluentMl: 50, maxRateMlPerHour: 240 }).getMaxRate();
+    assert.ok(Math.abs(maxRate - 4) < 1e-12);
+
+    [EffectSiteTCIController, PlasmaTCIController].forEach(ControllerClass => {
+        const engine = createEngine(t);
+        const history = runTCI(new ControllerClass(engine, TARGET, { maxRate }), engine, 30);
+
+        history.forEach(point => assert.ok(point.rate <= maxRate + 1e-12, `rate ${point.rate}`));
+        assert.ok(history[0].limited, `${ControllerClass.name}: first interval is limited`);
+        const key = ControllerClass === PlasmaTCIController ? 'cp' : 'ce';
+        const last = history[history.length - 1];
+        assert.ok(Math.abs(last[key] - TARGET) / TARGET < 0.02, `${ControllerClass.name}: ${key} ${last[key]}`);
+        assert.ok(Math.max(...history.map(point => point[key])) <= TARGET * 1.01);
+        assert.ok(!last.limited);
+    });
+});
+
+test('TCIモードのエンジンは制御時刻ごとの指令速度を投与イベントとして記録する', t => {
+    t.mock.method(console, 'log', () => {});
+    t.mock.timers.enable({ apis: ['setInterval', 'Date'], now: 0 });
+    const engine = new EnhancedSimulationEngine();
+    engine.start(PATIENT, 0, 0, { mode: 'effect', target: TARGET });
+    t.after(() => engine.stop());
+    assert.equal(engine.dosingMode, 'tci-effect');
+
+    for (let i = 0; i < 600; i++) {
+        t.mock.timers.tick(1000);
+    }
+    const interval = engine.tciController.options.controlInterval;
+    engine.doseEvents.forEach(event => {
+        assert.equal(event.type, 'infusion');
+        assert.equal(event.source, 'tci');
+        assert.ok(Math.abs(event.time / interval - Math.round(event.time / interval)) < 1e-9);
+    });
+    assert.ok(Math.abs(engine.getEffectSiteConcentration() - TARGET) / TARGET < 0.02);
+    assert.equal(engine.commandedRate, engine.getCurrentInfusionRate());
+});
@@ -0,0 +1,73 @@
+/**
+ * VHAC 効果部位濃度: 解析解の Ce との一致、3分岐の判定と、分岐ごとの回数・直前の分岐の記録
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { VHACIntegrator, VHAC_CRITERIA } = require('../scripts/vhac-effect-site.js');
+const { AnalyticalPKEngine } = require('../scripts/analytical-engine.js');
+const { MasuiKe0Calculator } = require('../scripts/masui-ke0-exact.js');
+
+const DT = 1 / 60;
+const STEPS = 60 * 60;
+
+// 54歳 男性 170 cm 70 kg ASA I-II
+function pkParams(ke0 = 0.2) {
+    const params = MasuiKe0Calculator.calculatePKParameters(54, 70, 170, 0, 0);
+    return { v1: params.V1, ...MasuiKe0Calculator.calculateRateConstants(params), ke0 };
+}
+
+test('1秒刻みの Cp から求めた Ce が解析解と一致し、分岐ごとの回数と直前の分岐だけを保持する', () => {
+    const engine = new AnalyticalPKEngine(pkParams());
+    const events = [
+        { time: 0, type: 'bolus', amount: 10 },
+        { time: 0, type: 'infusion', rate: 70 / 60 },
+        { time: 30, type: 'infusion', rate: 0 }
+    ];
+    const times = Array.from({ length: STEPS + 1 }, (_, i) => i * DT);
+    const points = engine.calculateSeries(times, events);
+    const integrator = new VHACIntegrator(engine.ke0);
+
+    let ce = points[0].ce;
+    let maxError = 0;
+    const tally = { steady: 0, taylor: 0, linear: 0 };
+    let method = null;
+    for (let i = 1; i < points.length; i++) {
+        ({ ce, method } = integrator.step(ce, points[i - 1].cp, points[i].cp, DT));
+        tally[method]++;
+        maxError = Math.max(maxError, Math.abs(ce - points[i].ce));
+    }
+
+    assert.ok(maxError < 1e-3, `max |ΔCe| = ${maxError}`);
+    assert.deepEqual(integrator.counts, tally);
+    assert.equal(tally.steady + tally.taylor + tally.linear, STEPS);
+    assert.equal(integrator.getLastMethod(), method);
+    // ステップごとの記録は持たない（エンジンの履歴と重複し、長時間の実行で増え続けるため）
+    assert.equal(integrator.history, undefined);
+
+    integrator.reset();
+    assert.deepEqual(integrator.counts, { steady: 0, taylor: 0, linear: 0 });
+    assert.equal(integrator.getLastMethod(), null);
+});
+
+test('Cp が一定なら定常状態の解析解を使う', () => {
+    const { ce, method } = VHACIntegrator.calculate(0, 1, 1, 5, 0.2);
+    assert.equal(method, 'steady');
+    assert.ok(Math.abs(ce - (1 - Math.exp(-1))) < 1e-12);
+});
+
+test('ke0×Δt が閾値未満ならテイラー展開、それ以外は線形変化の解析解を使う', () => {
+    const ke0 = 0.2;
+    const slope = 0.1;
+    // Cp が直線的に変化する区間では線形変化の式が厳密解になる
+    const exact = dt => 1 + slope * dt - slope / ke0 + (0.5 - 1 + slope / ke0) * Math.exp(-ke0 * dt);
+
+    const linear = VHACIntegrator.calculate(0.5, 1, 1 + slope, 1, ke0);
+    assert.equal(linear.method, 'linear');
+    assert.ok(Math.abs(linear.ce - exact(1)) < 1e-12);
+
+    const smallDt = VHAC_CRITERIA.smallStepThreshold / ke0 / 2;
+    const taylor = VHACIntegrator.calculate(0.5, 1, 1 + slope * smallDt, smallDt, ke0);
+    assert.equal(taylor.method, 'taylor');
+    assert.ok(Math.abs(taylor.ce - exact(smallDt)) < 1e-6);
+});